@@ -0,0 +1,109 @@
+/**
+ * Tests for Android string resource parsing and writes
+ */
+
+const android = require('../formats/android');
+const { getFormat } = require('../formats');
+
+const SOURCE = `<?xml version="1.0" encoding="utf-8"?>
+<resources xmlns:tools="http://schemas.android.com/tools">
+    <!-- Not localized -->
+    <string name="app_name" translatable="false">Demo</string>
+    <!-- Greeting on the home screen -->
+    <string name="greeting">Hello, <b>%1$s</b>! Don\\'t miss \\"deals\\" &amp; more</string>
+    <string name="alias">@string/greeting</string>
+    <string name="html"><![CDATA[Line<br/>break]]></string>
+    <plurals name="files">
+        <item quantity="one">%d file</item>
+        <item quantity="other">%d files</item>
+    </plurals>
+    <string-array name="planets">
+        <item>Mercury</item>
+        <item>@string/app_name</item>
+        <item>Venus</item>
+    </string-array>
+    <color name="accent">#ff0000</color>
+</resources>
+`;
+
+describe('Android Format', () => {
+  test('is selected for .xml files', () => {
+    expect(getFormat('app/src/main/res/values/strings.xml')).toBe(android);
+  });
+
+  test('parses strings, plurals and string arrays', () => {
+    expect(android.parse(SOURCE)).toEqual({
+      greeting: 'Hello, <b>%1$s</b>! Don\'t miss "deals" & more',
+      html: 'Line<br/>break',
+      files_one: '%d file',
+      files_other: '%d files',
+      planets: { 0: 'Mercury', 2: 'Venus' },
+    });
+  });
+
+  test('returns no strings for other resource files', () => {
+    expect(android.parse('<resources>\n    <color name="accent">#ff0000</color>\n</resources>\n')).toEqual({});
+  });
+
+  test('returns no strings for layouts and other XML files under res/', () => {
+    expect(android.parse('<?xml version="1.0" encoding="utf-8"?>\n<LinearLayout android:orientation="vertical"/>\n')).toEqual({});
+    expect(android.parse('<menu><item android:title="@string/save"/></menu>')).toEqual({});
+    expect(() => android.serialize({}, { source: '<manifest package="x"/>' })).toThrow('<resources>');
+  });
+
+  test('serialize writes translations in source order with escapes and comments', () => {
+    const output = android.serialize({
+      greeting: 'Hola, <b>%1$s</b>! No te pierdas las "ofertas" & más',
+      html: 'Línea<br/>salto',
+      files_one: '%d archivo',
+      files_many: '%d archivos',
+      files_other: '%d archivos',
+      planets: { 0: 'Mercurio', 2: 'Venus' },
+    }, { source: SOURCE, lang: 'es' });
+
+    expect(output).toBe(`<?xml version="1.0" encoding="utf-8"?>
+<resources xmlns:tools="http://schemas.android.com/tools">
+    <!-- Greeting on the home screen -->
+    <string name="greeting">Hola, <b>%1$s</b>! No te pierdas las \\"ofertas\\" &amp; más</string>
+    <string name="html">Línea<br/>salto</string>
+    <plurals name="files">
+        <item quantity="one">%d archivo</item>
+        <item quantity="many">%d archivos</item>
+        <item quantity="other">%d archivos</item>
+    </plurals>
+    <string-array name="planets">
+        <item>Mercurio</item>
+        <item>@string/app_name</item>
+        <item>Venus</item>
+    </string-array>
+</resources>
+`);
+  });
+
+  test('serialize leaves out plural categories without a translation', () => {
+    const output = android.serialize({ files_one: '%d файл', files_other: '%d файла' }, { source: SOURCE, lang: 'ru' });
+    expect(output).toContain('<item quantity="one">%d файл</item>');
+    expect(output).toContain('<item quantity="other">%d файла</item>');
+    expect(output).not.toContain('quantity="few"');
+    expect(output).not.toContain('quantity="many"');
+  });
+
+  test('serialize leaves out untranslated strings and incomplete arrays', () => {
+    const output = android.serialize({ greeting: 'Hola', planets: { 0: 'Mercurio' } }, { source: SOURCE, lang: 'es' });
+    expect(output).toContain('<string name="greeting">Hola</string>');
+    expect(output).not.toContain('html');
+    expect(output).not.toContain('string-array');
+  });
+
+  test('serialize escapes apostrophes and leading resource characters', () => {
+    const output = android.serialize({ greeting: "@l'heure\nsuivante" }, { source: SOURCE, lang: 'fr' });
+    expect(output).toContain("<string name=\"greeting\">\\@l\\'heure\\nsuivante</string>");
+    expect(android.parse(output).greeting).toBe("@l'heure\nsuivante");
+  });
+
+  test('writes targets to qualified values folders', () => {
+    expect(android.localizedPath('res', 'res/values/strings.xml', 'es')).toBe('res/values-es/strings.xml');
+    expect(android.localizedPath('res', 'res/values/strings.xml', 'pt-BR')).toBe('res/values-pt-rBR/strings.xml');
+    expect(android.localizedPath('res', 'res/values/strings.xml', 'zh-Hans')).toBe('res/values-b+zh+Hans/strings.xml');
+  });
+});
@@ -0,0 +1,198 @@
+/**
+ * Tests for the shared Shipi18n API client
+ */
+
+// Mock @actions/core
+jest.mock('@actions/core', () => ({
+  debug: jest.fn(),
+  info: jest.fn(),
+  warning: jest.fn(),
+}));
+
+// Mock node-fetch
+jest.mock('node-fetch', () => jest.fn());
+
+const fetch = require('node-fetch');
+const { version } = require('../../package.json');
+const {
+  ApiError,
+  DEFAULT_API_URL,
+  resolveApiUrl,
+  parseRetryAfter,
+  getRetryDelay,
+  isRetryableError,
+  createApiClient,
+} = require('../api');
+
+function mockResponse({ ok = true, status = 200, statusText = 'OK', body = {}, headers = {} } = {}) {
+  return {
+    ok,
+    status,
+    statusText,
+    headers: { get: (name) => headers[name.toLowerCase()] || null },
+    text: jest.fn().mockResolvedValue(typeof body === 'string' ? body : JSON.stringify(body)),
+  };
+}
+
+describe('resolveApiUrl', () => {
+  const originalEnv = process.env.SHIPI18N_API_URL;
+
+  afterEach(() => {
+    if (originalEnv === undefined) {
+      delete process.env.SHIPI18N_API_URL;
+    } else {
+      process.env.SHIPI18N_API_URL = originalEnv;
+    }
+  });
+
+  test('defaults to the hosted API', () => {
+    delete process.env.SHIPI18N_API_URL;
+    expect(resolveApiUrl('')).toBe(DEFAULT_API_URL);
+  });
+
+  test('uses SHIPI18N_API_URL when no input is given', () => {
+    process.env.SHIPI18N_API_URL = 'http://localhost:3000/api';
+    expect(resolveApiUrl('')).toBe('http://localhost:3000/api');
+  });
+
+  test('input takes priority over env and trailing slashes are removed', () => {
+    process.env.SHIPI18N_API_URL = 'http://localhost:3000/api';
+    expect(resolveApiUrl('https://staging.example.com/api/')).toBe('https://staging.example.com/api');
+  });
+});
+
+describe('createApiClient', () => {
+  beforeEach(() => {
+    jest.clearAllMocks();
+  });
+
+  test('posts JSON to the configured base URL with consistent headers', async () => {
+    fetch.mockResolvedValue(mockResponse({ body: { es: '{}' } }));
+
+    const client = createApiClient({ apiKey: 'test-key', baseUrl: 'http://localhost:3000/api' });
+    const result = await client.post('translate', { text: 'hi' });
+
+    expect(result).toEqual({ es: '{}' });
+    const [url, options] = fetch.mock.calls[0];
+    expect(url).toBe('http://localhost:3000/api/translate');
+    expect(options.method).toBe('POST');
+    expect(options.headers['x-api-key']).toBe('test-key');
+    expect(options.headers['Content-Type']).toBe('application/json');
+    expect(options.headers['User-Agent']).toBe(`shipi18n-github-action/${version}`);
+    expect(options.headers['x-request-id']).toMatch(/^[0-9a-f-]{36}$/);
+    expect(JSON.parse(options.body)).toEqual({ text: 'hi' });
+  });
+
+  test('throws ApiError with the parsed error message and server request ID', async () => {
+    fetch.mockResolvedValue(mockResponse({
+      ok: false,
+      status: 403,
+      statusText: 'Forbidden',
+      body: { error: 'Invalid API key' },
+      headers: { 'x-amzn-requestid': 'req-123' },
+    }));
+
+    const client = createApiClient({ apiKey: 'bad-key', maxRetries: 0 });
+    const error = await client.post('translate', {}).catch(e => e);
+
+    expect(error).toBeInstanceOf(ApiError);
+    expect(error.status).toBe(403);
+    expect(error.requestId).toBe('req-123');
+    expect(error.message).toBe('Invalid API key (status 403, request req-123)');
+  });
+
+  test('falls back to status text when the error body is not JSON', async () => {
+    fetch.mockResolvedValue(mockResponse({ ok: false, status: 502, statusText: 'Bad Gateway', body: '' }));
+
+    const client = createApiClient({ apiKey: 'key', maxRetries: 0 });
+    const error = await client.post('sync/status', {}).catch(e => e);
+
+    expect(error.message).toMatch(/^Bad Gateway \(status 502, request [0-9a-f-]{36}\)$/);
+  });
+});
+
+describe('Retry Helpers', () => {
+  test('parses Retry-After seconds and HTTP dates', () => {
+    const now = Date.parse('2025-01-01T00:00:00Z');
+    expect(parseRetryAfter('5', now)).toBe(5000);
+    expect(parseRetryAfter('Wed, 01 Jan 2025 00:00:10 GMT', now)).toBe(10000);
+    expect(parseRetryAfter('', now)).toBeNull();
+    expect(parseRetryAfter('soon', now)).toBeNull();
+  });
+
+  test('honors Retry-After only for 429 and 503', () => {
+    expect(getRetryDelay(1, { status: 429, retryAfter: 7000 })).toBe(7000);
+    expect(getRetryDelay(1, { status: 503, retryAfter: 2000 })).toBe(2000);
+    expect(getRetryDelay(1, { status: 502, retryAfter: 7000, random: () => 1 })).toBe(1000);
+  });
+
+  test('backs off exponentially with jitter', () => {
+    expect(getRetryDelay(1, { random: () => 1 })).toBe(1000);
+    expect(getRetryDelay(3, { random: () => 1 })).toBe(4000);
+    expect(getRetryDelay(3, { random: () => 0 })).toBe(2000);
+    expect(getRetryDelay(20, { random: () => 1 })).toBe(60000);
+  });
+
+  test('only retries transient failures', () => {
+    expect(isRetryableError(new ApiError('x', { status: 429 }))).toBe(true);
+    expect(isRetryableError(new ApiError('x', { status: 502 }))).toBe(true);
+    expect(isRetryableError(new ApiError('x', { status: 400 }))).toBe(false);
+    expect(isRetryableError(Object.assign(new Error('timeout'), { name: 'FetchError' }))).toBe(true);
+    expect(isRetryableError(new TypeError('bug'))).toBe(false);
+  });
+});
+
+describe('Client Retries', () => {
+  beforeEach(() => {
+    jest.clearAllMocks();
+  });
+
+  test('retries 429 responses using Retry-After and counts retries', async () => {
+    fetch
+      .mockResolvedValueOnce(mockResponse({ ok: false, status: 429, statusText: 'Too Many Requests', headers: { 'retry-after': '3' } }))
+      .mockResolvedValueOnce(mockResponse({ ok: false, status: 502, statusText: 'Bad Gateway' }))
+      .mockResolvedValueOnce(mockResponse({ body: { es: 'ok' } }));
+
+    const wait = jest.fn().mockResolvedValue();
+    const client = createApiClient({ apiKey: 'key', maxRetries: 3, wait });
+    const result = await client.post('translate', {});
+
+    expect(result).toEqual({ es: 'ok' });
+    expect(fetch).toHaveBeenCalledTimes(3);
+    expect(wait).toHaveBeenCalledTimes(2);
+    expect(wait.mock.calls[0][0]).toBe(3000);
+    expect(client.stats.retries).toBe(2);
+  });
+
+  test('gives up after maxRetries', async () => {
+    fetch.mockResolvedValue(mockResponse({ ok: false, status: 503, statusText: 'Service Unavailable' }));
+
+    const wait = jest.fn().mockResolvedValue();
+    const client = createApiClient({ apiKey: 'key', maxRetries: 2, wait });
+    const error = await client.post('verify/batch', {}).catch(e => e);
+
+    expect(error.status).toBe(503);
+    expect(fetch).toHaveBeenCalledTimes(3);
+    expect(client.stats.retries).toBe(2);
+  });
+
+  test('does not retry client errors', async () => {
+    fetch.mockResolvedValue(mockResponse({ ok: false, status: 400, body: { error: 'Bad input' } }));
+
+    const wait = jest.fn().mockResolvedValue();
+    const client = createApiClient({ apiKey: 'key', wait });
+    await expect(client.post('self-correct/json', {})).rejects.toThrow('Bad input');
+
+    expect(fetch).toHaveBeenCalledTimes(1);
+    expect(wait).not.toHaveBeenCalled();
+  });
+
+  test('passes the request timeout to fetch', async () => {
+    fetch.mockResolvedValue(mockResponse());
+
+    const client = createApiClient({ apiKey: 'key', timeout: 5000 });
+    await client.post('translate', {});
+
+    expect(fetch.mock.calls[0][1].timeout).toBe(5000);
+  });
+});
@@ -0,0 +1,98 @@
+/**
+ * Tests for Flutter ARB files
+ */
+
+const arb = require('../formats/arb');
+const { messageArguments } = require('../formats/icu');
+const { getFormat } = require('../formats');
+
+const SOURCE = JSON.stringify({
+  '@@locale': 'en',
+  '@@x-template': true,
+  helloWorld: 'Hello World!',
+  '@helloWorld': { description: 'Title of the home page' },
+  greeting: 'Hello {userName}',
+  '@greeting': {
+    description: 'Greeting with the signed-in user',
+    placeholders: { userName: { type: 'String', example: 'Bob' } },
+  },
+  itemCount: '{count, plural, =0{No items} =1{One item} other{{count} items}}',
+}, null, 2);
+
+describe('ARB Format', () => {
+  test('is selected for .arb files', () => {
+    expect(getFormat('lib/l10n/app_en.arb')).toBe(arb);
+  });
+
+  test('parses message keys only', () => {
+    expect(arb.parse(SOURCE)).toEqual({
+      helloWorld: 'Hello World!',
+      greeting: 'Hello {userName}',
+      itemCount: '{count, plural, =0{No items} =1{One item} other{{count} items}}',
+    });
+  });
+
+  test('reads descriptions as translator context', () => {
+    expect(arb.context(SOURCE)).toEqual({
+      helloWorld: 'Title of the home page',
+      greeting: 'Greeting with the signed-in user',
+    });
+  });
+
+  test('uses declared placeholders, falling back to those of the source message', () => {
+    expect(arb.placeholders(SOURCE)).toEqual({
+      helloWorld: [],
+      greeting: ['userName'],
+      itemCount: ['count'],
+    });
+  });
+
+  test('serialize sets @@locale and copies metadata of translated messages', () => {
+    const output = JSON.parse(arb.serialize({
+      greeting: 'Hola {userName}',
+      helloWorld: '¡Hola mundo!',
+    }, { source: SOURCE, lang: 'es' }));
+
+    expect(output).toEqual({
+      '@@locale': 'es',
+      '@@x-template': true,
+      helloWorld: '¡Hola mundo!',
+      '@helloWorld': { description: 'Title of the home page' },
+      greeting: 'Hola {userName}',
+      '@greeting': {
+        description: 'Greeting with the signed-in user',
+        placeholders: { userName: { type: 'String', example: 'Bob' } },
+      },
+    });
+    expect(Object.keys(output).slice(0, 3)).toEqual(['@@locale', '@@x-template', 'helloWorld']);
+  });
+
+  test('writes files with Flutter locale suffixes', () => {
+    expect(arb.localizedPath('lib/l10n', 'lib/l10n/app_en.arb', 'pt-BR')).toBe('lib/l10n/app_pt_BR.arb');
+    expect(arb.localizedPath('lib/l10n', 'lib/l10n/intl_messages.arb', 'de')).toBe('lib/l10n/intl_messages_de.arb');
+    expect(JSON.parse(arb.serialize({}, { source: SOURCE, lang: 'zh-Hant' }))['@@locale']).toBe('zh_Hant');
+  });
+
+  test('only strips the source-language suffix from file names', () => {
+    expect(arb.localizedPath('lib/l10n', 'lib/l10n/my_app.arb', 'es', 'en')).toBe('lib/l10n/my_app_es.arb');
+    expect(arb.localizedPath('lib/l10n', 'lib/l10n/app_en_US.arb', 'es', 'en')).toBe('lib/l10n/app_es.arb');
+    expect(arb.localizedPath('lib/l10n', 'lib/l10n/app_zh_Hant.arb', 'ja', 'zh-Hant')).toBe('lib/l10n/app_ja.arb');
+  });
+});
+
+describe('ICU message arguments', () => {
+  test('finds simple and formatted arguments', () => {
+    expect(messageArguments('Hi {name}, you owe {amount, number, currency}')).toEqual(['amount', 'name']);
+  });
+
+  test('looks inside plural and select branches but not at their selectors', () => {
+    const message = '{gender, select, male{He has {count} items} female{She has {count} items} other{They have one item}}';
+    expect(messageArguments(message)).toEqual(['count', 'gender']);
+    expect(messageArguments('{count, plural, =1{item} other{{count} items by {author}}}')).toEqual(['author', 'count']);
+  });
+
+  test('returns nothing for plain text', () => {
+    expect(messageArguments('No placeholders here')).toEqual([]);
+    expect(messageArguments(undefined)).toEqual([]);
+  });
+});
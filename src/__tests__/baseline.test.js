@@ -0,0 +1,103 @@
+/**
+ * Tests for choosing and fetching the incremental baseline commit
+ */
+
+jest.mock('@actions/core', () => ({ info: jest.fn(), warning: jest.fn() }));
+jest.mock('@actions/github', () => ({ context: { eventName: 'push', payload: {} } }));
+jest.mock('@actions/exec', () => ({ exec: jest.fn() }));
+
+const core = require('@actions/core');
+const exec = require('@actions/exec');
+const { baselineRef, resolveBaseline, getFileAtCommit } = require('../baseline');
+
+const BEFORE = 'a'.repeat(40);
+const BASE = 'b'.repeat(40);
+
+/**
+ * Fake git: known commits resolve, fetches make more commits known
+ */
+function mockGit(commits, fetched = {}) {
+  const calls = [];
+  exec.exec.mockImplementation(async (command, args, options) => {
+    calls.push(args.join(' '));
+    if (args[0] === 'rev-parse') {
+      const sha = commits[args[3].replace('^{commit}', '')];
+      if (!sha) return 1;
+      options.listeners.stdout(Buffer.from(`${sha}\n`));
+      return 0;
+    }
+    if (args[0] === 'fetch') {
+      Object.assign(commits, fetched);
+      return 0;
+    }
+    return 1;
+  });
+  return calls;
+}
+
+describe('Incremental baseline', () => {
+  beforeEach(() => {
+    jest.clearAllMocks();
+  });
+
+  test('uses the commit before a push', () => {
+    expect(baselineRef('', { eventName: 'push', payload: { before: BEFORE } })).toEqual({ ref: BEFORE, reason: 'commit before the push' });
+  });
+
+  test('has no baseline for new branches and manual runs', () => {
+    expect(baselineRef('', { eventName: 'push', payload: { before: '0'.repeat(40) } })).toBeNull();
+    expect(baselineRef('', { eventName: 'workflow_dispatch', payload: {} })).toBeNull();
+  });
+
+  test('uses the base of a pull request', () => {
+    const context = { eventName: 'pull_request', payload: { pull_request: { number: 7, base: { sha: BASE } } } };
+    expect(baselineRef('', context)).toEqual({ ref: BASE, reason: 'base of pull request #7' });
+  });
+
+  test('base-ref wins over the event payload', () => {
+    expect(baselineRef('release', { eventName: 'push', payload: { before: BEFORE } })).toEqual({ ref: 'release', reason: 'base-ref input' });
+  });
+
+  test('resolves a commit that is already in the checkout', async () => {
+    const calls = mockGit({ [BEFORE]: BEFORE });
+    await expect(resolveBaseline('', { eventName: 'push', payload: { before: BEFORE } })).resolves.toBe(BEFORE);
+    expect(calls.some(call => call.startsWith('fetch'))).toBe(false);
+  });
+
+  test('fetches a missing commit in shallow checkouts', async () => {
+    const calls = mockGit({}, { [BASE]: BASE });
+    const context = { eventName: 'pull_request', payload: { pull_request: { number: 7, base: { sha: BASE } } } };
+
+    await expect(resolveBaseline('', context)).resolves.toBe(BASE);
+    expect(calls).toContain(`fetch --no-tags --depth=1 origin ${BASE}`);
+  });
+
+  test('resolves fetched branches', async () => {
+    const calls = mockGit({}, { FETCH_HEAD: BASE });
+    await expect(resolveBaseline('main', { eventName: 'push', payload: {} })).resolves.toBe(BASE);
+    expect(calls).toContain('fetch --no-tags --depth=1 origin main');
+  });
+
+  test('translates in full instead of guessing a baseline for other events', async () => {
+    const calls = mockGit({ 'HEAD~1': BEFORE });
+    await expect(resolveBaseline('', { eventName: 'schedule', payload: {} })).resolves.toBeNull();
+    expect(calls).toEqual([]);
+    expect(core.info).toHaveBeenCalledWith(expect.stringContaining('No incremental baseline in the schedule event'));
+    expect(core.warning).not.toHaveBeenCalled();
+  });
+
+  test('returns null when the baseline cannot be found', async () => {
+    mockGit({});
+    await expect(resolveBaseline('gone', { eventName: 'push', payload: {} })).resolves.toBeNull();
+    await expect(getFileAtCommit(null, 'locales/en.json')).resolves.toBeNull();
+  });
+
+  test('reads files at the baseline commit', async () => {
+    exec.exec.mockImplementation(async (command, args, options) => {
+      options.listeners.stdout(Buffer.from('{"a": "A"}\n'));
+      return 0;
+    });
+    await expect(getFileAtCommit(BEFORE, 'locales/en.json')).resolves.toBe('{"a": "A"}\n');
+    expect(exec.exec.mock.calls[0][1]).toEqual(['show', `${BEFORE}:locales/en.json`]);
+  });
+});
@@ -0,0 +1,160 @@
+/**
+ * Tests for chunked translation of large locale files
+ */
+
+// Mock @actions/core
+jest.mock('@actions/core', () => ({
+  info: jest.fn(),
+  warning: jest.fn(),
+}));
+
+const core = require('@actions/core');
+const { splitIntoBatches, translateInBatches } = require('../batching');
+const { mapWithConcurrency } = require('../pool');
+
+function fakeTranslate(flatBatch) {
+  const es = {};
+  for (const [key, value] of Object.entries(flatBatch)) {
+    es[key] = `es:${value}`;
+  }
+  return { translations: { es }, skippedInfo: { count: 0, keys: [] } };
+}
+
+describe('splitIntoBatches', () => {
+  test('splits by key count', () => {
+    const flat = { a: '1', b: '2', c: '3', d: '4', e: '5' };
+    const batches = splitIntoBatches(flat, { maxKeys: 2 });
+
+    expect(batches).toEqual([{ a: '1', b: '2' }, { c: '3', d: '4' }, { e: '5' }]);
+  });
+
+  test('splits by byte size', () => {
+    const flat = { a: 'x'.repeat(40), b: 'y'.repeat(40), c: 'z' };
+    const batches = splitIntoBatches(flat, { maxKeys: 100, maxBytes: 60 });
+
+    expect(batches.map(b => Object.keys(b))).toEqual([['a'], ['b', 'c']]);
+  });
+
+  test('keeps an oversized entry in its own batch', () => {
+    const flat = { big: 'x'.repeat(500), small: 'y' };
+    const batches = splitIntoBatches(flat, { maxBytes: 100 });
+
+    expect(batches.map(b => Object.keys(b))).toEqual([['big'], ['small']]);
+  });
+
+  test('returns no batches for empty content', () => {
+    expect(splitIntoBatches({})).toEqual([]);
+  });
+});
+
+describe('translateInBatches', () => {
+  beforeEach(() => {
+    jest.clearAllMocks();
+  });
+
+  test('reassembles translations from all batches in key order', async () => {
+    const flat = { 'a.b': 'one', 'a.c': 'two', d: 'three' };
+    const translateBatch = jest.fn(async (batch) => fakeTranslate(batch));
+
+    const result = await translateInBatches(flat, translateBatch, { maxKeys: 2 });
+
+    expect(translateBatch).toHaveBeenCalledTimes(2);
+    expect(result.batchCount).toBe(2);
+    expect(result.translations.es).toEqual({ 'a.b': 'es:one', 'a.c': 'es:two', d: 'es:three' });
+    expect(Object.keys(result.translations.es)).toEqual(['a.b', 'a.c', 'd']);
+  });
+
+  test('keeps only the keys of each batch from its translations', async () => {
+    const flat = { 'list[0]': 'a', 'list[1]': 'b', 'list[2]': 'c', 'list[3]': 'd' };
+    // Like the API, a partially sent array comes back with null for the items it didn't get
+    const translateBatch = jest.fn(async (batch) => {
+      const es = { 'list[0]': null, 'list[1]': null, 'list[2]': null, 'list[3]': null };
+      for (const [key, value] of Object.entries(batch)) es[key] = value.toUpperCase();
+      return { translations: { es } };
+    });
+
+    const result = await translateInBatches(flat, translateBatch, { maxKeys: 2 });
+
+    expect(result.translations.es).toEqual({ 'list[0]': 'A', 'list[1]': 'B', 'list[2]': 'C', 'list[3]': 'D' });
+  });
+
+  test('sums skipped info across batches', async () => {
+    const translateBatch = jest.fn(async (batch) => ({
+      translations: { es: {} },
+      skippedInfo: { count: 1, keys: [Object.keys(batch)[0]] },
+    }));
+
+    const result = await translateInBatches({ a: '1', b: '2' }, translateBatch, { maxKeys: 1 });
+
+    expect(result.skippedInfo).toEqual({ count: 2, keys: ['a', 'b'] });
+  });
+
+  test('retries a failed batch on its own as two halves', async () => {
+    const flat = { a: '1', b: '2', c: '3', d: '4' };
+    let failed = false;
+    const translateBatch = jest.fn(async (batch) => {
+      if (!failed && 'c' in batch) {
+        failed = true;
+        throw new Error('Payload too large');
+      }
+      return fakeTranslate(batch);
+    });
+
+    const result = await translateInBatches(flat, translateBatch, { maxKeys: 2 });
+
+    expect(Object.keys(result.translations.es)).toEqual(['a', 'b', 'c', 'd']);
+    expect(translateBatch.mock.calls.map(c => Object.keys(c[0]))).toEqual([['a', 'b'], ['c', 'd'], ['c'], ['d']]);
+    expect(core.warning).toHaveBeenCalledWith(expect.stringContaining('Batch 2/2 (2 keys) failed'));
+  });
+
+  test('fails when a single-key batch cannot be translated', async () => {
+    const translateBatch = jest.fn().mockRejectedValue(new Error('API down'));
+
+    await expect(translateInBatches({ a: '1' }, translateBatch)).rejects.toThrow('API down');
+    expect(translateBatch).toHaveBeenCalledTimes(1);
+  });
+
+  test('runs batches in parallel up to the concurrency limit', async () => {
+    let inFlight = 0;
+    let maxInFlight = 0;
+    const translateBatch = jest.fn(async (batch) => {
+      inFlight++;
+      maxInFlight = Math.max(maxInFlight, inFlight);
+      await new Promise(resolve => setTimeout(resolve, 5));
+      inFlight--;
+      return fakeTranslate(batch);
+    });
+
+    const flat = { a: '1', b: '2', c: '3', d: '4', e: '5' };
+    const result = await translateInBatches(flat, translateBatch, { maxKeys: 1, concurrency: 2 });
+
+    expect(maxInFlight).toBe(2);
+    expect(Object.keys(result.translations.es)).toEqual(['a', 'b', 'c', 'd', 'e']);
+  });
+});
+
+describe('mapWithConcurrency', () => {
+  test('returns results in input order', async () => {
+    const delays = [15, 1, 5];
+    const results = await mapWithConcurrency(delays, 3, async (ms, i) => {
+      await new Promise(resolve => setTimeout(resolve, ms));
+      return i;
+    });
+
+    expect(results).toEqual([0, 1, 2]);
+  });
+
+  test('stops starting new items after a failure', async () => {
+    const worker = jest.fn(async (item) => {
+      if (item === 1) throw new Error('failed');
+      return item;
+    });
+
+    await expect(mapWithConcurrency([1, 2, 3], 1, worker)).rejects.toThrow('failed');
+    expect(worker).toHaveBeenCalledTimes(1);
+  });
+
+  test('handles an empty list', async () => {
+    expect(await mapWithConcurrency([], 4, jest.fn())).toEqual([]);
+  });
+});
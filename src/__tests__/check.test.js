@@ -0,0 +1,129 @@
+/**
+ * Tests for checking existing translations (mode: check)
+ */
+
+// Mock @actions/core
+jest.mock('@actions/core', () => ({
+  info: jest.fn(),
+  warning: jest.fn(),
+}));
+
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const core = require('@actions/core');
+const { checkTargetFiles, logCheckResults } = require('../check');
+const { parseThresholds, checkThresholds } = require('../thresholds');
+
+describe('Check mode', () => {
+  const source = {
+    title: 'Welcome, {{name}}',
+    button: 'OK',
+    footer: 'All rights reserved',
+    files_one: '{{count}} file',
+    files_other: '{{count}} files',
+  };
+  const de = {
+    title: 'Willkommen, {{name}}',
+    button: 'OK',
+    footer: 'Alle Rechte vorbehalten',
+    files_one: '{{count}} Datei',
+    files_other: '{{count}} Dateien',
+  };
+  let dir;
+
+  const write = (name, content) => {
+    const file = path.join(dir, name);
+    fs.writeFileSync(file, typeof content === 'string' ? content : JSON.stringify(content));
+    return file;
+  };
+
+  const check = (targets, options = {}) => checkTargetFiles(
+    write('en.json', source), targets, 'en', {}, options.skipKeys || [], [], null, []
+  );
+
+  beforeEach(() => {
+    jest.clearAllMocks();
+    dir = fs.mkdtempSync(path.join(os.tmpdir(), 'shipi18n-check-'));
+  });
+
+  afterEach(() => {
+    fs.rmSync(dir, { recursive: true, force: true });
+  });
+
+  test('passes complete translations, including the plural forms of each language', async () => {
+    const issues = await check({
+      de: write('de.json', de),
+      ru: write('ru.json', {
+        title: 'Добро пожаловать, {{name}}',
+        button: 'OK',
+        footer: 'Все права защищены',
+        files_one: '{{count}} файл',
+        files_few: '{{count}} файла',
+        files_many: '{{count}} файлов',
+        files_other: '{{count}} файла',
+      }),
+    });
+
+    // "OK" is the same in both languages: a warning, not an error
+    expect(issues.map(({ lang, key, severity, type }) => `${lang} ${key}: ${severity} ${type}`)).toEqual([
+      'de button: warning untranslated',
+      'ru button: warning untranslated',
+    ]);
+  });
+
+  test('reports missing, extra, untranslated and placeholder problems', async () => {
+    const issues = await check({
+      es: write('es.json', { title: 'Bienvenido', button: 'Aceptar', footer: 'All rights reserved', legacy: 'Viejo' }),
+      fr: path.join(dir, 'fr.json'),
+    });
+
+    expect(issues.map(({ lang, type, severity, key, keys }) => ({ lang, type, severity, key, keys }))).toEqual([
+      { lang: 'es', type: 'missing_keys', severity: 'error', key: undefined, keys: ['files_one', 'files_other'] },
+      { lang: 'es', type: 'extra_keys', severity: 'error', key: undefined, keys: ['legacy'] },
+      { lang: 'es', type: 'untranslated', severity: 'warning', key: 'footer', keys: undefined },
+      { lang: 'es', type: 'placeholder', severity: 'error', key: 'title', keys: undefined },
+      { lang: 'fr', type: 'missing_keys', severity: 'error', key: undefined, keys: Object.keys(source) },
+    ]);
+    expect(issues[0]).toMatchObject({ file: path.join(dir, 'es.json'), message: '2 key(s) missing in es: files_one, files_other' });
+  });
+
+  test('does not require skipped keys', async () => {
+    const issues = await check({ de: write('de.json', { button: 'Okay' }) }, { skipKeys: ['title', 'footer', 'files_one', 'files_other'] });
+
+    expect(issues).toEqual([]);
+  });
+
+  test('fails the check on errors, not on untranslated warnings', async () => {
+    const thresholds = parseThresholds({}, 'error');
+    const untranslated = await check({ de: write('de.json', { ...de, footer: 'All rights reserved' }) });
+    const broken = await check({ de: write('de.json', { ...de, title: 'Willkommen' }) });
+
+    expect(untranslated.map(issue => issue.type)).toEqual(['untranslated', 'untranslated']);
+    expect(checkThresholds(untranslated, 'skipped', thresholds)).toEqual([]);
+    expect(checkThresholds(untranslated, 'skipped', parseThresholds({ 'fail-on': 'warning' }, 'error'))).toHaveLength(1);
+    expect(checkThresholds(broken, 'skipped', thresholds)).toEqual(['1 verification error(s) (fail-on: error)']);
+  });
+
+  test('logs counts per language and lists the errors', async () => {
+    const issues = await check({ de: write('de.json', { ...de, title: 'Willkommen', footer: 'All rights reserved' }) });
+
+    logCheckResults(issues);
+
+    expect(core.info).toHaveBeenCalledWith('  de: 2 untranslated, 1 placeholder');
+    expect(core.warning).toHaveBeenCalledTimes(1);
+    expect(core.warning).toHaveBeenCalledWith(expect.stringContaining('[de] title: Missing placeholders'));
+  });
+
+  test('shows flat keys with dots as they are written in the files', async () => {
+    const flat = { 'home.title': 'Welcome, {{name}}', 'home.cta': 'Start' };
+    const issues = await checkTargetFiles(
+      write('en.json', flat), { de: write('de.json', { 'home.title': 'Willkommen' }) }, 'en', {}, [], [], null, []
+    );
+
+    logCheckResults(issues);
+
+    expect(issues[0]).toMatchObject({ type: 'missing_keys', keys: ['home\\.cta'], message: '1 key(s) missing in de: home.cta' });
+    expect(core.warning).toHaveBeenCalledWith(expect.stringContaining('[de] home.title: Missing placeholders'));
+  });
+});
@@ -0,0 +1,158 @@
+/**
+ * Tests for the .shipi18n.yml config file
+ */
+
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { JOB_OPTIONS, validate, normalizeJob, loadConfig } = require('../config');
+
+describe('Config file', () => {
+  let dir;
+
+  beforeEach(() => {
+    dir = fs.mkdtempSync(path.join(os.tmpdir(), 'shipi18n-config-'));
+  });
+
+  afterEach(() => {
+    fs.rmSync(dir, { recursive: true, force: true });
+  });
+
+  function writeConfig(text) {
+    const file = path.join(dir, '.shipi18n.yml');
+    fs.writeFileSync(file, text);
+    return file;
+  }
+
+  test('loads jobs that inherit the defaults', async () => {
+    const file = writeConfig(`
+defaults:
+  target-languages: [es, fr]
+  verify: true
+jobs:
+  - name: web
+    source-dir: apps/web/locales/en
+    output-dir: apps/web/locales
+    skip-paths: 'config.*'
+  - source-file: apps/mobile/lib/l10n/app_en.arb
+    target-languages: es, ja
+    format: arb
+    verify: false
+    protected-terms:
+      - Acme Pro
+      - /v\\d+/
+`);
+
+    const { jobs } = await loadConfig(file);
+
+    expect(jobs).toHaveLength(2);
+    expect(jobs[0]).toMatchObject({
+      name: 'web',
+      sourceDir: 'apps/web/locales/en',
+      outputDir: 'apps/web/locales',
+      targetLanguages: ['es', 'fr'],
+      skipPaths: ['config.*'],
+      verify: true,
+      incremental: true,
+      format: null,
+    });
+    expect(jobs[1]).toMatchObject({
+      name: 'apps/mobile/lib/l10n/app_en.arb',
+      targetLanguages: ['es', 'ja'],
+      format: 'arb',
+      verify: false,
+    });
+    expect(jobs[1].protectedTerms).toHaveLength(2);
+  });
+
+  test('reports every schema violation with its location', async () => {
+    const file = writeConfig(`
+jobs:
+  - source-file: locales/en.json
+    target-language: es
+    verify-mode: full
+    max-retries: 9
+extra: true
+`);
+
+    await expect(loadConfig(file)).rejects.toThrow([
+      `Invalid ${file}:`,
+      '  - jobs[0]: unknown option "target-language" (did you mean "target-languages"?)',
+      '  - jobs[0].verify-mode: must be one of quick, thorough, got "full"',
+      '  - jobs[0].max-retries: must be at most 5',
+      '  - config: unknown option "extra"',
+    ].join('\n'));
+  });
+
+  test('checks types and required options', () => {
+    expect(validate({})).toEqual(['config: missing "jobs"']);
+    expect(validate({ jobs: [] })).toEqual(['jobs: must have at least 1 item(s)']);
+    expect(validate({ jobs: [{ verify: 'yes', 'target-languages': [1] }] })).toEqual([
+      'jobs[0].verify: expected boolean, got string',
+      'jobs[0].target-languages[0]: expected string, got integer',
+    ]);
+  });
+
+  test('accepts a language map as an object or pairs', async () => {
+    const file = writeConfig(`
+defaults:
+  target-languages: [zh, pt]
+  output-pattern: '{locale}/{namespace}{ext}'
+jobs:
+  - source-dir: locales/en
+    language-map: { zh: zh-Hans }
+  - source-dir: emails/en
+    language-map: pt=pt_BR
+`);
+
+    const { jobs } = await loadConfig(file);
+
+    expect(jobs[0].languageMap).toEqual({ zh: 'zh-Hans' });
+    expect(jobs[1].languageMap).toEqual({ pt: 'pt_BR' });
+    expect(jobs[1].outputPattern).toBe('{locale}/{namespace}{ext}');
+    expect(validate({ jobs: [{ 'language-map': { zh: 1 } }] })).toEqual(['jobs[0].language-map.zh: expected string, got integer']);
+  });
+
+  test('rejects jobs without a single source', async () => {
+    const file = writeConfig('jobs:\n  - target-languages: [es]\n');
+
+    await expect(loadConfig(file)).rejects.toThrow(`Invalid ${file}: jobs[0]: Either source-file or source-dir must be specified`);
+  });
+
+  test('is optional unless a path is given', async () => {
+    const missing = path.join(dir, 'missing.yml');
+
+    await expect(loadConfig(missing)).resolves.toBeNull();
+    await expect(loadConfig(missing, true)).rejects.toThrow(`Config file not found: ${missing}`);
+  });
+
+  test('normalizes string inputs like config values', () => {
+    const inputs = Object.fromEntries(JOB_OPTIONS.map(name => [name, '']));
+    const job = normalizeJob({
+      ...inputs,
+      'source-file': 'locales/en.json',
+      'target-languages': 'es, fr',
+      incremental: 'false',
+      'skip-keys': 'a,b',
+      exclude: 'drafts/**, packages/{web,mobile}/*.json',
+      'xliff-version': '2.0',
+    }, 'inputs');
+
+    expect(job).toMatchObject({
+      sourceFile: 'locales/en.json',
+      sourceLanguage: 'en',
+      targetLanguages: ['es', 'fr'],
+      incremental: false,
+      skipKeys: ['a', 'b'],
+      include: [],
+      exclude: ['drafts/**', 'packages/{web,mobile}/*.json'],
+      verifyMode: 'quick',
+      maxRetries: 2,
+      xliffVersion: '2.0',
+    });
+    expect(normalizeJob({ ...inputs, 'source-file': 'a.json', 'target-languages': 'es', 'max-retries': '0' }, 'x').maxRetries).toBe(0);
+    expect(normalizeJob({ 'source-file': 'a.json', 'target-languages': 'es', 'max-retries': 9 }, 'x').maxRetries).toBe(5);
+    expect(() => normalizeJob({ 'source-file': 'a.json', 'target-languages': 'es', format: 'csv' }, 'x')).toThrow('Unknown format "csv"');
+    expect(() => normalizeJob({ 'source-file': 'a.json', 'target-languages': 'es', format: 'yaml' }, 'x')).toThrow('source-file a.json is not a yaml file');
+  });
+});
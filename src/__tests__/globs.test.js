@@ -0,0 +1,75 @@
+/**
+ * Tests for file globs and recursive file discovery
+ */
+
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { hasGlob, matchesGlob, globBase, walkFiles, expandGlob } = require('../globs');
+
+describe('File globs', () => {
+  test('matches * within a folder and ** across folders', () => {
+    expect(matchesGlob('admin/users.json', ['admin/*.json'])).toBe(true);
+    expect(matchesGlob('admin/deep/users.json', ['admin/*.json'])).toBe(false);
+    expect(matchesGlob('admin/deep/users.json', ['admin/**/*.json'])).toBe(true);
+    expect(matchesGlob('admin/users.json', ['admin/**/*.json'])).toBe(true);
+    expect(matchesGlob('drafts/a/b.json', ['drafts/**'])).toBe(true);
+  });
+
+  test('matches file names at any depth when the glob has no folder', () => {
+    expect(matchesGlob('a/b/home.test.json', ['*.test.json'])).toBe(true);
+    expect(matchesGlob('a/b/home.json', ['*.test.json'])).toBe(false);
+    expect(matchesGlob('a/en1.json', ['en?.json'])).toBe(true);
+  });
+
+  test('supports alternatives and treats other characters literally', () => {
+    expect(matchesGlob('packages/web/en.json', ['packages/{web,mobile}/en.json'])).toBe(true);
+    expect(matchesGlob('packages/docs/en.json', ['packages/{web,mobile}/en.json'])).toBe(false);
+    expect(matchesGlob('config/locales/devise.en.yml', ['config/locales/**/{en,*.en}.yml'])).toBe(true);
+    expect(matchesGlob('config/locales/devise.es.yml', ['config/locales/**/{en,*.en}.yml'])).toBe(false);
+    expect(matchesGlob('enXjson', ['en.json'])).toBe(false);
+    expect(matchesGlob('./en.json', ['./en.json'])).toBe(true);
+  });
+
+  test('finds the fixed folder of a glob', () => {
+    expect(hasGlob('locales/en.json')).toBe(false);
+    expect(hasGlob('packages/*/en.json')).toBe(true);
+    expect(globBase('packages/{web,mobile}/locales/en.json')).toBe('packages');
+    expect(globBase('*/en.json')).toBe('.');
+    expect(globBase('locales/en.json')).toBe('locales');
+  });
+
+  describe('on disk', () => {
+    let dir;
+
+    beforeEach(() => {
+      dir = fs.mkdtempSync(path.join(os.tmpdir(), 'shipi18n-globs-'));
+      for (const file of ['web/locales/en.json', 'web/locales/fr.json', 'mobile/locales/en.json', 'mobile/node_modules/x/en.json', '.cache/en.json']) {
+        fs.mkdirSync(path.dirname(path.join(dir, file)), { recursive: true });
+        fs.writeFileSync(path.join(dir, file), '{}');
+      }
+    });
+
+    afterEach(() => {
+      fs.rmSync(dir, { recursive: true, force: true });
+    });
+
+    test('walks folders in a stable order, skipping hidden folders and node_modules', async () => {
+      expect(await walkFiles(dir)).toEqual([
+        path.join('mobile', 'locales', 'en.json'),
+        path.join('web', 'locales', 'en.json'),
+        path.join('web', 'locales', 'fr.json'),
+      ]);
+    });
+
+    test('expands a glob to matching files', async () => {
+      const glob = `${dir.split(path.sep).join('/')}/*/locales/en.json`;
+
+      expect(await expandGlob(glob)).toEqual([
+        path.join(dir, 'mobile', 'locales', 'en.json'),
+        path.join(dir, 'web', 'locales', 'en.json'),
+      ]);
+      expect(await expandGlob(path.join(dir, 'missing', '*.json'))).toEqual([]);
+    });
+  });
+});
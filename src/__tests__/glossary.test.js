@@ -0,0 +1,78 @@
+/**
+ * Tests for glossary loading, term selection and terminology checks
+ */
+
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { parseCsv, loadGlossary, containsTerm, glossaryFor, verifyGlossary } = require('../glossary');
+
+const GLOSSARY = [
+  { term: 'Workspace', translations: { es: 'Espacio de trabajo', fr: 'Espace de travail' } },
+  { term: 'Billing plan', translations: { es: 'Plan de facturación' } },
+];
+
+describe('Glossary', () => {
+  let dir;
+
+  beforeEach(() => {
+    dir = fs.mkdtempSync(path.join(os.tmpdir(), 'shipi18n-glossary-'));
+  });
+
+  afterEach(() => {
+    fs.rmSync(dir, { recursive: true, force: true });
+  });
+
+  test('parses quoted CSV cells', () => {
+    expect(parseCsv('term,es\r\n"Sign in, now","Entrar ""ya"""\n\n')).toEqual([
+      ['term', 'es'],
+      ['Sign in, now', 'Entrar "ya"'],
+    ]);
+  });
+
+  test('loads CSV glossaries and leaves empty cells out', async () => {
+    const file = path.join(dir, 'glossary.csv');
+    fs.writeFileSync(file, '\uFEFFterm,es,fr\nWorkspace,Espacio de trabajo,Espace de travail\nBilling plan,Plan de facturación,\n');
+
+    await expect(loadGlossary(file)).resolves.toEqual(GLOSSARY);
+  });
+
+  test('loads JSON glossaries', async () => {
+    const file = path.join(dir, 'glossary.json');
+    fs.writeFileSync(file, JSON.stringify({ Workspace: { es: 'Espacio de trabajo', fr: 'Espace de travail' } }));
+
+    await expect(loadGlossary(file)).resolves.toEqual([GLOSSARY[0]]);
+  });
+
+  test('rejects malformed glossaries', async () => {
+    const file = path.join(dir, 'glossary.json');
+    fs.writeFileSync(file, '["Workspace"]');
+
+    await expect(loadGlossary(file)).rejects.toThrow(`Failed to parse glossary ${file}`);
+  });
+
+  test('matches whole words ignoring case', () => {
+    expect(containsTerm('Open your workspace', 'Workspace')).toBe(true);
+    expect(containsTerm('Workspaces', 'Workspace')).toBe(false);
+    expect(containsTerm('Change billing plan.', 'Billing plan')).toBe(true);
+  });
+
+  test('selects the terms used in the content per language', () => {
+    const values = { title: 'Create a workspace', body: 'Hello' };
+
+    expect(glossaryFor(GLOSSARY, values, ['es', 'fr', 'de'])).toEqual({
+      es: { Workspace: 'Espacio de trabajo' },
+      fr: { Workspace: 'Espace de travail' },
+    });
+    expect(glossaryFor(null, values, ['es'])).toEqual({});
+  });
+
+  test('reports translations that do not use the approved term', () => {
+    const issue = verifyGlossary(GLOSSARY, 'Create a workspace', 'Crear un área de trabajo', 'title', 'es');
+
+    expect(issue).toMatchObject({ key: 'title', type: 'glossary', severity: 'error' });
+    expect(issue.message).toBe('Glossary term(s) not used: "Workspace" → "Espacio de trabajo"');
+    expect(verifyGlossary(GLOSSARY, 'Create a workspace', 'Crear un espacio de trabajo', 'title', 'es')).toBeNull();
+    expect(verifyGlossary(GLOSSARY, 'Change billing plan', 'Changer de forfait', 'plan', 'fr')).toBeNull();
+  });
+});
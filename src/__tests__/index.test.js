@@ -0,0 +1,98 @@
+/**
+ * Tests for translating source files and the records of the files written
+ */
+
+jest.mock('@actions/core', () => ({ info: jest.fn(), warning: jest.fn() }));
+
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { translateFile, getOutputFile, writeTranslatedFiles, verifyRecords, filesByLocale, filesWrittenOutput } = require('../index');
+
+// Like the API: every target language gets the values prefixed with its code
+function fakeClient() {
+  const prefix = (value, lang) => (typeof value === 'string'
+    ? `[${lang}] ${value}`
+    : Object.fromEntries(Object.entries(value).map(([key, item]) => [key, prefix(item, lang)])));
+  return {
+    post: jest.fn(async (endpoint, body) => Object.fromEntries(JSON.parse(body.targetLanguages).map(lang =>
+      [lang, JSON.stringify(prefix(JSON.parse(body.text), lang))]
+    ))),
+  };
+}
+
+describe('Translating a source file', () => {
+  let dir;
+  let sourceFile;
+
+  const translate = async (client, languages, locales = {}) => {
+    const targetFiles = Object.fromEntries(languages.map(lang => [lang, getOutputFile(dir, sourceFile, locales[lang] || lang)]));
+    const result = await translateFile(client, sourceFile, { targetLanguages: languages, sourceLanguage: 'en', targetFiles, locales });
+    return { result, targetFiles };
+  };
+
+  beforeEach(() => {
+    dir = fs.mkdtempSync(path.join(os.tmpdir(), 'shipi18n-index-'));
+    sourceFile = path.join(dir, 'en.json');
+    fs.writeFileSync(sourceFile, JSON.stringify({ home: { title: 'Welcome, {{name}}' }, files_one: '{{count}} file', files_other: '{{count}} files' }));
+  });
+
+  afterEach(() => {
+    fs.rmSync(dir, { recursive: true, force: true });
+  });
+
+  test('records each written file with its source, language and locale', async () => {
+    const locales = { zh: 'zh-Hant', pt: 'pt_BR' };
+    const { result, targetFiles } = await translate(fakeClient(), ['es', 'zh', 'pt'], locales);
+
+    const records = await writeTranslatedFiles(result.translations, targetFiles, sourceFile, [], false, false, locales, 'en');
+
+    expect(records.map(({ file, sourceFile: source, lang, locale }) => [path.basename(file), path.basename(source), lang, locale])).toEqual([
+      ['es.json', 'en.json', 'es', 'es'],
+      ['zh-Hant.json', 'en.json', 'zh', 'zh-Hant'],
+      ['pt_BR.json', 'en.json', 'pt', 'pt_BR'],
+    ]);
+    expect(records[0].keys).toEqual(['home.title', 'files_one', 'files_many', 'files_other']);
+    expect(filesWrittenOutput(records)[1]).toEqual({ file: path.join(dir, 'zh-Hant.json'), source: sourceFile, language: 'zh-Hant', keys: 2 });
+  });
+
+  test('verifies each written file against its own source and language', async () => {
+    const locales = { zh: 'zh-Hant' };
+    const { result, targetFiles } = await translate(fakeClient(), ['es', 'zh'], locales);
+    const records = await writeTranslatedFiles(result.translations, targetFiles, sourceFile, [], false, false, locales, 'en');
+    const sourceContents = { [sourceFile]: JSON.parse(fs.readFileSync(sourceFile, 'utf8')) };
+
+    expect(await verifyRecords(records, sourceContents)).toEqual([]);
+
+    fs.writeFileSync(targetFiles.zh, JSON.stringify({ home: { title: '歡迎光臨我們的網站' }, files_other: '{{count}} 個檔案' }));
+    expect(await verifyRecords(records, sourceContents)).toEqual([
+      expect.objectContaining({ key: 'home.title', type: 'placeholder', lang: 'zh-Hant', file: targetFiles.zh }),
+    ]);
+  });
+
+  test('sends languages with different plural categories in one request', async () => {
+    const client = fakeClient();
+    const { result } = await translate(client, ['ja', 'ru', 'de']);
+
+    expect(client.post).toHaveBeenCalledTimes(1);
+    expect(JSON.parse(client.post.mock.calls[0][1].targetLanguages)).toEqual(['ja', 'ru', 'de']);
+    expect(Object.keys(result.translations.ja)).toEqual(['home', 'files_other']);
+    expect(Object.keys(result.translations.ru)).toEqual(['home', 'files_one', 'files_few', 'files_many', 'files_other']);
+    expect(Object.keys(result.translations.de)).toEqual(['home', 'files_one', 'files_other']);
+  });
+
+  test('groups the written files by locale for the PR description', () => {
+    const records = [
+      { file: 'locales/zh-Hant.json', locale: 'zh-Hant' },
+      { file: 'locales/pt_BR/common.json', locale: 'pt_BR' },
+      { file: 'locales/zh-Hant/common.json', locale: 'zh-Hant' },
+      { file: '.shipi18n.lock', locale: null },
+    ];
+
+    expect(filesByLocale(records)).toEqual({
+      'zh-Hant': ['locales/zh-Hant.json', 'locales/zh-Hant/common.json'],
+      pt_BR: ['locales/pt_BR/common.json'],
+      other: ['.shipi18n.lock'],
+    });
+  });
+});
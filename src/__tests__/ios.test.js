@@ -0,0 +1,144 @@
+/**
+ * Tests for Apple .strings and .stringsdict parsing and writes
+ */
+
+const strings = require('../formats/strings');
+const stringsdict = require('../formats/stringsdict');
+const { getFormat } = require('../formats');
+
+const STRINGS = `/* Title of the home screen */
+"home.title" = "Welcome";
+
+// Greeting with the user's name
+"greeting" = "Hello, %@!\\nGood to see \\"you\\"";
+button_ok = "OK";
+`;
+
+const STRINGSDICT = `<?xml version="1.0" encoding="UTF-8"?>
+<!DOCTYPE plist PUBLIC "-//Apple//DTD PLIST 1.0//EN" "http://www.apple.com/DTDs/PropertyList-1.0.dtd">
+<plist version="1.0">
+<dict>
+	<key>files.count</key>
+	<dict>
+		<key>NSStringLocalizedFormatKey</key>
+		<string>%#@files@</string>
+		<key>files</key>
+		<dict>
+			<key>NSStringFormatSpecTypeKey</key>
+			<string>NSStringPluralRuleType</string>
+			<key>NSStringFormatValueTypeKey</key>
+			<string>ld</string>
+			<key>one</key>
+			<string>%ld file</string>
+			<key>other</key>
+			<string>%ld files</string>
+		</dict>
+	</dict>
+</dict>
+</plist>
+`;
+
+describe('Apple .strings Format', () => {
+  test('is selected for .strings files', () => {
+    expect(getFormat('en.lproj/Localizable.strings')).toBe(strings);
+  });
+
+  test('parses quoted and bare keys with escapes', () => {
+    expect(strings.parse(STRINGS)).toEqual({
+      'home.title': 'Welcome',
+      greeting: 'Hello, %@!\nGood to see "you"',
+      button_ok: 'OK',
+    });
+  });
+
+  test('keeps a key and its dotted sub-keys apart', () => {
+    expect(strings.parse('"button" = "Button";\n"button.save" = "Save";\n')).toEqual({ button: 'Button', 'button.save': 'Save' });
+  });
+
+  test('reports syntax errors with a line number', () => {
+    expect(() => strings.parse('"a" = "b";\n"c" "d";')).toThrow("Expected '=' on line 2");
+  });
+
+  test('serialize keeps comments, layout and key order of the source', () => {
+    const output = strings.serialize({
+      'home.title': 'Bienvenido',
+      greeting: 'Hola, %@!\n¿Qué tal "tú"?',
+    }, { source: STRINGS });
+
+    expect(output).toBe(`/* Title of the home screen */
+"home.title" = "Bienvenido";
+
+// Greeting with the user's name
+"greeting" = "Hola, %@!\\n¿Qué tal \\"tú\\"?";
+`);
+  });
+
+  test('writes targets to .lproj folders', () => {
+    expect(strings.localizedPath('App', 'App/en.lproj/Localizable.strings', 'pt-BR')).toBe('App/pt-BR.lproj/Localizable.strings');
+  });
+});
+
+describe('Apple .stringsdict Format', () => {
+  test('is selected for .stringsdict files', () => {
+    expect(getFormat('Base.lproj/Localizable.stringsdict')).toBe(stringsdict);
+  });
+
+  test('parses plural rules into category keys', () => {
+    expect(stringsdict.parse(STRINGSDICT)).toEqual({
+      files: {
+        count: {
+          NSStringLocalizedFormatKey: '%#@files@',
+          files_one: '%ld file',
+          files_other: '%ld files',
+        },
+      },
+    });
+  });
+
+  test('serialize writes the plural categories of the target language', () => {
+    const output = stringsdict.serialize({
+      files: {
+        count: {
+          NSStringLocalizedFormatKey: '%#@files@',
+          files_one: '%ld файл',
+          files_few: '%ld файла',
+          files_many: '%ld файлов',
+          files_other: '%ld файла',
+        },
+      },
+    }, { source: STRINGSDICT, lang: 'ru' });
+
+    expect(output).toContain('<key>NSStringFormatValueTypeKey</key>\n\t\t\t<string>ld</string>');
+    expect(output).toContain('<key>few</key>\n\t\t\t<string>%ld файла</string>');
+    expect(stringsdict.parse(output).files.count).toEqual({
+      NSStringLocalizedFormatKey: '%#@files@',
+      files_one: '%ld файл',
+      files_few: '%ld файла',
+      files_many: '%ld файлов',
+      files_other: '%ld файла',
+    });
+  });
+
+  test('serialize leaves out plural categories without a translation', () => {
+    const output = stringsdict.serialize({
+      files: { count: { files_one: '%ld файл', files_other: '%ld файла' } },
+    }, { source: STRINGSDICT, lang: 'ru' });
+
+    expect(stringsdict.parse(output).files.count).toEqual({
+      NSStringLocalizedFormatKey: '%#@files@',
+      files_one: '%ld файл',
+      files_other: '%ld файла',
+    });
+  });
+
+  test('serialize writes the categories of the language and omits untranslated entries', () => {
+    const translated = stringsdict.serialize({ files: { count: { files_other: '%ld個のファイル' } } }, { source: STRINGSDICT, lang: 'ja' });
+    expect(stringsdict.parse(translated).files.count).toEqual({
+      NSStringLocalizedFormatKey: '%#@files@',
+      files_other: '%ld個のファイル',
+    });
+
+    const empty = stringsdict.serialize({}, { source: STRINGSDICT, lang: 'ja' });
+    expect(stringsdict.parse(empty)).toEqual({});
+  });
+});
@@ -0,0 +1,50 @@
+/**
+ * Tests for JSON locale file writes that keep source key order and file style
+ */
+
+const json = require('../formats/json');
+const { orderKeys } = require('../formats/style');
+
+const SOURCE = '{\n  "home": {\n    "title": "Welcome",\n    "subtitle": "Hello"\n  },\n  "items_one": "{{count}} item",\n  "items_other": "{{count}} items"\n}\n';
+
+describe('JSON Format', () => {
+  test('parses files with a BOM', () => {
+    expect(json.parse('\uFEFF{"a": "b"}')).toEqual({ a: 'b' });
+  });
+
+  test('writes keys in source order, whatever order they were merged in', () => {
+    const content = { items_other: 'artículos', home: { subtitle: 'Hola', title: 'Bienvenido' }, items_one: 'artículo' };
+
+    expect(json.serialize(content, { source: SOURCE })).toBe(
+      '{\n  "home": {\n    "title": "Bienvenido",\n    "subtitle": "Hola"\n  },\n  "items_one": "artículo",\n  "items_other": "artículos"\n}\n'
+    );
+  });
+
+  test('keeps target-only keys next to the key they followed', () => {
+    const content = { home: { title: 'T', subtitle: 'S' }, items_one: 'a', items_few: 'b', items_many: 'c', items_other: 'd' };
+    expect(Object.keys(JSON.parse(json.serialize(content, { source: SOURCE }))))
+      .toEqual(['home', 'items_one', 'items_few', 'items_many', 'items_other']);
+  });
+
+  test('keeps indentation, line endings, missing trailing newline and BOM of the existing file', () => {
+    const existing = '\uFEFF{\r\n\t"home": {\r\n\t\t"title": "Willkommen"\r\n\t}\r\n}';
+    expect(json.serialize({ home: { title: 'Willkommen', subtitle: 'Hallo' } }, { existing, source: SOURCE }))
+      .toBe('\uFEFF{\r\n\t"home": {\r\n\t\t"title": "Willkommen",\r\n\t\t"subtitle": "Hallo"\r\n\t}\r\n}');
+  });
+
+  test('follows the source style for new files and keeps single-line files compact', () => {
+    const source = '{\n    "a": "A",\n    "b": "B"\n}\n';
+    expect(json.serialize({ b: 'b', a: 'a' }, { source })).toBe('{\n    "a": "a",\n    "b": "b"\n}\n');
+    expect(json.serialize({ a: 'a' }, { source: '{"a":"A"}' })).toBe('{"a":"a"}');
+    expect(json.serialize({ a: 'a' })).toBe('{\n  "a": "a"\n}\n');
+  });
+
+  test('sorts keys at every level with sortKeys', () => {
+    const output = json.serialize({ b: { z: 'z', y: 'y' }, a: 'a' }, { source: SOURCE, sortKeys: true });
+    expect(output).toBe('{\n  "a": "a",\n  "b": {\n    "y": "y",\n    "z": "z"\n  }\n}\n');
+  });
+
+  test('orderKeys puts keys missing from the template at the start when they lead', () => {
+    expect(orderKeys(['x', 'b', 'a'], ['a', 'b'])).toEqual(['x', 'a', 'b']);
+  });
+});
@@ -0,0 +1,80 @@
+/**
+ * Tests for language maps and output path patterns
+ */
+
+const path = require('path');
+const {
+  parseLanguageMap,
+  localeFor,
+  validateOutputPattern,
+  namespaceOf,
+  languageFileName,
+  fileLocale,
+  isOtherLanguageFile,
+  expandOutputPattern,
+} = require('../locales');
+
+describe('Locales', () => {
+  test('parses a language map from pairs or an object', () => {
+    expect(parseLanguageMap('zh=zh-Hans, pt = pt_BR')).toEqual({ zh: 'zh-Hans', pt: 'pt_BR' });
+    expect(parseLanguageMap('zh=zh-Hans\npt=pt_BR')).toEqual({ zh: 'zh-Hans', pt: 'pt_BR' });
+    expect(parseLanguageMap({ es: 'es_ES' })).toEqual({ es: 'es_ES' });
+    expect(parseLanguageMap('')).toEqual({});
+    expect(() => parseLanguageMap('zh:zh-Hans')).toThrow('Invalid language-map entry "zh:zh-Hans"');
+  });
+
+  test('maps a language to its locale', () => {
+    const map = { zh: 'zh-Hans' };
+
+    expect(localeFor(map, 'zh')).toBe('zh-Hans');
+    expect(localeFor(map, 'de')).toBe('de');
+    expect(localeFor({}, 'de')).toBe('de');
+  });
+
+  test('validates output patterns', () => {
+    expect(() => validateOutputPattern('{locale}/{dir}/{namespace}{ext}')).not.toThrow();
+    expect(() => validateOutputPattern('{namespace}.json')).toThrow('output-pattern must contain {lang} or {locale}');
+    expect(() => validateOutputPattern('{language}/{namespace}{ext}')).toThrow('Unknown output-pattern token {language}');
+  });
+
+  test('derives the namespace of a source file', () => {
+    expect(namespaceOf('config/locales/devise.en.yml', 'en')).toBe('devise');
+    expect(namespaceOf('locales/messages_en.json', 'en')).toBe('messages');
+    expect(namespaceOf('locales/en/common.json', 'en')).toBe('common');
+    expect(namespaceOf('locales/en.json', 'en')).toBe('en');
+    expect(namespaceOf('locales/strings.en-US.json', 'en-US')).toBe('strings');
+  });
+
+  test('renames files named after the source language', () => {
+    expect(languageFileName('config/locales/devise.en.yml', 'en', 'es')).toBe('devise.es.yml');
+    expect(languageFileName('config/locales/en.yml', 'en', 'pt-BR')).toBe('pt-BR.yml');
+    expect(languageFileName('config/locales/men.yml', 'en', 'es')).toBeNull();
+    expect(languageFileName('config/locales/devise.yml', 'en', 'es')).toBeNull();
+  });
+
+  test('finds the locale a file is named after', () => {
+    expect(fileLocale('config/locales/devise.es.yml')).toBe('es');
+    expect(fileLocale('config/locales/es.yml')).toBe('es');
+    expect(fileLocale('i18n/messages_pt_BR.properties')).toBe('pt_BR');
+    expect(fileLocale('Resources/Strings.zh-Hant.resx')).toBe('zh-Hant');
+    expect(fileLocale('i18n/error_msg.properties')).toBeNull();
+    expect(fileLocale('lib/l10n/my_app.arb')).toBeNull();
+    expect(fileLocale('locales/en/common.json')).toBeNull();
+  });
+
+  test('tells translations apart from source-language files', () => {
+    const files = ['config/locales/devise.en.yml', 'config/locales/en.yml', 'config/locales/devise.es.yml', 'config/locales/es.yml', 'config/locales/devise.de.yml'];
+
+    expect(files.filter(file => !isOtherLanguageFile(file, 'en'))).toEqual(['config/locales/devise.en.yml', 'config/locales/en.yml']);
+    expect(isOtherLanguageFile('i18n/messages_en_US.properties', 'en')).toBe(false);
+    expect(isOtherLanguageFile('i18n/messages.properties', 'en')).toBe(false);
+  });
+
+  test('expands output patterns', () => {
+    const tokens = { lang: 'es', locale: 'es_ES', namespace: 'users', dir: 'admin', ext: '.json' };
+
+    expect(expandOutputPattern('{locale}/{dir}/{namespace}{ext}', tokens)).toBe(path.join('es_ES', 'admin', 'users.json'));
+    expect(expandOutputPattern('{namespace}.{lang}{ext}', tokens)).toBe('users.es.json');
+    expect(expandOutputPattern('{dir}/{namespace}.{locale}{ext}', { ...tokens, dir: '' })).toBe('users.es_ES.json');
+  });
+});
@@ -0,0 +1,115 @@
+/**
+ * Tests for the translation lockfile
+ */
+
+jest.mock('@actions/core', () => ({ info: jest.fn(), warning: jest.fn() }));
+
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const core = require('@actions/core');
+const { hashSource, readLockfile, planFromLock, findHumanEdits, isSourceChanged, recordKeys, writeLockfile } = require('../lockfile');
+const { pluralCategories, pluralGroups, coveredSourceKeys } = require('../formats/plurals');
+
+const SOURCE = { 'home.title': 'Welcome', 'home.subtitle': 'Hello', 'steps[0]': 'One' };
+
+describe('Lockfile', () => {
+  let dir;
+
+  beforeEach(() => {
+    jest.clearAllMocks();
+    dir = fs.mkdtempSync(path.join(os.tmpdir(), 'shipi18n-lock-'));
+  });
+
+  afterEach(() => {
+    fs.rmSync(dir, { recursive: true, force: true });
+  });
+
+  test('plans stale, missing and deleted keys per language', () => {
+    const entries = {
+      es: { 'home.title': hashSource('Welcome'), 'home.subtitle': hashSource('Hi'), 'steps[0]': hashSource('One'), old: hashSource('Old') },
+    };
+
+    const plan = planFromLock(entries, SOURCE, ['es', 'fr']);
+
+    expect(plan.missingByLang).toEqual({
+      es: ['home.subtitle'],
+      fr: ['home.title', 'home.subtitle', 'steps[0]'],
+    });
+    expect(plan.deleted).toEqual(['old']);
+  });
+
+  test('records translated keys and keeps entries of keys that were not translated', () => {
+    const lock = { version: 1, files: { 'locales/en.json': { es: { 'home.title': 'stale', old: 'x' } } } };
+
+    recordKeys(lock, 'locales/en.json', 'es', SOURCE, ['home.subtitle']);
+    recordKeys(lock, 'locales/en.json', 'fr', SOURCE, Object.keys(SOURCE));
+
+    expect(lock.files['locales/en.json'].es).toEqual({ 'home.title': 'stale', 'home.subtitle': hashSource('Hello') });
+    expect(planFromLock(lock.files['locales/en.json'], SOURCE, ['fr']).missingByLang.fr).toEqual([]);
+  });
+
+  test('languages with fewer plural forms stay up to date once their forms are recorded', () => {
+    const source = { files_one: '%d file', files_other: '%d files' };
+    const lock = { version: 1, files: {} };
+
+    // ja only gets files_other; files_one is covered by it
+    const covered = coveredSourceKeys(Object.keys(source), ['files_other'], pluralCategories('ja'), pluralGroups(Object.keys(source)));
+    recordKeys(lock, 'locales/en.json', 'ja', source, covered, { files_other: '%d個のファイル' });
+
+    expect(planFromLock(lock.files['locales/en.json'], source, ['ja']).missingByLang.ja).toEqual([]);
+  });
+
+  test('detects translations edited since the action wrote them', () => {
+    const lock = { version: 1, files: {} };
+    const written = { 'home.title': 'Bienvenido', 'home.subtitle': 'Hola', 'steps[0]': 'Uno' };
+    recordKeys(lock, 'locales/en.json', 'es', SOURCE, Object.keys(SOURCE), written);
+    const entries = lock.files['locales/en.json'];
+
+    const target = { ...written, 'home.title': 'Bienvenida', 'steps[0]': '' };
+    expect(findHumanEdits(entries.es, target, Object.keys(SOURCE))).toEqual(['home.title']);
+    expect(findHumanEdits(undefined, target, Object.keys(SOURCE))).toEqual([]);
+
+    // Entries recorded without a target value have no provenance
+    expect(findHumanEdits({ 'home.title': hashSource('Welcome') }, target, ['home.title'])).toEqual([]);
+  });
+
+  test('kept edits take the new source text but stay edited', () => {
+    const lock = { version: 1, files: {} };
+    recordKeys(lock, 'a.json', 'es', SOURCE, Object.keys(SOURCE), { 'home.title': 'Bienvenido' });
+
+    const changed = { ...SOURCE, 'home.title': 'Welcome!' };
+    const entries = lock.files['a.json'].es;
+    expect(isSourceChanged(entries, changed, 'home.title')).toBe(true);
+
+    recordKeys(lock, 'a.json', 'es', changed, ['home.title'], { 'home.title': 'Bienvenida' }, ['home.title']);
+    const updated = lock.files['a.json'].es;
+    expect(isSourceChanged(updated, changed, 'home.title')).toBe(false);
+    expect(planFromLock(lock.files['a.json'], changed, ['es']).missingByLang.es).toEqual([]);
+    expect(findHumanEdits(updated, { 'home.title': 'Bienvenida' }, ['home.title'])).toEqual(['home.title']);
+  });
+
+  test('writes sorted JSON and reports whether it changed', async () => {
+    const lockPath = path.join(dir, '.shipi18n.lock');
+    const lock = await readLockfile(lockPath);
+    recordKeys(lock, 'b.json', 'fr', { z: 'Z', a: 'A' }, ['z', 'a']);
+    recordKeys(lock, 'a.json', 'es', { k: 'K' }, ['k']);
+
+    await expect(writeLockfile(lockPath, lock)).resolves.toBe(true);
+    await expect(writeLockfile(lockPath, lock)).resolves.toBe(false);
+
+    const written = fs.readFileSync(lockPath, 'utf8');
+    expect(Object.keys(JSON.parse(written).files)).toEqual(['a.json', 'b.json']);
+    expect(Object.keys(JSON.parse(written).files['b.json'].fr)).toEqual(['a', 'z']);
+    await expect(readLockfile(lockPath)).resolves.toEqual(JSON.parse(written));
+  });
+
+  test('starts empty when the lockfile is missing or invalid', async () => {
+    const lockPath = path.join(dir, '.shipi18n.lock');
+    await expect(readLockfile(lockPath)).resolves.toEqual({ version: 1, files: {} });
+
+    fs.writeFileSync(lockPath, '{ not json');
+    await expect(readLockfile(lockPath)).resolves.toEqual({ version: 1, files: {} });
+    expect(core.warning).toHaveBeenCalled();
+  });
+});
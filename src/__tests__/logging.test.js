@@ -0,0 +1,74 @@
+/**
+ * Tests for grouped logging used by parallel file processing
+ */
+
+// Mock @actions/core
+jest.mock('@actions/core', () => ({
+  info: jest.fn(),
+  warning: jest.fn(),
+  debug: jest.fn(),
+  startGroup: jest.fn(),
+  endGroup: jest.fn(),
+  group: jest.fn(async (name, fn) => fn()),
+}));
+
+const core = require('@actions/core');
+const log = require('../logging');
+const { mapWithConcurrency } = require('../pool');
+
+function callOrder() {
+  const calls = [];
+  for (const method of ['info', 'warning', 'startGroup', 'endGroup']) {
+    core[method].mock.calls.forEach((args, i) => {
+      calls.push({ order: core[method].mock.invocationCallOrder[i], method, message: args[0] });
+    });
+  }
+  return calls.sort((a, b) => a.order - b.order).map(c => `${c.method}:${c.message || ''}`);
+}
+
+describe('Grouped Logging', () => {
+  beforeEach(() => {
+    jest.clearAllMocks();
+  });
+
+  test('writes directly to core outside of a group', () => {
+    log.info('hello');
+    log.warning('careful');
+
+    expect(core.info).toHaveBeenCalledWith('hello');
+    expect(core.warning).toHaveBeenCalledWith('careful');
+  });
+
+  test('uses core.group when not buffered', async () => {
+    const result = await log.group('file.json', async () => 42);
+
+    expect(result).toBe(42);
+    expect(core.group).toHaveBeenCalledWith('file.json', expect.any(Function));
+  });
+
+  test('keeps parallel groups from interleaving', async () => {
+    const delays = { 'a.json': 10, 'b.json': 1 };
+
+    await mapWithConcurrency(Object.keys(delays), 2, (file) =>
+      log.group(file, async () => {
+        log.info(`${file} start`);
+        await new Promise(resolve => setTimeout(resolve, delays[file]));
+        log.warning(`${file} end`);
+      }, { buffered: true })
+    );
+
+    expect(callOrder()).toEqual([
+      'startGroup:b.json', 'info:b.json start', 'warning:b.json end', 'endGroup:',
+      'startGroup:a.json', 'info:a.json start', 'warning:a.json end', 'endGroup:',
+    ]);
+  });
+
+  test('flushes buffered output when the group fails', async () => {
+    await expect(log.group('bad.json', async () => {
+      log.info('reading');
+      throw new Error('boom');
+    }, { buffered: true })).rejects.toThrow('boom');
+
+    expect(callOrder()).toEqual(['startGroup:bad.json', 'info:reading', 'endGroup:']);
+  });
+});
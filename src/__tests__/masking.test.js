@@ -0,0 +1,43 @@
+/**
+ * Tests for masking protected terms around translation requests
+ */
+
+const { parseProtectedTerms, findProtectedTerms, maskValues, unmaskValues, verifyProtectedTerms } = require('../masking');
+
+describe('Protected terms', () => {
+  const terms = parseProtectedTerms('Acme\nAcme Pro\n/v\\d+(\\.\\d+)*/');
+
+  test('parses comma-separated and line-separated terms', () => {
+    expect(parseProtectedTerms('Acme, Acme Pro')).toHaveLength(2);
+    expect(parseProtectedTerms('/a,b/\nAcme')).toHaveLength(2);
+    expect(parseProtectedTerms('')).toEqual([]);
+    expect(() => parseProtectedTerms('/(/')).toThrow('Invalid protected term /(/');
+  });
+
+  test('finds whole-word terms, preferring the longest match', () => {
+    expect(findProtectedTerms('Upgrade to Acme Pro v2.1', terms)).toEqual([
+      { index: 11, text: 'Acme Pro' },
+      { index: 20, text: 'v2.1' },
+    ]);
+    expect(findProtectedTerms('Acmeville and acme', terms)).toEqual([]);
+  });
+
+  test('masks values and restores the terms in translations', () => {
+    const masked = maskValues({ title: 'Upgrade to Acme Pro', body: 'Hello', count: 3 }, terms);
+
+    expect(masked.values).toEqual({ title: 'Upgrade to {{PROTECTED_0}}', body: 'Hello', count: 3 });
+    expect(masked.terms).toEqual({ title: ['Acme Pro'] });
+
+    const translated = { title: 'Passer à {{PROTECTED_0}}', body: 'Bonjour', count: 3 };
+    expect(unmaskValues(translated, masked.terms)).toEqual({ title: 'Passer à Acme Pro', body: 'Bonjour', count: 3 });
+  });
+
+  test('reports translations that lost a protected term', () => {
+    const issue = verifyProtectedTerms(terms, 'Upgrade to Acme Pro', 'アクメプロにアップグレード', 'title');
+
+    expect(issue).toMatchObject({ key: 'title', type: 'protected_term', severity: 'error' });
+    expect(issue.message).toBe('Protected term(s) missing: "Acme Pro"');
+    expect(verifyProtectedTerms(terms, 'Upgrade to Acme Pro', 'Acme Proにアップグレード', 'title')).toBeNull();
+    expect(verifyProtectedTerms([], 'Upgrade to Acme Pro', 'Mejorar', 'title')).toBeNull();
+  });
+});
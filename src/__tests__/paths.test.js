@@ -0,0 +1,77 @@
+/**
+ * Tests for key paths with literal dots and array items
+ */
+
+const { joinPath, splitPath, fromFlatKey, flattenObject, unflattenObject, displayKey, isSkippedPath } = require('../paths');
+
+describe('Key paths', () => {
+  test('escapes dots, brackets and backslashes inside keys', () => {
+    expect(joinPath('', 'home.title')).toBe('home\\.title');
+    expect(joinPath('menu', 'a[b]\\c')).toBe('menu.a\\[b\\]\\\\c');
+    expect(joinPath('items', 0)).toBe('items[0]');
+  });
+
+  test('splits paths into keys and array indices', () => {
+    expect(splitPath('items[0].label')).toEqual(['items', 0, 'label']);
+    expect(splitPath('home\\.title')).toEqual(['home.title']);
+    expect(splitPath('grid[1][2]')).toEqual(['grid', 1, 2]);
+    expect(splitPath('menu.a\\[b\\]\\\\c')).toEqual(['menu', 'a[b]\\c']);
+  });
+
+  test('converts literal keys of flat handler content', () => {
+    expect(fromFlatKey('button.save')).toBe('button\\.save');
+    expect(fromFlatKey('items[0]')).toBe('items\\[0\\]');
+    expect(fromFlatKey('msg_0123456789ab_one')).toBe('msg_0123456789ab_one');
+  });
+
+  test('flat-style keys round-trip instead of being nested', () => {
+    const content = { 'home.title': 'Welcome', home: { 'sub.title': 'Hello' } };
+    const flat = flattenObject(content);
+
+    expect(Object.keys(flat)).toEqual(['home\\.title', 'home.sub\\.title']);
+    expect(unflattenObject(flat)).toEqual(content);
+  });
+
+  test('arrays are flattened item by item and rebuilt as arrays', () => {
+    const content = { steps: ['One {n}', 'Two'], faq: [{ q: 'Why?', a: 'Because' }], empty: [] };
+    const flat = flattenObject(content);
+
+    expect(flat).toEqual({ 'steps[0]': 'One {n}', 'steps[1]': 'Two', 'faq[0].q': 'Why?', 'faq[0].a': 'Because', empty: [] });
+    expect(unflattenObject(flat)).toEqual(content);
+  });
+
+  test('display keys drop the escapes and keep array items', () => {
+    expect(displayKey('extra\\.src')).toBe('extra.src');
+    expect(displayKey('menu.a\\[b\\]\\\\c')).toBe('menu.a[b]\\c');
+    expect(displayKey('items[0].label')).toBe('items[0].label');
+  });
+
+  test('partial arrays stay sparse so merges only touch their items', () => {
+    const partial = unflattenObject({ 'steps[1]': 'Dos' });
+    expect(partial.steps.length).toBe(2);
+    expect(0 in partial.steps).toBe(false);
+    expect(flattenObject(partial)).toEqual({ 'steps[1]': 'Dos' });
+  });
+});
+
+describe('Skipped paths', () => {
+  test('skip-keys match nested keys and flat keys with literal dots', () => {
+    expect(isSkippedPath('company.name', ['company.name'])).toBe(true);
+    expect(isSkippedPath('company\\.name', ['company.name'])).toBe(true);
+    expect(isSkippedPath('company.names', ['company.name'])).toBe(false);
+  });
+
+  test('skip-keys and skip-paths address array items', () => {
+    expect(isSkippedPath('brands[1]', ['brands[1]'])).toBe(true);
+    expect(isSkippedPath('brands[1]', ['brands.1'])).toBe(true);
+    expect(isSkippedPath('faq[3].id', [], ['faq.*.id'])).toBe(true);
+    expect(isSkippedPath('faq[3].id', [], ['faq[*].id'])).toBe(true);
+  });
+
+  test('skip-paths support single and double wildcards', () => {
+    expect(isSkippedPath('states.CA', [], ['states.*'])).toBe(true);
+    expect(isSkippedPath('states.CA.name', [], ['states.*'])).toBe(false);
+    expect(isSkippedPath('app.config.db.internal', [], ['**.internal'])).toBe(true);
+    expect(isSkippedPath('config\\.api.secret', [], ['config.*.secret'])).toBe(true);
+  });
+});
@@ -0,0 +1,46 @@
+/**
+ * Tests for plural categories and i18next-style plural keys
+ */
+
+const { pluralCategories, pluralGroups, expandPluralKeys, pluralSourceKey, coveredSourceKeys, addPluralForms } = require('../formats/plurals');
+
+describe('Plurals', () => {
+  const keys = ['title', 'files_one', 'files_other', 'items_zero', 'items_one', 'items_other', 'status_other'];
+  const groups = pluralGroups(keys);
+
+  test('lists the CLDR categories of a language', () => {
+    expect(pluralCategories('ru')).toEqual(['one', 'few', 'many', 'other']);
+    expect(pluralCategories('ja')).toEqual(['other']);
+    expect(pluralCategories('pt_BR')).toEqual(pluralCategories('pt-BR'));
+    expect(pluralCategories(null)).toEqual(['one', 'other']);
+  });
+
+  test('finds plural groups with an "other" form and at least one more', () => {
+    expect([...groups.keys()]).toEqual(['files', 'items']);
+    expect(groups.get('items')).toEqual(['items_zero', 'items_one', 'items_other']);
+  });
+
+  test('expands plural groups to the categories of the target language', () => {
+    expect(expandPluralKeys(['title', 'files_one'], pluralCategories('ru'), groups)).toEqual(['title', 'files_one', 'files_few', 'files_many', 'files_other']);
+    expect(expandPluralKeys(['files_one', 'files_other', 'status_other'], ['other'], groups)).toEqual(['files_other', 'status_other']);
+    expect(expandPluralKeys(['items_one'], ['one', 'other'], groups)).toEqual(['items_zero', 'items_one', 'items_other']);
+  });
+
+  test('finds the source keys a language covers', () => {
+    expect(coveredSourceKeys(keys, ['title', 'files_other', 'items_zero', 'items_other'], ['other'], groups))
+      .toEqual(['title', 'files_one', 'files_other', 'items_zero', 'items_one', 'items_other']);
+    expect(coveredSourceKeys(keys, ['files_one', 'files_few', 'files_other'], pluralCategories('ru'), groups)).toEqual([]);
+  });
+
+  test('translates forms the source does not have from its "other" form', () => {
+    expect(pluralSourceKey('files_few', groups)).toBe('files_other');
+    expect(pluralSourceKey('files_one', groups)).toBe('files_one');
+    expect(pluralSourceKey('status_few', groups)).toBe('status_few');
+    expect(addPluralForms({ files_one: '%d file', files_other: '%d files' }, ['files_one', 'files_few', 'files_many'], groups)).toEqual({
+      files_one: '%d file',
+      files_other: '%d files',
+      files_few: '%d files',
+      files_many: '%d files',
+    });
+  });
+});
@@ -0,0 +1,162 @@
+/**
+ * Tests for gettext PO/POT parsing, plural handling and target file writes
+ */
+
+const po = require('../formats/po');
+const { getFormat, supportedExtensions } = require('../formats');
+
+const TEMPLATE = `# Copyright
+msgid ""
+msgstr ""
+"Project-Id-Version: demo\\n"
+"Content-Type: text/plain; charset=UTF-8\\n"
+
+#. Greeting
+#: app.py:10
+#, python-format
+msgid "Hello %(name)s."
+msgstr ""
+
+msgctxt "menu"
+msgid "Open"
+msgstr ""
+
+msgid "One file"
+msgid_plural "%d files"
+msgstr[0] ""
+msgstr[1] ""
+
+msgid ""
+"Multi\\n"
+"line"
+msgstr ""
+`;
+
+const SPANISH = `# Spanish team
+msgid ""
+msgstr ""
+"Language: es\\n"
+"Plural-Forms: nplurals=2; plural=(n != 1);\\n"
+
+# checked by Ana
+#, python-format
+msgid "Hello %(name)s."
+msgstr "Hola %(name)s."
+
+#, fuzzy
+msgctxt "menu"
+msgid "Open"
+msgstr "Abrir?"
+
+msgid "Removed"
+msgstr "Eliminado"
+
+#~ msgid "Old"
+#~ msgstr "Viejo"
+`;
+
+const key = (msgid, msgctxt = null) => po.entryKey(msgctxt, msgid);
+
+describe('PO Format', () => {
+  test('is selected for .po and .pot files and writes .po targets', () => {
+    expect(getFormat('locales/messages.pot')).toBe(po);
+    expect(getFormat('locales/fr.po')).toBe(po);
+    expect(po.outputExtension).toBe('.po');
+    expect(supportedExtensions()).toEqual(expect.arrayContaining(['.po', '.pot']));
+  });
+
+  test('keys entries by context and msgid', () => {
+    expect(key('Open', 'menu')).not.toBe(key('Open'));
+    expect(key('Open')).toMatch(/^msg_[0-9a-f]{12}$/);
+  });
+
+  test('parses a template into source strings with plural keys', () => {
+    expect(po.parse(TEMPLATE)).toEqual({
+      [key('Hello %(name)s.')]: 'Hello %(name)s.',
+      [key('Open', 'menu')]: 'Open',
+      [`${key('One file')}_one`]: 'One file',
+      [`${key('One file')}_other`]: '%d files',
+      [key('Multi\nline')]: 'Multi\nline',
+    });
+  });
+
+  test('parseTarget ignores fuzzy, untranslated and obsolete entries', () => {
+    expect(po.parseTarget(SPANISH, { lang: 'es' })).toEqual({
+      [key('Hello %(name)s.')]: 'Hola %(name)s.',
+      [key('Removed')]: 'Eliminado',
+    });
+  });
+
+  test('diffTarget reports missing and obsolete entries', () => {
+    const { missing, obsolete } = po.diffTarget(po.parse(TEMPLATE), SPANISH, { lang: 'es' });
+    expect(missing).toEqual([
+      key('Open', 'menu'),
+      `${key('One file')}_one`,
+      `${key('One file')}_other`,
+      key('Multi\nline'),
+    ]);
+    expect(obsolete).toEqual([key('Removed')]);
+  });
+
+  test('diffTarget treats a missing target file as untranslated', () => {
+    const content = po.parse(TEMPLATE);
+    expect(po.diffTarget(content, null, { lang: 'es' }).missing).toEqual(Object.keys(content));
+  });
+
+  test('serialize writes new translations and keeps translator comments', () => {
+    const output = po.serialize({
+      [key('Hello %(name)s.')]: 'Hola %(name)s.',
+      [key('Open', 'menu')]: 'Abrir',
+    }, { existing: SPANISH, source: TEMPLATE, lang: 'es' });
+
+    expect(output).toContain('# checked by Ana\n#. Greeting\n#: app.py:10\n#, python-format\nmsgid "Hello %(name)s."\nmsgstr "Hola %(name)s."');
+    expect(output).toContain('msgctxt "menu"\nmsgid "Open"\nmsgstr "Abrir"');
+    expect(output).not.toContain('fuzzy');
+    expect(output).not.toContain('Removed');
+    expect(output).toContain('"Language: es\\n"');
+    expect(output).toContain('"Plural-Forms: nplurals=2; plural=(n != 1);\\n"');
+  });
+
+  test('serialize keeps the existing msgstr and fuzzy flag of entries without a new translation', () => {
+    const output = po.serialize({}, { existing: SPANISH, source: TEMPLATE, lang: 'es' });
+    expect(output).toContain('#, fuzzy\nmsgctxt "menu"\nmsgid "Open"\nmsgstr "Abrir?"');
+  });
+
+  test('serialize fills plural slots using the target language rule', () => {
+    const base = key('One file');
+    const output = po.serialize({
+      [`${base}_one`]: 'Один файл',
+      [`${base}_few`]: '%d файла',
+      [`${base}_many`]: '%d файлов',
+    }, { source: TEMPLATE, lang: 'ru' });
+
+    expect(output).toContain('msgstr[0] "Один файл"\nmsgstr[1] "%d файла"\nmsgstr[2] "%d файлов"');
+    expect(output).toContain('nplurals=3;');
+    expect(po.parseTarget(output, { lang: 'ru' })).toEqual({
+      [`${base}_one`]: 'Один файл',
+      [`${base}_few`]: '%d файла',
+      [`${base}_many`]: '%d файлов',
+    });
+  });
+
+  test('serialize leaves plurals untranslated until every category is translated', () => {
+    const base = key('One file');
+    const output = po.serialize({
+      [`${base}_one`]: 'Один файл',
+      [`${base}_other`]: '%d файла',
+    }, { source: TEMPLATE, lang: 'ru' });
+
+    expect(output).toContain('msgstr[0] ""\nmsgstr[1] ""\nmsgstr[2] ""');
+    expect(po.diffTarget(po.parse(TEMPLATE), output, { lang: 'ru' }).missing).toEqual(expect.arrayContaining([`${base}_one`, `${base}_other`]));
+  });
+
+  test('serialize writes multiline strings in gettext form', () => {
+    const output = po.serialize({ [key('Multi\nline')]: 'Multi\nlínea' }, { source: TEMPLATE, lang: 'es' });
+    expect(output).toContain('msgstr ""\n"Multi\\n"\n"línea"');
+  });
+
+  test('resolves plural rules for regional variants', () => {
+    expect(po.getPluralRule('pt_BR').categories).toEqual(po.getPluralRule('pt').categories);
+    expect(po.getPluralRule('ja').categories).toEqual(['other']);
+  });
+});
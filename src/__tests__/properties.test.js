@@ -0,0 +1,84 @@
+/**
+ * Tests for Java .properties resource bundles
+ */
+
+const properties = require('../formats/properties');
+const { getFormat } = require('../formats');
+
+const SOURCE = `# Home page
+home.title = Welcome
+home.subtitle:Hello {0}, it''s {1,time}
+! Legacy separator
+button\\ label Save
+long.text = First line \\
+    continues here
+caf\\u00e9 = Caf\\u00e9 menu
+`;
+
+describe('Properties Format', () => {
+  test('is selected for .properties files', () => {
+    expect(getFormat('src/main/resources/messages.properties')).toBe(properties);
+  });
+
+  test('parses separators, continuations, escapes and MessageFormat quotes', () => {
+    expect(properties.parse(SOURCE)).toEqual({
+      'home.title': 'Welcome',
+      'home.subtitle': "Hello {0}, it's {1,time}",
+      'button label': 'Save',
+      'long.text': 'First line continues here',
+      'café': 'Café menu',
+    });
+  });
+
+  test('keeps a key and its dotted sub-keys apart', () => {
+    const source = 'button=Button\nbutton.save=Save\n';
+
+    expect(properties.parse(source)).toEqual({ button: 'Button', 'button.save': 'Save' });
+    expect(properties.serialize(properties.parse(source), { source })).toBe(source);
+    expect(properties.serialize({ button: 'Bouton', 'button.save': 'Enregistrer' }, { source })).toBe('button=Bouton\nbutton.save=Enregistrer\n');
+  });
+
+  test('serialize keeps keys, separators and comments of the source', () => {
+    const output = properties.serialize({
+      'home.title': 'Bienvenue',
+      'home.subtitle': "Bonjour {0}, il est {1,time} à l'heure",
+      'button label': 'Enregistrer',
+      'long.text': 'Première ligne',
+      'café': 'Carte du café',
+    }, { source: SOURCE });
+
+    expect(output).toBe(`# Home page
+home.title = Bienvenue
+home.subtitle:Bonjour {0}, il est {1,time} \\u00e0 l''heure
+! Legacy separator
+button\\ label Enregistrer
+long.text = Premi\\u00e8re ligne
+caf\\u00e9 = Carte du caf\\u00e9
+`);
+    expect(properties.parse(output)['home.subtitle']).toBe("Bonjour {0}, il est {1,time} à l'heure");
+  });
+
+  test('serialize writes UTF-8 when the source does', () => {
+    const output = properties.serialize({ greeting: 'Grüß dich' }, { source: 'greeting=Grüße\n' });
+    expect(output).toBe('greeting=Grüß dich\n');
+  });
+
+  test('serialize leaves apostrophes alone in messages without arguments', () => {
+    const output = properties.serialize({ 'home.title': "L'accueil" }, { source: SOURCE });
+    expect(output).toContain("home.title = L'accueil");
+    expect(output).not.toContain('subtitle');
+  });
+
+  test('writes bundles with Java locale suffixes', () => {
+    expect(properties.localizedPath('i18n', 'i18n/messages.properties', 'pt-BR')).toBe('i18n/messages_pt_BR.properties');
+    expect(properties.localizedPath('i18n', 'i18n/messages_en.properties', 'es')).toBe('i18n/messages_es.properties');
+    expect(properties.defaultOutputDir('i18n/messages.properties')).toBe('i18n');
+  });
+
+  test('only strips the source-language suffix from bundle names', () => {
+    expect(properties.localizedPath('i18n', 'i18n/error_msg.properties', 'es', 'en')).toBe('i18n/error_msg_es.properties');
+    expect(properties.localizedPath('i18n', 'i18n/messages_en_US.properties', 'es', 'en')).toBe('i18n/messages_es.properties');
+    expect(properties.localizedPath('i18n', 'i18n/messages_de.properties', 'es', 'de-DE')).toBe('i18n/messages_es.properties');
+    expect(properties.localizedPath('i18n', 'i18n/labels_de.properties', 'es', 'en')).toBe('i18n/labels_de_es.properties');
+  });
+});
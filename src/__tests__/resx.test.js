@@ -0,0 +1,65 @@
+/**
+ * Tests for .NET .resx resource files
+ */
+
+const resx = require('../formats/resx');
+const { getFormat } = require('../formats');
+
+const SOURCE = `<?xml version="1.0" encoding="utf-8"?>
+<root>
+  <resheader name="resmimetype">
+    <value>text/microsoft-resx</value>
+  </resheader>
+  <data name="Greeting" xml:space="preserve">
+    <value>Hello {0} &amp; welcome</value>
+    <comment>Shown after sign-in; {0} is the first name</comment>
+  </data>
+  <data name="Home.Title" xml:space="preserve">
+    <value>Home</value>
+  </data>
+  <data name="Logo" type="System.Resources.ResXFileRef, System.Windows.Forms">
+    <value>..\\logo.png;System.Drawing.Bitmap, System.Drawing</value>
+  </data>
+  <data name="&gt;&gt;button1.Name" xml:space="preserve">
+    <value>button1</value>
+  </data>
+</root>
+`;
+
+describe('Resx Format', () => {
+  test('is selected for .resx files', () => {
+    expect(getFormat('Resources/Strings.resx')).toBe(resx);
+  });
+
+  test('parses string resources only', () => {
+    expect(resx.parse(SOURCE)).toEqual({
+      Greeting: 'Hello {0} & welcome',
+      'Home.Title': 'Home',
+    });
+  });
+
+  test('reads comments as translator context', () => {
+    expect(resx.context(SOURCE)).toEqual({ Greeting: 'Shown after sign-in; {0} is the first name' });
+  });
+
+  test('serialize writes values in place and drops untranslated and non-string entries', () => {
+    const output = resx.serialize({ Greeting: 'Hola {0} & bienvenido' }, { source: SOURCE });
+
+    expect(output).toBe(`<?xml version="1.0" encoding="utf-8"?>
+<root>
+  <resheader name="resmimetype">
+    <value>text/microsoft-resx</value>
+  </resheader>
+  <data name="Greeting" xml:space="preserve">
+    <value>Hola {0} &amp; bienvenido</value>
+    <comment>Shown after sign-in; {0} is the first name</comment>
+  </data>
+</root>
+`);
+  });
+
+  test('writes satellite files with a culture suffix', () => {
+    expect(resx.localizedPath('Resources', 'Resources/Strings.resx', 'pt-BR')).toBe('Resources/Strings.pt-BR.resx');
+    expect(resx.localizedPath('Resources', 'Resources/Strings.en-US.resx', 'de')).toBe('Resources/Strings.de.resx');
+  });
+});
@@ -0,0 +1,114 @@
+/**
+ * Tests for finding the keys target files are missing
+ */
+
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { getFormat } = require('../formats');
+const { readTargetValues, missingKeys, findMissingKeys, addMissingKeys, skippedValues } = require('../targets');
+const { pluralGroups } = require('../formats/plurals');
+
+describe('Target files', () => {
+  const flatSource = { title: 'Hello', 'nav.home': 'Home', 'nav.about': 'About', blank: '' };
+  let dir;
+
+  const write = (name, text) => {
+    const file = path.join(dir, name);
+    fs.writeFileSync(file, text);
+    return file;
+  };
+
+  beforeEach(() => {
+    dir = fs.mkdtempSync(path.join(os.tmpdir(), 'shipi18n-targets-'));
+  });
+
+  afterEach(() => {
+    fs.rmSync(dir, { recursive: true, force: true });
+  });
+
+  test('finds absent and emptied keys, but not keys empty in the source', () => {
+    expect(missingKeys(flatSource, { title: 'Hola', 'nav.home': '', 'nav.about': null, blank: '' })).toEqual(['nav.home', 'nav.about']);
+    expect(missingKeys(flatSource, { title: 'Hola' })).toEqual(['nav.home', 'nav.about', 'blank']);
+  });
+
+  test('needs a plural group until the target has every category of its language', () => {
+    const plural = { files_one: '%d file', files_other: '%d files' };
+    const ru = ['one', 'few', 'many', 'other'];
+
+    expect(missingKeys(plural, { files_one: '%d файл', files_other: '%d файла' }, ru)).toEqual(['files_one', 'files_other']);
+    expect(missingKeys(plural, { files_one: 'a', files_few: 'b', files_many: 'c', files_other: 'd' }, ru)).toEqual([]);
+    expect(missingKeys(plural, { files_other: '%d個のファイル' }, ['other'])).toEqual([]);
+  });
+
+  test('uses the plural categories of the target format and language', async () => {
+    const format = getFormat('messages.pot');
+    const key = 'msg_0123456789ab';
+    const file = write('ja.json', JSON.stringify({ files_other: '%d個のファイル' }));
+
+    expect(format.pluralCategories('ru')).toEqual(['one', 'few', 'many']);
+    expect(missingKeys({ [`${key}_one`]: 'One file', [`${key}_other`]: '%d files' }, {
+      [`${key}_one`]: '%d файл', [`${key}_few`]: '%d файла', [`${key}_many`]: '%d файлов',
+    }, format.pluralCategories('ru'))).toEqual([]);
+    expect(await findMissingKeys(getFormat(file), { files_one: '%d file', files_other: '%d files' }, file, 'ja')).toEqual([]);
+  });
+
+  test('reads flattened target values, or null when the file does not exist', async () => {
+    const file = write('es.json', JSON.stringify({ nav: { home: 'Inicio' } }));
+
+    expect(await readTargetValues(getFormat(file), file, 'es')).toEqual({ 'nav.home': 'Inicio' });
+    expect(await readTargetValues(getFormat(file), path.join(dir, 'fr.json'), 'fr')).toBeNull();
+  });
+
+  test('needs every key of a target file that does not exist or cannot be parsed', async () => {
+    const format = getFormat('en.json');
+    const broken = write('de.json', '{ "title": ');
+
+    expect(await findMissingKeys(format, flatSource, path.join(dir, 'fr.json'), 'fr')).toEqual(Object.keys(flatSource));
+    expect(await findMissingKeys(format, flatSource, broken, 'de')).toEqual(Object.keys(flatSource));
+    expect(await findMissingKeys(format, flatSource, null, 'de')).toEqual([]);
+  });
+
+  test('completes new and partially translated languages', async () => {
+    const format = getFormat('en.json');
+    const targetFiles = {
+      es: write('es.json', JSON.stringify({ title: 'Hola', nav: { home: 'Inicio', about: 'Acerca de' }, blank: '' })),
+      fr: write('fr.json', JSON.stringify({ title: 'Bonjour', blank: '' })),
+      de: path.join(dir, 'de.json'),
+    };
+
+    const result = await addMissingKeys({ es: ['title'], fr: ['title'], de: [] }, format, flatSource, targetFiles);
+
+    expect(result.missingByLang).toEqual({
+      es: ['title'],
+      fr: ['title', 'nav.home', 'nav.about'],
+      de: ['title', 'nav.home', 'nav.about', 'blank'],
+    });
+    expect(result.gaps).toEqual({ fr: 2, de: 4 });
+  });
+
+  test('reads target files in the locale of their language', async () => {
+    const format = getFormat('en.yml');
+    const targetFiles = { pt: write('pt-BR.yml', 'pt-BR:\n  title: Olá\n') };
+
+    const result = await addMissingKeys({ pt: [] }, format, { title: 'Hello' }, targetFiles, { pt: 'pt-BR' });
+
+    expect(result.missingByLang).toEqual({ pt: [] });
+    expect(result.gaps).toEqual({});
+  });
+
+  test('keeps the source values of skipped keys in every language that needs them', () => {
+    const source = { brand: 'Acme', title: 'Hello', items_one: '%d item', items_other: '%d items' };
+    const plurals = pluralGroups(Object.keys(source));
+    const keysByLang = {
+      es: ['brand', 'title', 'items_one', 'items_other'],
+      ru: ['title', 'items_one', 'items_few', 'items_many', 'items_other'],
+    };
+
+    expect(skippedValues(source, ['brand', 'items_one', 'items_other'], keysByLang, plurals)).toEqual({
+      es: { brand: 'Acme', items_one: '%d item', items_other: '%d items' },
+      ru: { items_one: '%d item', items_few: '%d items', items_many: '%d items', items_other: '%d items' },
+    });
+    expect(skippedValues(source, [], keysByLang, plurals)).toEqual({ es: {}, ru: {} });
+  });
+});
@@ -0,0 +1,62 @@
+/**
+ * Tests for verification failure thresholds
+ */
+
+const { parseThresholds, checkThresholds } = require('../thresholds');
+
+describe('Verification thresholds', () => {
+  const issues = [
+    { type: 'placeholder', severity: 'error', key: 'a' },
+    { type: 'length', severity: 'warning', key: 'b' },
+    { type: 'llm_verification', severity: 'warning', key: 'c' },
+  ];
+
+  test('parses inputs with defaults', () => {
+    expect(parseThresholds({})).toEqual({ failOn: 'none', maxErrors: null, maxWarnings: null, requireLlmPass: false, onFailure: 'fail' });
+    expect(parseThresholds({ 'fail-on': '' }, 'error').failOn).toBe('error');
+    expect(parseThresholds({ 'max-errors': '0', 'max-warnings': '10', 'require-llm-pass': 'true', 'on-failure': 'draft' })).toMatchObject({
+      maxErrors: 0,
+      maxWarnings: 10,
+      requireLlmPass: true,
+      onFailure: 'draft',
+    });
+  });
+
+  test('rejects invalid inputs', () => {
+    expect(() => parseThresholds({ 'fail-on': 'errors' })).toThrow('fail-on must be one of none, error, warning, got "errors"');
+    expect(() => parseThresholds({ 'max-warnings': '-1' })).toThrow('max-warnings must be a whole number of 0 or more, got "-1"');
+    expect(() => parseThresholds({ 'on-failure': 'skip' })).toThrow('on-failure must be one of fail, block, draft');
+  });
+
+  test('passes everything with fail-on none and no limits', () => {
+    expect(checkThresholds(issues, false, parseThresholds({}))).toEqual([]);
+  });
+
+  test('fails on the chosen severity', () => {
+    expect(checkThresholds(issues, true, parseThresholds({ 'fail-on': 'error' }))).toEqual(['1 verification error(s) (fail-on: error)']);
+    expect(checkThresholds(issues.slice(1), true, parseThresholds({ 'fail-on': 'error' }))).toEqual([]);
+    expect(checkThresholds(issues.slice(1), true, parseThresholds({ 'fail-on': 'warning' })))
+      .toEqual(['0 verification error(s) and 2 warning(s) (fail-on: warning)']);
+  });
+
+  test('fails when counts exceed their limits', () => {
+    expect(checkThresholds(issues, true, parseThresholds({ 'max-errors': '1', 'max-warnings': '1' })))
+      .toEqual(['2 verification warning(s), more than max-warnings 1']);
+    expect(checkThresholds(issues, true, parseThresholds({ 'max-errors': '0' })))
+      .toEqual(['1 verification error(s), more than max-errors 0']);
+  });
+
+  test('requires an LLM verification that ran and passed', () => {
+    const thresholds = parseThresholds({ 'require-llm-pass': 'true' });
+
+    expect(checkThresholds([], false, thresholds)).toEqual(['LLM verification did not pass (require-llm-pass)']);
+    expect(checkThresholds([], 'error', thresholds)).toEqual(['LLM verification could not check every file (require-llm-pass)']);
+    expect(checkThresholds([], 'skipped', thresholds)).toEqual(['LLM verification did not run (require-llm-pass)']);
+    expect(checkThresholds([], true, thresholds)).toEqual([]);
+    expect(checkThresholds([], 'error', parseThresholds({}))).toEqual([]);
+  });
+
+  test('ignores require-llm-pass where LLM verification does not apply', () => {
+    expect(checkThresholds([], null, parseThresholds({ 'require-llm-pass': 'true' }))).toEqual([]);
+  });
+});
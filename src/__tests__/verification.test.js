@@ -0,0 +1,46 @@
+/**
+ * Tests for the rule-based checks of translated values
+ */
+
+const { extractPlaceholders, verifyKeyConsistency, verifyTranslated, runVerification } = require('../verification');
+const { parseProtectedTerms } = require('../masking');
+
+describe('Verification', () => {
+  test('extracts placeholders of the supported syntaxes', () => {
+    expect(extractPlaceholders('Hi %1$s, %d new from %(name)s')).toEqual(['%(name)s', '%1$s', '%d']);
+    expect(extractPlaceholders(3)).toEqual([]);
+  });
+
+  test('compares keys in the plural categories of the language', () => {
+    const sourceKeys = ['title', 'files_one', 'files_other'];
+
+    expect(verifyKeyConsistency(sourceKeys, ['title', 'files_one', 'files_few', 'files_many', 'files_other'], 'ru')).toEqual([]);
+    expect(verifyKeyConsistency(sourceKeys, ['files_other', 'legacy'], 'ja')).toEqual([
+      expect.objectContaining({ type: 'missing_keys', keys: ['title'] }),
+      expect.objectContaining({ type: 'extra_keys', keys: ['legacy'] }),
+    ]);
+  });
+
+  test('lists keys in messages without the escapes of their paths', () => {
+    const [missing] = verifyKeyConsistency(['home\\.title', 'extra\\.src', 'items[0]'], ['items[0]'], 'de');
+
+    expect(missing).toMatchObject({ keys: ['home\\.title', 'extra\\.src'], message: '2 key(s) missing in de: home.title, extra.src' });
+  });
+
+  test('warns about values left in the source language', () => {
+    const terms = parseProtectedTerms('Acme');
+
+    expect(verifyTranslated('Email', 'Email', 'email')).toMatchObject({ type: 'untranslated', severity: 'warning' });
+    expect(verifyTranslated('Acme {{version}}', 'Acme {{version}}', 'brand', terms)).toBeNull();
+    expect(verifyTranslated('Email', 'Correo', 'email')).toBeNull();
+  });
+
+  test('checks plural forms the source lacks against its "other" form', () => {
+    const source = { files_one: 'One file', files_other: '{{count}} files' };
+    const translated = { files_one: 'Один файл', files_few: '{{count}} файла', files_many: 'файлов', files_other: '{{count}} файла' };
+
+    expect(runVerification(source, translated, 'ru')).toEqual([
+      expect.objectContaining({ key: 'files_many', type: 'placeholder', lang: 'ru' }),
+    ]);
+  });
+});
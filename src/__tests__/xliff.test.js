@@ -0,0 +1,208 @@
+/**
+ * Tests for XLIFF parsing, target writes and the review file exchange
+ */
+
+// Mock @actions/core
+jest.mock('@actions/core', () => ({
+  info: jest.fn(),
+  warning: jest.fn(),
+}));
+
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const xliff = require('../formats/xliff');
+const { getFormat } = require('../formats');
+const { getExchangeFile, importReviewed, exportForReview } = require('../exchange');
+
+const SOURCE_12 = `<?xml version="1.0" encoding="UTF-8" ?>
+<xliff version="1.2" xmlns="urn:oasis:names:tc:xliff:document:1.2">
+  <file source-language="en" datatype="plaintext" original="ng2.template">
+    <body>
+      <trans-unit id="greeting" datatype="html">
+        <source>Hello <x id="INTERPOLATION" equiv-text="{{ name }}"/> &amp; welcome</source>
+        <note priority="1" from="description">Home greeting</note>
+      </trans-unit>
+      <trans-unit id="brand" translate="no">
+        <source>Acme</source>
+      </trans-unit>
+      <trans-unit id="home.cta">
+        <source>Get started</source>
+      </trans-unit>
+    </body>
+  </file>
+</xliff>
+`;
+
+const TARGET_12 = SOURCE_12
+  .replace('original="ng2.template"', 'original="ng2.template" target-language="es"')
+  .replace('&amp; welcome</source>', '&amp; welcome</source>\n        <target state="final">Hola <x id="INTERPOLATION" equiv-text="{{ name }}"/> y bienvenido</target>')
+  .replace('<source>Get started</source>', '<source>Get started</source>\n        <target state="new">Empezar</target>');
+
+const SOURCE_20 = `<?xml version="1.0" encoding="UTF-8"?>
+<xliff xmlns="urn:oasis:names:tc:xliff:document:2.0" version="2.0" srcLang="en">
+  <file id="f1">
+    <unit id="title">
+      <segment>
+        <source>Welcome</source>
+      </segment>
+    </unit>
+    <group id="g" translate="no">
+      <unit id="code">
+        <segment>
+          <source>ABC</source>
+        </segment>
+      </unit>
+    </group>
+  </file>
+</xliff>
+`;
+
+describe('XLIFF Format', () => {
+  test('is selected for .xlf and .xliff files', () => {
+    expect(getFormat('src/locale/messages.xlf')).toBe(xliff);
+    expect(getFormat('review/es/common.xliff')).toBe(xliff);
+  });
+
+  test('parses 1.2 sources with inline placeholders and skips translate="no"', () => {
+    expect(xliff.parse(SOURCE_12)).toEqual({
+      greeting: 'Hello <x id="INTERPOLATION" equiv-text="{{ name }}"/> & welcome',
+      'home.cta': 'Get started',
+    });
+  });
+
+  test('parses 2.0 sources, inheriting translate from groups', () => {
+    expect(xliff.parse(SOURCE_20)).toEqual({ title: 'Welcome' });
+  });
+
+  test('parseTarget only returns finished targets', () => {
+    expect(xliff.parseTarget(TARGET_12)).toEqual({
+      greeting: 'Hola <x id="INTERPOLATION" equiv-text="{{ name }}"/> y bienvenido',
+    });
+  });
+
+  test('diffTarget reports untranslated units and units whose source changed', () => {
+    const content = xliff.parse(SOURCE_12);
+    expect(xliff.diffTarget(content, TARGET_12)).toEqual({ missing: ['home.cta'], obsolete: [] });
+
+    const changed = { ...content, greeting: 'Hi <x id="INTERPOLATION" equiv-text="{{ name }}"/>' };
+    expect(xliff.diffTarget(changed, TARGET_12).missing).toEqual(['greeting', 'home.cta']);
+
+    expect(xliff.diffTarget({ 'home.cta': 'Get started' }, TARGET_12).obsolete).toEqual(['greeting']);
+  });
+
+  test('serialize adds targets with a review state and keeps finished ones', () => {
+    const output = xliff.serialize({
+      greeting: 'Hola <x id="INTERPOLATION" equiv-text="{{ name }}"/> y bienvenido',
+      'home.cta': 'Empezar ahora',
+    }, { existing: TARGET_12, source: SOURCE_12, lang: 'es' });
+
+    expect(output).toContain('<file source-language="en" datatype="plaintext" original="ng2.template" target-language="es">');
+    expect(output).toContain('<target state="final">Hola <x id="INTERPOLATION" equiv-text="{{ name }}"/> y bienvenido</target>\n        <note');
+    expect(output).toContain('<source>Get started</source>\n        <target state="needs-review-translation">Empezar ahora</target>');
+    expect(output).not.toContain('<target>Acme');
+  });
+
+  test('serialize writes 2.0 targets with the segment state', () => {
+    const output = xliff.serialize({ title: 'Bienvenue & bonjour' }, { source: SOURCE_20, lang: 'fr' });
+
+    expect(output).toContain('srcLang="en" trgLang="fr">');
+    expect(output).toContain('<segment state="translated">\n        <source>Welcome</source>\n        <target>Bienvenue &amp; bonjour</target>');
+    expect(xliff.parseTarget(output)).toEqual({ title: 'Bienvenue & bonjour' });
+  });
+
+  test('keeps unit ids with dots flat', () => {
+    const text = xliff.buildXliff({ button: 'Button', 'button.save': 'Save' }, { sourceLanguage: 'en' });
+    expect(xliff.parse(text)).toEqual({ button: 'Button', 'button.save': 'Save' });
+  });
+
+  test('builds source documents for both versions', () => {
+    for (const version of ['1.2', '2.0']) {
+      const text = xliff.buildXliff({ 'nav.home': 'Home', count: 3 }, { version, sourceLanguage: 'en' });
+      expect(xliff.parse(text)).toEqual({ 'nav.home': 'Home' });
+    }
+  });
+
+  test('reviewedTargets returns approved units only', () => {
+    expect(xliff.reviewedTargets(TARGET_12)).toEqual({
+      greeting: 'Hola <x id="INTERPOLATION" equiv-text="{{ name }}"/> y bienvenido',
+    });
+  });
+});
+
+describe('XLIFF review files', () => {
+  let dir;
+  const json = getFormat('en.json');
+
+  beforeEach(() => {
+    dir = fs.mkdtempSync(path.join(os.tmpdir(), 'shipi18n-xliff-'));
+  });
+
+  afterEach(() => {
+    fs.rmSync(dir, { recursive: true, force: true });
+  });
+
+  test('exports translations and imports reviewed units back', async () => {
+    const sourceFile = path.join(dir, 'en.json');
+    const targetFile = path.join(dir, 'es.json');
+    const xliffDir = path.join(dir, 'review');
+    const flatSource = { 'home.title': 'Welcome', 'home.cta': 'Start' };
+    fs.writeFileSync(targetFile, JSON.stringify({ home: { title: 'Bienvenido', cta: 'Iniciar' } }));
+
+    const exported = await exportForReview(xliffDir, sourceFile, json, flatSource, { es: targetFile });
+    const exchangeFile = getExchangeFile(xliffDir, sourceFile, 'es');
+    expect(exported).toEqual([{ file: exchangeFile, sourceFile, lang: 'es', locale: 'es', keys: [], review: true }]);
+    expect(fs.readFileSync(exchangeFile, 'utf8')).toContain('<target state="needs-review-translation">Bienvenido</target>');
+
+    // Nothing is imported until a reviewer approves a unit
+    expect(await importReviewed(xliffDir, sourceFile, json, flatSource, { es: targetFile })).toEqual({});
+
+    const reviewed = fs.readFileSync(exchangeFile, 'utf8')
+      .replace('<target state="needs-review-translation">Iniciar</target>', '<target state="signed-off">Comenzar</target>');
+    fs.writeFileSync(exchangeFile, reviewed);
+
+    expect(await importReviewed(xliffDir, sourceFile, json, flatSource, { es: targetFile })).toEqual({
+      es: { 'home.cta': 'Comenzar' },
+    });
+
+    // Once the locale file has the reviewed value, the next export keeps the reviewer's state
+    fs.writeFileSync(targetFile, JSON.stringify({ home: { title: 'Bienvenido', cta: 'Comenzar' } }));
+    expect(await exportForReview(xliffDir, sourceFile, json, flatSource, { es: targetFile })).toEqual([]);
+    expect(fs.readFileSync(exchangeFile, 'utf8')).toContain('<target state="signed-off">Comenzar</target>');
+  });
+
+  test('writes flat keys with dots as literal unit ids and maps them back on import', async () => {
+    const sourceFile = path.join(dir, 'en.json');
+    const targetFile = path.join(dir, 'es.json');
+    const xliffDir = path.join(dir, 'review');
+    const flatSource = { 'home\\.title': 'Welcome' };
+    fs.writeFileSync(targetFile, JSON.stringify({ 'home.title': 'Bienvenido' }));
+
+    await exportForReview(xliffDir, sourceFile, json, flatSource, { es: targetFile });
+    const exchangeFile = getExchangeFile(xliffDir, sourceFile, 'es');
+    expect(fs.readFileSync(exchangeFile, 'utf8')).toContain('<trans-unit id="home.title">');
+
+    fs.writeFileSync(exchangeFile, fs.readFileSync(exchangeFile, 'utf8').replace('state="needs-review-translation">Bienvenido', 'state="final">Te damos la bienvenida'));
+    expect(await importReviewed(xliffDir, sourceFile, json, flatSource, { es: targetFile })).toEqual({
+      es: { 'home\\.title': 'Te damos la bienvenida' },
+    });
+  });
+
+  test('keeps the folder of nested sources so files of the same name do not collide', async () => {
+    const xliffDir = path.join(dir, 'review');
+    const files = {
+      '': { source: { title: 'Home' }, target: { title: 'Inicio' } },
+      admin: { source: { title: 'Users' }, target: { title: 'Usuarios' } },
+    };
+
+    for (const [relativeDir, { source, target }] of Object.entries(files)) {
+      const targetFile = path.join(dir, `es-${relativeDir || 'root'}.json`);
+      fs.writeFileSync(targetFile, JSON.stringify(target));
+      await exportForReview(xliffDir, path.join(dir, 'en', relativeDir, 'common.json'), json, source, { es: targetFile }, { relativeDir });
+    }
+
+    expect(getExchangeFile(xliffDir, 'en/admin/common.json', 'es', 'admin')).toBe(path.join(xliffDir, 'es', 'admin', 'common.xlf'));
+    expect(fs.readFileSync(path.join(xliffDir, 'es', 'common.xlf'), 'utf8')).toContain('Inicio');
+    expect(fs.readFileSync(path.join(xliffDir, 'es', 'admin', 'common.xlf'), 'utf8')).toContain('Usuarios');
+  });
+});
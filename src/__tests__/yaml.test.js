@@ -0,0 +1,132 @@
+/**
+ * Tests for YAML locale file parsing and format-preserving writes
+ */
+
+const yaml = require('../formats/yaml');
+const { getFormat, parseSource, parseTarget, supportedExtensions } = require('../formats');
+
+const SOURCE = `# Greetings shown on the home page
+home:
+  title: Welcome # shown in the header
+  subtitle: "Hello {name}"
+defaults: &defaults
+  ok: OK
+  cancel: Cancel
+dialog:
+  <<: *defaults
+  close: Close
+`;
+
+describe('YAML Format', () => {
+  test('is selected for .yaml and .yml files', () => {
+    expect(getFormat('locales/en.yml')).toBe(yaml);
+    expect(getFormat('locales/en.YAML')).toBe(yaml);
+    expect(supportedExtensions()).toEqual(expect.arrayContaining(['.json', '.yaml', '.yml']));
+  });
+
+  test('parses nested keys, anchors and merge keys', () => {
+    expect(yaml.parse(SOURCE)).toEqual({
+      home: { title: 'Welcome', subtitle: 'Hello {name}' },
+      defaults: { ok: 'OK', cancel: 'Cancel' },
+      dialog: { ok: 'OK', cancel: 'Cancel', close: 'Close' },
+    });
+  });
+
+  test('parses an empty file as an empty object', () => {
+    expect(yaml.parse('')).toEqual({});
+  });
+
+  test('throws on invalid YAML', () => {
+    expect(() => yaml.parse('a: [unclosed')).toThrow();
+  });
+
+  test('preserves comments, quoting and anchors when writing from the source layout', () => {
+    const translated = {
+      home: { title: 'Bienvenido', subtitle: 'Hola {name}' },
+      defaults: { ok: 'Aceptar', cancel: 'Cancelar' },
+      dialog: { ok: 'Aceptar', cancel: 'Cancelar', close: 'Cerrar' },
+    };
+
+    expect(yaml.serialize(translated, { source: SOURCE })).toBe(`# Greetings shown on the home page
+home:
+  title: Bienvenido # shown in the header
+  subtitle: "Hola {name}"
+defaults: &defaults
+  ok: Aceptar
+  cancel: Cancelar
+dialog:
+  <<: *defaults
+  close: Cerrar
+`);
+  });
+
+  test('merges into an existing target, keeping manual edits and removing deleted keys', () => {
+    const existing = `# Reviewed by the Spanish team
+home:
+  title: ¡Bienvenido! # manual fix
+  old: Viejo
+`;
+    const content = { home: { title: '¡Bienvenido!', subtitle: 'Hola {name}' } };
+
+    expect(yaml.serialize(content, { existing })).toBe(`# Reviewed by the Spanish team
+home:
+  title: ¡Bienvenido! # manual fix
+  subtitle: Hola {name}
+`);
+  });
+
+  test('removes parents left empty by deleted keys', () => {
+    const existing = 'a:\n  b:\n    c: x\nd: y\n';
+    expect(yaml.serialize({ d: 'y' }, { existing })).toBe('d: y\n');
+  });
+
+  test('replaces an alias with a copy when one of its keys changes', () => {
+    const existing = 'base: &base\n  a: A\nother: *base\n';
+    const content = { base: { a: 'A' }, other: { a: 'A', b: 'B' } };
+
+    expect(yaml.parse(yaml.serialize(content, { existing }))).toEqual(content);
+  });
+
+  test('quotes values that would otherwise change type', () => {
+    const output = yaml.serialize({ a: '{name}', b: 'yes', c: '123' });
+    expect(yaml.parse(output)).toEqual({ a: '{name}', b: 'yes', c: '123' });
+  });
+
+  test('falls back to plain output when the base cannot be parsed', () => {
+    expect(yaml.serialize({ a: 'b' }, { existing: 'a: [' })).toBe('a: b\n');
+  });
+
+  test('moves keys appended to an existing target into source order', () => {
+    const source = 'a: A\nb: B\nc: C\n';
+    const existing = '# Spanish\r\n\r\nc: C es\r\na: A es\r\n';
+
+    expect(yaml.serialize({ a: 'A es', c: 'C es', b: 'B es' }, { existing, source }))
+      .toBe('# Spanish\r\n\r\na: A es\r\nb: B es\r\nc: C es\r\n');
+    expect(yaml.serialize({ c: 'C', a: 'A', b: 'B' }, { source, sortKeys: true })).toBe('a: A\nb: B\nc: C\n');
+  });
+
+  describe('Rails language root', () => {
+    const RAILS = '# Devise\nen:\n  devise:\n    greeting: Hello # shown once\n';
+
+    test('parses the content below a root key of the file language', () => {
+      expect(parseSource(yaml, RAILS, 'en')).toEqual({ devise: { greeting: 'Hello' } });
+      expect(parseTarget(yaml, 'pt-BR:\n  a: Olá\n', 'pt_BR')).toEqual({ a: 'Olá' });
+      expect(parseSource(yaml, 'app:\n  a: A\n', 'en')).toEqual({ app: { a: 'A' } });
+      expect(yaml.parse(RAILS)).toEqual({ en: { devise: { greeting: 'Hello' } } });
+    });
+
+    test('roots new targets by their own language, keeping comments', () => {
+      expect(yaml.serialize({ devise: { greeting: 'Hola' } }, { source: RAILS, lang: 'es', sourceLanguage: 'en' }))
+        .toBe('# Devise\nes:\n  devise:\n    greeting: Hola # shown once\n');
+    });
+
+    test('re-roots targets that still carry the source root', () => {
+      const existing = 'es:\n  devise:\n    greeting: Hola\n';
+
+      expect(yaml.serialize({ devise: { greeting: 'Hola', bye: 'Adiós' } }, { existing, source: RAILS, lang: 'es', sourceLanguage: 'en' }))
+        .toBe('es:\n  devise:\n    greeting: Hola\n    bye: Adiós\n');
+      expect(yaml.serialize({ devise: { greeting: 'Hola' } }, { existing: RAILS, source: RAILS, lang: 'es', sourceLanguage: 'en' }))
+        .toBe('# Devise\nes:\n  devise:\n    greeting: Hola # shown once\n');
+    });
+  });
+});
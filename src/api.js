@@ -0,0 +1,178 @@
+const log = require('./logging');
+const crypto = require('crypto');
+const fetch = require('node-fetch');
+const { version } = require('../package.json');
+
+const DEFAULT_API_URL = 'https://ydjkwckq3f.execute-api.us-east-1.amazonaws.com/api';
+const USER_AGENT = `shipi18n-github-action/${version}`;
+
+const DEFAULT_MAX_RETRIES = 3;
+const DEFAULT_TIMEOUT_MS = 120000;
+const BASE_RETRY_DELAY_MS = 1000;
+const MAX_RETRY_DELAY_MS = 60000;
+const RETRYABLE_STATUSES = [408, 429, 500, 502, 503, 504];
+
+/**
+ * Error thrown for non-OK responses from the Shipi18n API
+ */
+class ApiError extends Error {
+  constructor(message, { status, requestId, body, retryAfter = null } = {}) {
+    super(message);
+    this.name = 'ApiError';
+    this.status = status;
+    this.requestId = requestId;
+    this.body = body;
+    this.retryAfter = retryAfter;
+  }
+}
+
+/**
+ * Resolve the API base URL
+ * Priority: action input > SHIPI18N_API_URL env > default
+ */
+function resolveApiUrl(input) {
+  const url = input || process.env.SHIPI18N_API_URL || DEFAULT_API_URL;
+  return url.replace(/\/+$/, '');
+}
+
+/**
+ * Parse a Retry-After header (delta-seconds or HTTP date) into milliseconds
+ */
+function parseRetryAfter(value, now = Date.now()) {
+  if (!value) return null;
+  const seconds = Number(value);
+  if (Number.isFinite(seconds)) {
+    return Math.max(0, seconds * 1000);
+  }
+  const date = Date.parse(value);
+  if (Number.isNaN(date)) return null;
+  return Math.max(0, date - now);
+}
+
+/**
+ * Compute the delay before the next attempt
+ * Honors Retry-After on 429/503, otherwise uses exponential backoff with jitter
+ */
+function getRetryDelay(attempt, { status, retryAfter, random = Math.random } = {}) {
+  if ((status === 429 || status === 503) && retryAfter !== null && retryAfter !== undefined) {
+    return Math.min(retryAfter, MAX_RETRY_DELAY_MS);
+  }
+  const exponential = Math.min(BASE_RETRY_DELAY_MS * 2 ** (attempt - 1), MAX_RETRY_DELAY_MS);
+  // Jitter between 50% and 100% of the exponential delay
+  return Math.round(exponential * (0.5 + random() * 0.5));
+}
+
+/**
+ * Network failures and timeouts are worth retrying, programming errors are not
+ */
+function isRetryableError(error) {
+  if (error instanceof ApiError) {
+    return RETRYABLE_STATUSES.includes(error.status);
+  }
+  return error.name === 'FetchError' || error.name === 'AbortError';
+}
+
+function sleep(ms) {
+  return new Promise(resolve => setTimeout(resolve, ms));
+}
+
+/**
+ * Read a response body as JSON, falling back to the raw text
+ */
+async function parseBody(response) {
+  const text = await response.text();
+  if (!text) return {};
+  try {
+    return JSON.parse(text);
+  } catch {
+    return { error: text };
+  }
+}
+
+/**
+ * Create a client that every Shipi18n API call goes through
+ * Adds auth, user-agent and request ID headers, turns error responses into ApiError,
+ * and retries transient failures with backoff
+ */
+function createApiClient({
+  apiKey,
+  baseUrl,
+  maxRetries = DEFAULT_MAX_RETRIES,
+  timeout = DEFAULT_TIMEOUT_MS,
+  wait = sleep,
+} = {}) {
+  const apiUrl = resolveApiUrl(baseUrl);
+  const stats = { requests: 0, retries: 0 };
+
+  async function send(url, body) {
+    const clientRequestId = crypto.randomUUID();
+
+    log.debug(`POST ${url} (request ${clientRequestId})`);
+    stats.requests++;
+
+    const response = await fetch(url, {
+      method: 'POST',
+      headers: {
+        'Content-Type': 'application/json',
+        'Accept': 'application/json',
+        'User-Agent': USER_AGENT,
+        'x-api-key': apiKey,
+        'x-request-id': clientRequestId,
+      },
+      body: JSON.stringify(body),
+      timeout,
+    });
+
+    // Prefer the server-assigned ID so logs can be matched with API-side traces
+    const requestId = response.headers?.get('x-amzn-requestid')
+      || response.headers?.get('x-request-id')
+      || clientRequestId;
+    const data = await parseBody(response);
+
+    if (!response.ok) {
+      const message = data.error || data.message || response.statusText || `HTTP ${response.status}`;
+      log.debug(`POST ${url} failed with ${response.status} (request ${requestId})`);
+      throw new ApiError(`${message} (status ${response.status}, request ${requestId})`, {
+        status: response.status,
+        requestId,
+        body: data,
+        retryAfter: parseRetryAfter(response.headers?.get('retry-after')),
+      });
+    }
+
+    log.debug(`POST ${url} succeeded (request ${requestId})`);
+    return data;
+  }
+
+  async function post(endpoint, body) {
+    const url = `${apiUrl}/${endpoint.replace(/^\/+/, '')}`;
+
+    for (let attempt = 1; ; attempt++) {
+      try {
+        return await send(url, body);
+      } catch (error) {
+        if (attempt > maxRetries || !isRetryableError(error)) {
+          throw error;
+        }
+
+        const delay = getRetryDelay(attempt, { status: error.status, retryAfter: error.retryAfter });
+        stats.retries++;
+        log.warning(`⏳ ${endpoint} failed (${error.message}), retrying in ${(delay / 1000).toFixed(1)}s (retry ${attempt}/${maxRetries})`);
+        await wait(delay);
+      }
+    }
+  }
+
+  return { apiUrl, post, stats };
+}
+
+module.exports = {
+  DEFAULT_API_URL,
+  USER_AGENT,
+  ApiError,
+  resolveApiUrl,
+  parseRetryAfter,
+  getRetryDelay,
+  isRetryableError,
+  createApiClient,
+};
@@ -0,0 +1,86 @@
+const exec = require('@actions/exec');
+const github = require('@actions/github');
+const log = require('./logging');
+
+/**
+ * Run git and return its stdout, or null when it fails
+ */
+async function git(args) {
+  let output = '';
+  try {
+    const exitCode = await exec.exec('git', args, {
+      silent: true,
+      ignoreReturnCode: true,
+      listeners: {
+        stdout: (data) => { output += data.toString(); }
+      }
+    });
+    return exitCode === 0 ? output : null;
+  } catch {
+    return null;
+  }
+}
+
+async function resolveCommit(ref) {
+  const sha = await git(['rev-parse', '--verify', '--quiet', `${ref}^{commit}`]);
+  return sha ? sha.trim() : null;
+}
+
+/**
+ * Commit the source files are compared with in incremental mode and why it was chosen:
+ * the base-ref input, the commit before a push, or the base of a pull request.
+ * Other events (workflow_dispatch, schedule, new branches) have no reliable baseline: null
+ */
+function baselineRef(baseRef, context = github.context) {
+  const payload = context.payload || {};
+
+  if (baseRef) {
+    return { ref: baseRef, reason: 'base-ref input' };
+  }
+  if (context.eventName === 'push' && payload.before && !/^0+$/.test(payload.before)) {
+    return { ref: payload.before, reason: 'commit before the push' };
+  }
+  if (payload.pull_request?.base?.sha) {
+    return { ref: payload.pull_request.base.sha, reason: `base of pull request #${payload.pull_request.number}` };
+  }
+  return null;
+}
+
+/**
+ * Resolve the incremental baseline to a commit SHA, fetching it when the checkout is shallow
+ * Returns null when the event has no baseline or the commit can't be found, so files
+ * without lockfile entries are translated in full
+ */
+async function resolveBaseline(baseRef, context = github.context) {
+  const baseline = baselineRef(baseRef, context);
+  if (!baseline) {
+    log.info(`📍 No incremental baseline in the ${context.eventName || 'unknown'} event (set base-ref to choose one); translating all keys`);
+    return null;
+  }
+  const { ref, reason } = baseline;
+
+  let sha = await resolveCommit(ref);
+  if (!sha) {
+    log.info(`📥 Fetching baseline ${ref} (shallow checkout)`);
+    await git(['fetch', '--no-tags', '--depth=1', 'origin', ref]);
+    sha = await resolveCommit(ref) || await resolveCommit('FETCH_HEAD');
+  }
+
+  if (!sha) {
+    log.warning(`Could not find incremental baseline ${ref} (${reason}); translating all keys`);
+    return null;
+  }
+
+  log.info(`📍 Incremental baseline: ${sha.slice(0, 7)} (${reason})`);
+  return sha;
+}
+
+/**
+ * Content of a file at the baseline commit, or null when it didn't exist there
+ */
+async function getFileAtCommit(commit, filePath) {
+  if (!commit) return null;
+  return (await git(['show', `${commit}:${filePath}`])) || null;
+}
+
+module.exports = { baselineRef, resolveBaseline, getFileAtCommit };
@@ -0,0 +1,124 @@
+const log = require('./logging');
+const { mapWithConcurrency } = require('./pool');
+
+const DEFAULT_BATCH_SIZE = 500;
+const DEFAULT_BATCH_MAX_BYTES = 100 * 1024;
+
+/**
+ * Approximate request size of a single flattened entry
+ */
+function entryBytes(key, value) {
+  return Buffer.byteLength(JSON.stringify({ [key]: value }), 'utf8');
+}
+
+/**
+ * Split flattened content into batches limited by key count and byte size
+ * A single entry larger than maxBytes gets a batch of its own
+ */
+function splitIntoBatches(flatContent, { maxKeys = DEFAULT_BATCH_SIZE, maxBytes = DEFAULT_BATCH_MAX_BYTES } = {}) {
+  const batches = [];
+  let current = {};
+  let currentKeys = 0;
+  let currentBytes = 0;
+
+  for (const [key, value] of Object.entries(flatContent)) {
+    const bytes = entryBytes(key, value);
+    if (currentKeys > 0 && (currentKeys >= maxKeys || currentBytes + bytes > maxBytes)) {
+      batches.push(current);
+      current = {};
+      currentKeys = 0;
+      currentBytes = 0;
+    }
+    current[key] = value;
+    currentKeys++;
+    currentBytes += bytes;
+  }
+
+  if (currentKeys > 0) {
+    batches.push(current);
+  }
+
+  return batches;
+}
+
+/**
+ * Split a batch into two halves by key order
+ */
+function splitInHalf(batch) {
+  const entries = Object.entries(batch);
+  const middle = Math.ceil(entries.length / 2);
+  return [
+    Object.fromEntries(entries.slice(0, middle)),
+    Object.fromEntries(entries.slice(middle)),
+  ];
+}
+
+/**
+ * Only the keys of its own batch are taken from a result: the other items of a partially sent
+ * array come back as null and would overwrite the translations of earlier batches
+ */
+function batchTranslations(result, batch) {
+  const translations = {};
+  for (const [lang, flatTranslation] of Object.entries(result.translations || {})) {
+    translations[lang] = Object.fromEntries(Object.entries(flatTranslation).filter(([key]) => key in batch));
+  }
+  return translations;
+}
+
+/**
+ * Translate flattened content batch by batch and merge the results
+ *
+ * translateBatch(flatBatch) must resolve to { translations: { lang: flatObject }, skippedInfo }.
+ * A failed batch is retried on its own as two smaller halves before the file is failed.
+ */
+async function translateInBatches(flatContent, translateBatch, { maxKeys, maxBytes, concurrency = 1 } = {}) {
+  const batches = splitIntoBatches(flatContent, { maxKeys, maxBytes });
+
+  if (batches.length > 1) {
+    log.info(`📦 Splitting ${Object.keys(flatContent).length} key(s) into ${batches.length} batch(es)${concurrency > 1 ? ` (${concurrency} in parallel)` : ''}`);
+  }
+
+  async function runBatch(batch, label) {
+    try {
+      return [{ batch, result: await translateBatch(batch) }];
+    } catch (error) {
+      const keyCount = Object.keys(batch).length;
+      if (keyCount < 2) {
+        throw error;
+      }
+      log.warning(`Batch ${label} (${keyCount} keys) failed: ${error.message}. Retrying as two smaller batches`);
+      const halves = splitInHalf(batch);
+      const results = [];
+      for (const half of halves) {
+        results.push({ batch: half, result: await translateBatch(half) });
+      }
+      return results;
+    }
+  }
+
+  const batchResults = await mapWithConcurrency(batches, concurrency, (batch, index) =>
+    runBatch(batch, `${index + 1}/${batches.length}`)
+  );
+
+  const translations = {};
+  const skippedInfo = { count: 0, keys: [] };
+
+  for (const { batch, result } of batchResults.flat()) {
+    for (const [lang, flatTranslation] of Object.entries(batchTranslations(result, batch))) {
+      translations[lang] = Object.assign(translations[lang] || {}, flatTranslation);
+    }
+    if (result.skippedInfo) {
+      skippedInfo.count += result.skippedInfo.count || 0;
+      skippedInfo.keys.push(...(result.skippedInfo.keys || []));
+    }
+  }
+
+  return { translations, skippedInfo, batchCount: batches.length };
+}
+
+module.exports = {
+  DEFAULT_BATCH_SIZE,
+  DEFAULT_BATCH_MAX_BYTES,
+  splitIntoBatches,
+  translateInBatches,
+};
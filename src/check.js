@@ -0,0 +1,111 @@
+const fs = require('fs').promises;
+const log = require('./logging');
+const { getFormat, parseTarget, parseSource, pluralCategoriesOf } = require('./formats');
+const { pluralGroups, expandPluralKeys, pluralSourceKey } = require('./formats/plurals');
+const { flattenObject, fromFlatKey, displayKey, isSkippedPath } = require('./paths');
+const { missingKeys } = require('./targets');
+const { verifyTranslated, runVerification } = require('./verification');
+
+/**
+ * Check the existing target files of a source file without translating (mode: check)
+ * Reports missing, extra and untranslated keys per language, plus the runVerification checks
+ * Keys matched by skip-keys/skip-paths are not required in the targets, and plural groups are
+ * expected in the plural categories of each target language (count_few, count_many for ru)
+ */
+async function checkTargetFiles(sourceFile, targetFiles, sourceLanguage, locales = {}, skipKeys = [], skipPaths = [], glossary = null, protectedTerms = []) {
+  const format = getFormat(sourceFile);
+  const sourceText = await fs.readFile(sourceFile, 'utf8');
+  let sourceContent;
+  try {
+    sourceContent = parseSource(format, sourceText, sourceLanguage);
+  } catch (error) {
+    throw new Error(`Failed to parse ${sourceFile}: ${error.message}`);
+  }
+  const declaredPlaceholders = format.placeholders ? format.placeholders(sourceText) : null;
+  const flatSource = flattenObject(sourceContent);
+  const sourceKeys = Object.keys(flatSource);
+  const plurals = pluralGroups(sourceKeys);
+  const required = sourceKeys.filter(key => !isSkippedPath(key, skipKeys, skipPaths));
+  const isRequired = key => required.includes(pluralSourceKey(key, plurals));
+
+  const issues = [];
+  for (const [lang, targetFile] of Object.entries(targetFiles)) {
+    const locale = locales[lang] || lang;
+    const categories = pluralCategoriesOf(format, locale);
+    const report = (issue) => issues.push({ ...issue, severity: issue.severity || 'error', lang: locale, file: targetFile });
+
+    let targetText;
+    try {
+      targetText = await fs.readFile(targetFile, 'utf8');
+    } catch {
+      if (required.length > 0) {
+        report({ type: 'missing_keys', keys: required, message: `${targetFile} does not exist (${required.length} key(s) missing)` });
+      }
+      continue;
+    }
+
+    let targetContent;
+    try {
+      targetContent = parseTarget(format, targetText, locale);
+    } catch (error) {
+      report({ type: 'parse_error', message: `Could not parse ${targetFile}: ${error.message}` });
+      continue;
+    }
+    const target = flattenObject(targetContent);
+
+    // Formats with their own translation state (gettext) know which entries are untranslated or fuzzy
+    let missing;
+    let extra;
+    if (format.diffTarget) {
+      const diff = format.diffTarget(sourceContent, targetText, { lang: locale });
+      missing = diff.missing.map(fromFlatKey).filter(isRequired);
+      extra = diff.obsolete.map(fromFlatKey);
+    } else {
+      const expected = new Set([...sourceKeys, ...expandPluralKeys(sourceKeys, categories, plurals)]);
+      missing = missingKeys(flatSource, target, categories).filter(isRequired);
+      extra = Object.keys(target).filter(key => !expected.has(key));
+    }
+    const list = keys => `${keys.slice(0, 5).map(displayKey).join(', ')}${keys.length > 5 ? '...' : ''}`;
+    if (missing.length > 0) {
+      report({ type: 'missing_keys', keys: missing, message: `${missing.length} key(s) missing in ${locale}: ${list(missing)}` });
+    }
+    if (extra.length > 0) {
+      report({ type: 'extra_keys', keys: extra, message: `${extra.length} key(s) in ${locale} not in the source: ${list(extra)}` });
+    }
+
+    const present = required.filter(key => !missing.includes(key));
+    for (const key of expandPluralKeys(present, categories, plurals)) {
+      const issue = verifyTranslated(flatSource[pluralSourceKey(key, plurals)], target[key], key, protectedTerms);
+      if (issue) report(issue);
+    }
+
+    // Placeholder, length, glossary and protected term checks; keys were compared above
+    runVerification(sourceContent, targetContent, lang, declaredPlaceholders, glossary, protectedTerms, categories)
+      .filter(issue => issue.type !== 'missing_keys' && issue.type !== 'extra_keys' && isRequired(issue.key))
+      .forEach(report);
+  }
+
+  return issues;
+}
+
+/**
+ * Log the problems found in check mode, counted per language and type
+ */
+function logCheckResults(issues) {
+  const counts = {};
+  for (const issue of issues) {
+    counts[issue.lang] = counts[issue.lang] || {};
+    counts[issue.lang][issue.type] = (counts[issue.lang][issue.type] || 0) + (issue.type.endsWith('_keys') ? issue.keys.length : 1);
+  }
+  for (const [lang, types] of Object.entries(counts)) {
+    log.info(`  ${lang}: ${Object.entries(types).map(([type, count]) => `${count} ${type.replace(/_/g, ' ')}`).join(', ')}`);
+  }
+
+  const errors = issues.filter(issue => issue.severity === 'error');
+  errors.slice(0, 20).forEach(e => log.warning(`[${e.lang}] ${e.key ? `${displayKey(e.key)}: ` : ''}${e.message} (${e.file})`));
+  if (errors.length > 20) {
+    log.warning(`... and ${errors.length - 20} more`);
+  }
+}
+
+module.exports = { checkTargetFiles, logCheckResults };
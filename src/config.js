@@ -0,0 +1,217 @@
+const fs = require('fs').promises;
+const YAML = require('yaml');
+const schema = require('../shipi18n.schema.json');
+const { getFormat } = require('./formats');
+const { parseProtectedTerms } = require('./masking');
+const { hasGlob } = require('./globs');
+const { parseLanguageMap, validateOutputPattern } = require('./locales');
+
+const DEFAULT_CONFIG = '.shipi18n.yml';
+
+/**
+ * Options of a translation job, named like the action inputs they replace
+ */
+const JOB_OPTIONS = Object.keys(schema.definitions.job.properties).filter(name => name !== 'name');
+
+function resolveRef(ref) {
+  return ref.replace(/^#\//, '').split('/').reduce((node, part) => node[part], schema);
+}
+
+function typeOf(value) {
+  if (value === null) return 'null';
+  if (Array.isArray(value)) return 'array';
+  if (Number.isInteger(value)) return 'integer';
+  return typeof value;
+}
+
+function matchesType(value, type) {
+  const actual = typeOf(value);
+  return actual === type || (type === 'number' && actual === 'integer');
+}
+
+/**
+ * Number of single-character edits between two strings, for "did you mean" hints
+ */
+function editDistance(a, b) {
+  let previous = Array.from({ length: b.length + 1 }, (_, i) => i);
+  for (let i = 1; i <= a.length; i++) {
+    const current = [i];
+    for (let j = 1; j <= b.length; j++) {
+      current[j] = Math.min(previous[j] + 1, current[j - 1] + 1, previous[j - 1] + (a[i - 1] === b[j - 1] ? 0 : 1));
+    }
+    previous = current;
+  }
+  return previous[b.length];
+}
+
+function suggestion(key, known) {
+  const closest = known
+    .map(name => ({ name, distance: editDistance(key, name) }))
+    .sort((a, b) => a.distance - b.distance)[0];
+  return closest && closest.distance <= Math.max(3, Math.floor(key.length / 3)) ? ` (did you mean "${closest.name}"?)` : '';
+}
+
+/**
+ * Validate a value against a node of the schema (the JSON Schema subset it uses)
+ * Returns messages that point at the offending option, e.g. jobs[1].verify-mode: ...
+ */
+function validate(value, node = schema, at = '') {
+  if (node.$ref) return validate(value, resolveRef(node.$ref), at);
+
+  const where = at || 'config';
+  const errors = [];
+
+  if (node.enum && !node.enum.includes(value)) {
+    const allowed = node.enum.filter(option => typeof option === 'string');
+    return [`${where}: must be one of ${allowed.join(', ')}, got ${JSON.stringify(value)}`];
+  }
+  if (node.type) {
+    const types = [].concat(node.type);
+    if (!types.some(type => matchesType(value, type))) {
+      return [`${where}: expected ${types.join(' or ')}, got ${typeOf(value)}`];
+    }
+  }
+
+  if (typeof value === 'number') {
+    if (node.minimum !== undefined && value < node.minimum) errors.push(`${where}: must be at least ${node.minimum}`);
+    if (node.maximum !== undefined && value > node.maximum) errors.push(`${where}: must be at most ${node.maximum}`);
+  }
+
+  if (Array.isArray(value)) {
+    if (node.minItems !== undefined && value.length < node.minItems) {
+      errors.push(`${where}: must have at least ${node.minItems} item(s)`);
+    }
+    if (node.items) {
+      value.forEach((item, index) => errors.push(...validate(item, node.items, `${at}[${index}]`)));
+    }
+  } else if (typeOf(value) === 'object' && (node.properties || node.additionalProperties)) {
+    for (const name of node.required || []) {
+      if (value[name] === undefined) errors.push(`${where}: missing "${name}"`);
+    }
+    for (const [key, child] of Object.entries(value)) {
+      if (node.properties && node.properties[key]) {
+        errors.push(...validate(child, node.properties[key], at ? `${at}.${key}` : key));
+      } else if (typeof node.additionalProperties === 'object') {
+        errors.push(...validate(child, node.additionalProperties, at ? `${at}.${key}` : key));
+      } else if (node.additionalProperties === false) {
+        errors.push(`${where}: unknown option "${key}"${suggestion(key, Object.keys(node.properties))}`);
+      }
+    }
+  }
+
+  return errors;
+}
+
+/**
+ * Comma- or line-separated string or list -> trimmed items
+ * Commas inside braces belong to a glob ({web,mobile}) and don't split
+ */
+function toList(value) {
+  const items = Array.isArray(value) ? value : String(value || '').split(/[,\n](?![^{]*\})/);
+  return items.map(item => String(item).trim()).filter(Boolean);
+}
+
+function toBoolean(value, fallback) {
+  if (value === undefined || value === null || value === '') return fallback;
+  return value === true || value === 'true';
+}
+
+/**
+ * Job settings from options named like the action inputs (strings from inputs, typed values from the config)
+ */
+function normalizeJob(options, name) {
+  const sourceFile = options['source-file'] || '';
+  const sourceDir = options['source-dir'] || '';
+  if (!sourceFile && !sourceDir) {
+    throw new Error('Either source-file or source-dir must be specified');
+  }
+  if (sourceFile && sourceDir) {
+    throw new Error('Specify either source-file or source-dir, not both');
+  }
+
+  const targetLanguages = toList(options['target-languages']);
+  if (targetLanguages.length === 0) {
+    throw new Error('target-languages must list at least one language');
+  }
+
+  const format = options.format || null;
+  const formats = schema.definitions.options.properties.format.enum;
+  if (format && !formats.includes(format)) {
+    throw new Error(`Unknown format "${format}", expected one of ${formats.join(', ')}`);
+  }
+  if (format && sourceFile && !hasGlob(sourceFile) && getFormat(sourceFile).name !== format) {
+    throw new Error(`source-file ${sourceFile} is not a ${format} file`);
+  }
+
+  const outputPattern = options['output-pattern'] || '';
+  if (outputPattern) validateOutputPattern(outputPattern);
+
+  const protectedTerms = options['protected-terms'];
+  const xliffVersion = String(options['xliff-version'] || '');
+  const maxRetries = parseInt(options['max-retries'], 10);
+
+  return {
+    name,
+    sourceFile,
+    sourceDir,
+    outputDir: options['output-dir'] || '',
+    outputPattern,
+    languageMap: parseLanguageMap(options['language-map']),
+    sourceLanguage: options['source-language'] || 'en',
+    targetLanguages,
+    format,
+    include: toList(options.include),
+    exclude: toList(options.exclude),
+    incremental: toBoolean(options.incremental, true),
+    skipKeys: toList(options['skip-keys']),
+    skipPaths: toList(options['skip-paths']),
+    verify: toBoolean(options.verify, false),
+    verifyMode: options['verify-mode'] || 'quick',
+    selfCorrect: toBoolean(options['self-correct'], false),
+    maxRetries: Number.isNaN(maxRetries) ? 2 : Math.min(Math.max(maxRetries, 0), 5),
+    glossary: options.glossary || '',
+    protectedTerms: parseProtectedTerms(Array.isArray(protectedTerms) ? protectedTerms.join('\n') : protectedTerms || ''),
+    sortKeys: toBoolean(options['sort-keys'], false),
+    xliffDir: options['xliff-dir'] || '',
+    xliffVersion: xliffVersion === '2.0' || xliffVersion === '2' ? '2.0' : '1.2',
+  };
+}
+
+/**
+ * Load the translation jobs of a config file; returns null when an optional config doesn't exist
+ * Each job inherits the options under `defaults`
+ */
+async function loadConfig(filePath, required = false) {
+  let text;
+  try {
+    text = await fs.readFile(filePath, 'utf8');
+  } catch {
+    if (required) throw new Error(`Config file not found: ${filePath}`);
+    return null;
+  }
+
+  let data;
+  try {
+    data = YAML.parse(text);
+  } catch (error) {
+    throw new Error(`Failed to parse ${filePath}: ${error.message}`);
+  }
+
+  const errors = validate(data ?? {});
+  if (errors.length > 0) {
+    throw new Error(`Invalid ${filePath}:\n${errors.map(error => `  - ${error}`).join('\n')}`);
+  }
+
+  const jobs = data.jobs.map((job, index) => {
+    const name = job.name || job['source-file'] || job['source-dir'] || `job ${index + 1}`;
+    try {
+      return normalizeJob({ ...data.defaults, ...job }, name);
+    } catch (error) {
+      throw new Error(`Invalid ${filePath}: jobs[${index}]: ${error.message}`);
+    }
+  });
+
+  return { jobs };
+}
+
+module.exports = { DEFAULT_CONFIG, JOB_OPTIONS, validate, normalizeJob, loadConfig };
@@ -0,0 +1,107 @@
+const fs = require('fs').promises;
+const path = require('path');
+const log = require('./logging');
+const xliff = require('./formats/xliff');
+const { flattenObject, displayKey } = require('./paths');
+const { parseTarget } = require('./formats');
+
+async function readIfExists(file) {
+  try {
+    return await fs.readFile(file, 'utf8');
+  } catch {
+    return null;
+  }
+}
+
+/**
+ * Flat values keyed by their display key, the unit ids of review files (home\.title => home.title)
+ */
+function byDisplayKey(flat) {
+  return Object.fromEntries(Object.entries(flat).map(([key, value]) => [displayKey(key), value]));
+}
+
+/**
+ * Review file of a source file and language: {xliffDir}/{lang}/{relativeDir}/{name}.xlf
+ * relativeDir is the folder of a nested source below source-dir, so files of the same name don't collide
+ */
+function getExchangeFile(xliffDir, sourceFile, lang, relativeDir = '') {
+  const name = path.basename(sourceFile, path.extname(sourceFile));
+  return path.join(xliffDir, lang, relativeDir, `${name}.xlf`);
+}
+
+/**
+ * Reviewed translations from the XLIFF review files of a source file
+ * Returns { lang: flatValues } with only the keys that are still in the source
+ * and differ from the current target file; unit ids are mapped back to the key paths of the source
+ * Review files are named by each language's locale (see locales)
+ */
+async function importReviewed(xliffDir, sourceFile, format, flatSource, targetFiles, locales = {}, relativeDir = '') {
+  const reviewed = {};
+  const keyOf = new Map(Object.keys(flatSource).map(key => [displayKey(key), key]));
+
+  for (const [lang, targetFile] of Object.entries(targetFiles)) {
+    const locale = locales[lang] || lang;
+    const exchangeFile = getExchangeFile(xliffDir, sourceFile, locale, relativeDir);
+    const text = await readIfExists(exchangeFile);
+    if (!text) continue;
+
+    let targets;
+    try {
+      targets = xliff.reviewedTargets(text);
+    } catch (error) {
+      log.warning(`Could not read XLIFF review file ${exchangeFile}: ${error.message}`);
+      continue;
+    }
+
+    const targetText = await readIfExists(targetFile);
+    const current = targetText ? flattenObject(parseTarget(format, targetText, locale)) : {};
+    const changed = Object.entries(targets)
+      .map(([id, value]) => [keyOf.get(id) || id, value])
+      .filter(([key, value]) => typeof flatSource[key] === 'string' && current[key] !== value);
+
+    if (changed.length > 0) {
+      reviewed[lang] = Object.fromEntries(changed);
+      log.info(`📥 Importing ${changed.length} reviewed translation(s) from ${exchangeFile}`);
+    }
+  }
+
+  return reviewed;
+}
+
+/**
+ * Write the XLIFF review file of each language from the source and the current target file
+ * Units whose target is unchanged keep the state a reviewer gave them
+ * Returns a record per review file that changed: { file, sourceFile, lang, locale, keys, review }
+ */
+async function exportForReview(xliffDir, sourceFile, format, flatSource, targetFiles, { version = '1.2', sourceLanguage = 'en', locales = {}, relativeDir = '' } = {}) {
+  const written = [];
+  const template = xliff.buildXliff(byDisplayKey(flatSource), { version, sourceLanguage, original: sourceFile.split(path.sep).join('/') });
+
+  for (const [lang, targetFile] of Object.entries(targetFiles)) {
+    const targetText = await readIfExists(targetFile);
+    if (!targetText) continue;
+
+    const locale = locales[lang] || lang;
+    const exchangeFile = getExchangeFile(xliffDir, sourceFile, locale, relativeDir);
+    let existing = await readIfExists(exchangeFile);
+    try {
+      if (existing) xliff.parse(existing);
+    } catch (error) {
+      log.warning(`Replacing unreadable XLIFF review file ${exchangeFile}: ${error.message}`);
+      existing = null;
+    }
+
+    const target = flattenObject(parseTarget(format, targetText, locale));
+    const output = xliff.serialize(byDisplayKey(target), { existing, source: template, lang: locale });
+    if (output === existing) continue;
+
+    await fs.mkdir(path.dirname(exchangeFile), { recursive: true });
+    await fs.writeFile(exchangeFile, output, 'utf8');
+    written.push({ file: exchangeFile, sourceFile, lang, locale, keys: [], review: true });
+    log.info(`📤 Exported for review: ${exchangeFile}`);
+  }
+
+  return written;
+}
+
+module.exports = { getExchangeFile, importReviewed, exportForReview };
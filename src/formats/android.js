@@ -0,0 +1,216 @@
+const path = require('path');
+const { parseXml, childElements, escapeXml, unescapeXml, formatAttributes } = require('./xml');
+const { flatten, unflatten } = require('./keys');
+const { pluralCategories } = require('./plurals');
+
+// Inline markup kept as-is inside string values (<b>, <xliff:g id="x">, ...)
+const MARKUP = /(<\/?[A-Za-z][\w:.-]*(?:\s[^<>]*)?\/?>)/;
+
+/**
+ * Resolve Android string escapes; unescaped double quotes only guard whitespace and are dropped
+ */
+function androidUnescape(str) {
+  return str.replace(/\\(u[0-9a-fA-F]{4}|[\s\S])|"/g, (match, escape) => {
+    if (!escape) return '';
+    if (escape.length === 5) return String.fromCharCode(parseInt(escape.slice(1), 16));
+    return { n: '\n', t: '\t' }[escape] ?? escape;
+  });
+}
+
+function androidEscape(value) {
+  return value
+    .split(MARKUP)
+    .map((part, i) => {
+      if (i % 2 === 1) return part;
+      return escapeXml(part
+        .replace(/\\/g, '\\\\')
+        .replace(/'/g, "\\'")
+        .replace(/"/g, '\\"')
+        .replace(/\n/g, '\\n')
+        .replace(/\t/g, '\\t'));
+    })
+    .join('')
+    .replace(/^([@?])/, '\\$1');
+}
+
+/**
+ * Text of a <string> or <item>, keeping inline markup
+ */
+function readValue(node, text) {
+  return node.children.map(child => {
+    if (child.type === 'text') return androidUnescape(unescapeXml(child.value));
+    if (child.type === 'cdata') return androidUnescape(child.value);
+    if (child.type === 'element') {
+      const openTag = text.slice(child.start, child.innerStart);
+      return child.end === child.innerStart ? openTag : `${openTag}${readValue(child, text)}</${child.name}>`;
+    }
+    return '';
+  }).join('');
+}
+
+/**
+ * Values that point at another resource (@string/name, ?attr/name) are not translated
+ */
+function isReference(node, text) {
+  return /^\s*[@?]/.test(text.slice(node.innerStart, node.innerEnd));
+}
+
+function isTranslatable(node) {
+  return node.attributes.translatable !== 'false';
+}
+
+function isResources(node) {
+  return Boolean(node) && node.name === 'resources';
+}
+
+function readResources(text) {
+  const root = parseXml(text);
+  const resources = childElements(root)[0];
+  if (!isResources(resources)) {
+    throw new Error('Expected a <resources> root element');
+  }
+  return resources;
+}
+
+/**
+ * Flat translatable values of a resources file
+ * Plurals become name_<quantity>, string-array items become name.<index>
+ * Other XML files under res/ (layouts, drawables, menus) have no strings
+ */
+function readStrings(text) {
+  const flat = {};
+  const resources = childElements(parseXml(text))[0];
+  if (!isResources(resources)) return flat;
+  for (const node of childElements(resources)) {
+    if (!isTranslatable(node)) continue;
+    const name = node.attributes.name;
+
+    if (node.name === 'string' && !isReference(node, text)) {
+      flat[name] = readValue(node, text);
+    } else if (node.name === 'plurals') {
+      for (const item of childElements(node, 'item')) {
+        flat[`${name}_${item.attributes.quantity}`] = readValue(item, text);
+      }
+    } else if (node.name === 'string-array') {
+      childElements(node, 'item').forEach((item, index) => {
+        if (!isReference(item, text)) flat[`${name}.${index}`] = readValue(item, text);
+      });
+    }
+  }
+  return flat;
+}
+
+/**
+ * Indentation of the first child of <resources>, defaulting to four spaces
+ */
+function detectIndent(resources) {
+  const first = resources.children.find(child => child.type === 'text' && child.value.includes('\n'));
+  const indent = first ? first.value.slice(first.value.lastIndexOf('\n') + 1) : '';
+  return indent || '    ';
+}
+
+/**
+ * Lines for one resource of the template, or null when it has no translation
+ */
+function formatResource(node, text, flat, lang, indent) {
+  if (!isTranslatable(node)) return null;
+  const name = node.attributes.name;
+  const open = `${indent}<${node.name}${formatAttributes(node.attributes)}>`;
+
+  if (node.name === 'string') {
+    if (flat[name] === undefined) return null;
+    return [`${open}${androidEscape(flat[name])}</string>`];
+  }
+
+  if (node.name === 'plurals') {
+    const items = pluralCategories(lang)
+      .map(quantity => [quantity, flat[`${name}_${quantity}`]])
+      .filter(([, value]) => value !== undefined);
+    if (items.length === 0) return null;
+    return [
+      open,
+      ...items.map(([quantity, value]) => `${indent}${indent}<item quantity="${quantity}">${androidEscape(value)}</item>`),
+      `${indent}</plurals>`,
+    ];
+  }
+
+  if (node.name === 'string-array') {
+    const items = childElements(node, 'item').map((item, index) =>
+      isReference(item, text)
+        ? text.slice(item.innerStart, item.innerEnd).trim()
+        : flat[`${name}.${index}`] === undefined ? undefined : androidEscape(flat[`${name}.${index}`])
+    );
+    if (items.length === 0 || items.some(item => item === undefined)) return null;
+    return [
+      open,
+      ...items.map(item => `${indent}${indent}<item>${item}</item>`),
+      `${indent}</string-array>`,
+    ];
+  }
+
+  return null;
+}
+
+/**
+ * Android resource qualifier for a language code (es, pt-rBR, b+sr+Latn)
+ */
+function resourceQualifier(lang) {
+  const [language, ...rest] = lang.split(/[-_]/);
+  if (rest.length === 0) return language;
+  if (rest.length === 1 && /^[A-Za-z]{2}$/.test(rest[0])) return `${language}-r${rest[0].toUpperCase()}`;
+  return `b+${[language, ...rest].join('+')}`;
+}
+
+/**
+ * Android string resources (res/values/strings.xml)
+ */
+module.exports = {
+  name: 'android',
+  extensions: ['.xml'],
+
+  parse(text) {
+    return unflatten(readStrings(text));
+  },
+
+  /**
+   * Targets live in a qualified sibling of the source folder: res/values-es/strings.xml
+   */
+  defaultOutputDir: sourceFile => path.dirname(path.dirname(sourceFile)),
+
+  localizedPath(outputDir, sourceFile, lang) {
+    return path.join(outputDir, `values-${resourceQualifier(lang)}`, path.basename(sourceFile));
+  },
+
+  /**
+   * Write the translated resources in source order, keeping comments and attributes
+   * Untranslatable strings and resource references are left to the default resources
+   */
+  serialize(content, { existing, source, lang } = {}) {
+    const text = source || existing;
+    const flat = flatten(content);
+    const resources = readResources(text);
+    const indent = detectIndent(resources);
+
+    const lines = [];
+    let comments = [];
+    for (const node of resources.children) {
+      if (node.type === 'comment') {
+        comments.push(`${indent}<!--${node.value}-->`);
+      } else if (node.type === 'element') {
+        const block = formatResource(node, text, flat, lang, indent);
+        if (block) lines.push(...comments, ...block);
+        comments = [];
+      }
+    }
+
+    return [
+      '<?xml version="1.0" encoding="utf-8"?>',
+      `<resources${formatAttributes(resources.attributes)}>`,
+      ...lines,
+      '</resources>',
+      '',
+    ].join('\n');
+  },
+};
+
+module.exports.resourceQualifier = resourceQualifier;
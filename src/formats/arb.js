@@ -0,0 +1,92 @@
+const path = require('path');
+const { bundleName } = require('./bundles');
+const { messageArguments } = require('./icu');
+const { detectStyle, applyStyle } = require('./style');
+
+/**
+ * ARB locale tag: Flutter writes pt_BR, zh_Hant
+ */
+function arbLocale(lang) {
+  return lang.replace(/-/g, '_');
+}
+
+/**
+ * Message keys of an ARB file; @key metadata and @@ global attributes are not translated
+ */
+function readMessages(arb) {
+  return Object.fromEntries(
+    Object.entries(arb).filter(([key, value]) => !key.startsWith('@') && typeof value === 'string')
+  );
+}
+
+/**
+ * Flutter Application Resource Bundles (lib/l10n/app_en.arb)
+ */
+module.exports = {
+  name: 'arb',
+  extensions: ['.arb'],
+
+  parse(text) {
+    return readMessages(JSON.parse(text));
+  },
+
+  /**
+   * @key.description of each message, sent to the API as translator context
+   */
+  context(text) {
+    const arb = JSON.parse(text);
+    return Object.fromEntries(
+      Object.keys(readMessages(arb))
+        .filter(key => typeof arb[`@${key}`]?.description === 'string')
+        .map(key => [key, arb[`@${key}`].description])
+    );
+  },
+
+  /**
+   * Placeholders each message must keep: the declared @key.placeholders, or those of the source message
+   */
+  placeholders(text) {
+    const arb = JSON.parse(text);
+    return Object.fromEntries(
+      Object.entries(readMessages(arb)).map(([key, value]) => {
+        const declared = arb[`@${key}`]?.placeholders;
+        return [key, declared && typeof declared === 'object' ? Object.keys(declared).sort() : messageArguments(value)];
+      })
+    );
+  },
+
+  defaultOutputDir: sourceFile => path.dirname(sourceFile),
+
+  localizedPath(outputDir, sourceFile, lang, sourceLanguage) {
+    return path.join(outputDir, `${bundleName(sourceFile, sourceLanguage)}_${arbLocale(lang)}.arb`);
+  },
+
+  /**
+   * Write translated messages in source order with @@locale set to the target language
+   * Metadata of each message is copied from the source so gen-l10n sees the same placeholders
+   */
+  serialize(content, { existing, source, lang } = {}) {
+    const template = JSON.parse(source || existing || '{}');
+    const output = {};
+    if (lang) output['@@locale'] = arbLocale(lang);
+
+    for (const [key, value] of Object.entries(template)) {
+      if (key === '@@locale') continue;
+      if (key.startsWith('@@')) {
+        output[key] = value;
+      } else if (key.startsWith('@')) {
+        if (content[key.slice(1)] !== undefined) output[key] = value;
+      } else if (content[key] !== undefined) {
+        output[key] = content[key];
+      }
+    }
+
+    // Messages without a template entry are appended
+    for (const [key, value] of Object.entries(content)) {
+      if (!(key in output)) output[key] = value;
+    }
+
+    const style = detectStyle(existing || source);
+    return applyStyle(JSON.stringify(output, null, style.indent ?? '  '), style);
+  },
+};
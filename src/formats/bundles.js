@@ -0,0 +1,17 @@
+const path = require('path');
+
+/**
+ * Name of a resource bundle without the source-language suffix of its file:
+ * messages_en_US -> messages and app_en -> app for en. Other suffixes are part of the
+ * name (error_msg, my_app), and files without a suffix keep their name
+ */
+function bundleName(sourceFile, sourceLanguage = 'en') {
+  const name = path.basename(sourceFile, path.extname(sourceFile));
+  const [language, ...subtags] = sourceLanguage.split(/[-_]/);
+  if (!/^[A-Za-z]+$/.test(language) || !subtags.every(subtag => /^[A-Za-z0-9]+$/.test(subtag))) return name;
+
+  const rest = subtags.length > 0 ? `(${subtags.map(subtag => `_${subtag}`).join('')})?` : '(_[A-Za-z]{2,4})*';
+  return name.replace(new RegExp(`_${language}${rest}$`, 'i'), '') || name;
+}
+
+module.exports = { bundleName };
@@ -0,0 +1,68 @@
+const SELECT_TYPES = ['plural', 'select', 'selectordinal'];
+
+/**
+ * Index of the "}" closing the brace group that starts before index i
+ */
+function skipGroup(message, i) {
+  let depth = 1;
+  for (; i < message.length && depth > 0; i++) {
+    if (message[i] === '{') depth++;
+    else if (message[i] === '}') depth--;
+  }
+  return i;
+}
+
+/**
+ * Collect argument names of a message starting at i, up to the "}" that closes it
+ */
+function readMessage(message, i, names) {
+  while (i < message.length) {
+    const char = message[i];
+    if (char === '}') return i + 1;
+    if (char !== '{') {
+      i++;
+      continue;
+    }
+
+    const argument = /^\{\s*([^\s{},]+)\s*(?:,\s*(\w+)\s*)?([,}])/.exec(message.slice(i));
+    if (!argument) {
+      i = skipGroup(message, i + 1);
+      continue;
+    }
+
+    const [match, name, type, end] = argument;
+    names.add(name);
+    i += match.length;
+    if (end === '}') continue;
+
+    if (!SELECT_TYPES.includes(type)) {
+      i = skipGroup(message, i);
+      continue;
+    }
+
+    // Sub-messages of plural/select: selector{message} pairs until the closing brace
+    while (i < message.length && message[i] !== '}') {
+      const open = message.indexOf('{', i);
+      const close = message.indexOf('}', i);
+      if (open === -1 || (close !== -1 && close < open)) {
+        i = close === -1 ? message.length : close;
+        break;
+      }
+      i = readMessage(message, open + 1, names);
+    }
+    i++;
+  }
+  return i;
+}
+
+/**
+ * Names of the arguments used in an ICU message, including those inside plural/select branches
+ * e.g. "{count, plural, one{{count} item by {name}} other{...}}" -> ['count', 'name']
+ */
+function messageArguments(message) {
+  const names = new Set();
+  if (typeof message === 'string') readMessage(message, 0, names);
+  return [...names].sort();
+}
+
+module.exports = { messageArguments };
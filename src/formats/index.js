@@ -0,0 +1,56 @@
+const path = require('path');
+const json = require('./json');
+const yaml = require('./yaml');
+const po = require('./po');
+const android = require('./android');
+const strings = require('./strings');
+const stringsdict = require('./stringsdict');
+const xliff = require('./xliff');
+const properties = require('./properties');
+const resx = require('./resx');
+const arb = require('./arb');
+const { pluralCategories } = require('./plurals');
+
+const formats = [json, yaml, po, android, strings, stringsdict, xliff, properties, resx, arb];
+
+/**
+ * Get the format handler for a file based on its extension
+ * Unknown extensions are treated as JSON
+ */
+function getFormat(filePath) {
+  const ext = path.extname(filePath).toLowerCase();
+  return formats.find(f => f.extensions.includes(ext)) || json;
+}
+
+/**
+ * Parse a translated target file
+ * Formats whose target files differ from their sources (e.g. gettext) provide parseTarget
+ */
+function parseTarget(format, text, lang) {
+  return format.parseTarget ? format.parseTarget(text, { lang }) : format.parse(text);
+}
+
+/**
+ * Parse a source file in the source language
+ * Formats that wrap their content in a language (Rails YAML roots) provide parseSource
+ */
+function parseSource(format, text, lang) {
+  return format.parseSource ? format.parseSource(text, { lang }) : format.parse(text);
+}
+
+/**
+ * Plural categories a target file has for a language
+ * Formats with their own plural slots (gettext) provide pluralCategories, the others use CLDR
+ */
+function pluralCategoriesOf(format, lang) {
+  return format.pluralCategories ? format.pluralCategories(lang) : pluralCategories(lang);
+}
+
+/**
+ * All extensions that can be discovered in a source directory (of one format when a name is given)
+ */
+function supportedExtensions(formatName = null) {
+  return formats.filter(f => !formatName || f.name === formatName).flatMap(f => f.extensions);
+}
+
+module.exports = { getFormat, parseTarget, parseSource, pluralCategoriesOf, supportedExtensions };
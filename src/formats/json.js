@@ -0,0 +1,38 @@
+const { detectStyle, applyStyle, orderContent } = require('./style');
+
+const DEFAULT_INDENT = '  ';
+
+function parse(text) {
+  return JSON.parse(text.replace(/^\uFEFF/, ''));
+}
+
+/**
+ * JSON locale files (i18next, react-intl, vue-i18n, ...)
+ */
+module.exports = {
+  name: 'json',
+  extensions: ['.json'],
+
+  parse,
+
+  /**
+   * Write keys in source order (or sorted), in the style of the existing target file or the source:
+   * indentation, line endings, trailing newline and BOM
+   */
+  serialize(content, { existing, source, sortKeys } = {}) {
+    let template = {};
+    try {
+      template = source ? parse(source) : {};
+    } catch {
+      template = {};
+    }
+
+    const base = (existing || source || '').trim();
+    const style = detectStyle(existing || source);
+    // Single-line files like {"a":"b"} stay compact
+    const compact = base.length > 2 && !base.includes('\n');
+    const indent = style.indent ?? (compact ? '' : DEFAULT_INDENT);
+
+    return applyStyle(JSON.stringify(orderContent(content, template, sortKeys), null, indent), style);
+  },
+};
@@ -0,0 +1,92 @@
+const CATEGORY_ORDER = ['zero', 'one', 'two', 'few', 'many', 'other'];
+const PLURAL_KEY = /^(.+)_(zero|one|two|few|many|other)$/;
+
+/**
+ * CLDR plural categories of a language, in CLDR order
+ * Unknown or missing language codes fall back to one/other
+ */
+function pluralCategories(lang) {
+  if (!lang) return ['one', 'other'];
+  try {
+    const { pluralCategories: categories } = new Intl.PluralRules(lang.replace(/_/g, '-')).resolvedOptions();
+    return CATEGORY_ORDER.filter(category => categories.includes(category));
+  } catch {
+    return ['one', 'other'];
+  }
+}
+
+/**
+ * i18next-style plural groups of flat source keys (count_one, count_other): base key -> its keys
+ * A group has an "other" form and at least one more
+ */
+function pluralGroups(keys) {
+  const groups = new Map();
+  for (const key of keys) {
+    const match = PLURAL_KEY.exec(key);
+    if (!match) continue;
+    if (!groups.has(match[1])) groups.set(match[1], []);
+    groups.get(match[1]).push(key);
+  }
+  for (const [base, groupKeys] of groups) {
+    if (groupKeys.length < 2 || !groupKeys.includes(`${base}_other`)) groups.delete(base);
+  }
+  return groups;
+}
+
+/**
+ * Base key of a plural form of one of the groups (files_few -> files), null for other keys
+ */
+function pluralBase(key, groups) {
+  const match = PLURAL_KEY.exec(key);
+  return match && groups.has(match[1]) ? match[1] : null;
+}
+
+/**
+ * Keys a target language has for source keys: the forms of a plural group are replaced with
+ * the plural categories of the language (count_one, count_few, count_many, count_other for ru).
+ * A "zero" form of the source is kept
+ */
+function expandPluralKeys(keys, categories, groups) {
+  const result = new Set();
+  for (const key of keys) {
+    const base = pluralBase(key, groups);
+    if (base === null) {
+      result.add(key);
+      continue;
+    }
+    if (groups.get(base).includes(`${base}_zero`)) result.add(`${base}_zero`);
+    categories.forEach(category => result.add(`${base}_${category}`));
+  }
+  return [...result];
+}
+
+/**
+ * Source key a target key is translated from: forms the source doesn't have come from "other"
+ */
+function pluralSourceKey(key, groups) {
+  const base = pluralBase(key, groups);
+  return base === null || groups.get(base).includes(key) ? key : `${base}_other`;
+}
+
+/**
+ * Source keys that keys of a language cover: a plural group is covered once the keys hold every form
+ * of the language's categories, so count_other alone covers count_one and count_other in ja
+ */
+function coveredSourceKeys(sourceKeys, keys, categories, groups) {
+  const present = new Set(keys);
+  return sourceKeys.filter(key => expandPluralKeys([key], categories, groups).every(targetKey => present.has(targetKey)));
+}
+
+/**
+ * Flat values with the plural forms among keys added, each taking the source text of its "other" form
+ */
+function addPluralForms(flat, keys, groups) {
+  const result = { ...flat };
+  for (const key of keys) {
+    const sourceKey = pluralSourceKey(key, groups);
+    if (!(key in result) && sourceKey in flat) result[key] = flat[sourceKey];
+  }
+  return result;
+}
+
+module.exports = { CATEGORY_ORDER, pluralCategories, pluralGroups, pluralBase, expandPluralKeys, pluralSourceKey, coveredSourceKeys, addPluralForms };
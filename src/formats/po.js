@@ -0,0 +1,328 @@
+const crypto = require('crypto');
+
+// Plural-Forms headers and the CLDR category of each msgstr[n] slot
+const PLURAL_RULES = {
+  default: { header: 'nplurals=2; plural=(n != 1);', categories: ['one', 'other'] },
+  ar: { header: 'nplurals=6; plural=(n==0 ? 0 : n==1 ? 1 : n==2 ? 2 : n%100>=3 && n%100<=10 ? 3 : n%100>=11 ? 4 : 5);', categories: ['zero', 'one', 'two', 'few', 'many', 'other'] },
+  cs: { header: 'nplurals=3; plural=(n==1) ? 0 : (n>=2 && n<=4) ? 1 : 2;', categories: ['one', 'few', 'other'] },
+  fr: { header: 'nplurals=2; plural=(n > 1);', categories: ['one', 'other'] },
+  ga: { header: 'nplurals=5; plural=(n==1 ? 0 : n==2 ? 1 : n<7 ? 2 : n<11 ? 3 : 4);', categories: ['one', 'two', 'few', 'many', 'other'] },
+  id: { header: 'nplurals=1; plural=0;', categories: ['other'] },
+  ja: { header: 'nplurals=1; plural=0;', categories: ['other'] },
+  ko: { header: 'nplurals=1; plural=0;', categories: ['other'] },
+  lt: { header: 'nplurals=3; plural=(n%10==1 && n%100!=11 ? 0 : n%10>=2 && (n%100<10 || n%100>=20) ? 1 : 2);', categories: ['one', 'few', 'other'] },
+  pl: { header: 'nplurals=3; plural=(n==1 ? 0 : n%10>=2 && n%10<=4 && (n%100<10 || n%100>=20) ? 1 : 2);', categories: ['one', 'few', 'many'] },
+  'pt-BR': { header: 'nplurals=2; plural=(n > 1);', categories: ['one', 'other'] },
+  ro: { header: 'nplurals=3; plural=(n==1 ? 0 : (n==0 || (n%100 > 0 && n%100 < 20)) ? 1 : 2);', categories: ['one', 'few', 'other'] },
+  ru: { header: 'nplurals=3; plural=(n%10==1 && n%100!=11 ? 0 : n%10>=2 && n%10<=4 && (n%100<10 || n%100>=20) ? 1 : 2);', categories: ['one', 'few', 'many'] },
+  sk: { header: 'nplurals=3; plural=(n==1) ? 0 : (n>=2 && n<=4) ? 1 : 2;', categories: ['one', 'few', 'other'] },
+  th: { header: 'nplurals=1; plural=0;', categories: ['other'] },
+  uk: { header: 'nplurals=3; plural=(n%10==1 && n%100!=11 ? 0 : n%10>=2 && n%10<=4 && (n%100<10 || n%100>=20) ? 1 : 2);', categories: ['one', 'few', 'many'] },
+  vi: { header: 'nplurals=1; plural=0;', categories: ['other'] },
+  zh: { header: 'nplurals=1; plural=0;', categories: ['other'] },
+};
+
+/**
+ * Plural rule for a language code (es, pt-BR, pt_BR, zh-Hans, ...)
+ */
+function getPluralRule(lang) {
+  if (!lang) return PLURAL_RULES.default;
+  const normalized = lang.replace('_', '-');
+  const base = normalized.split('-')[0].toLowerCase();
+  return PLURAL_RULES[normalized] || PLURAL_RULES[base] || PLURAL_RULES.default;
+}
+
+/**
+ * Stable, flatten-safe key for an entry (msgids contain dots and spaces)
+ */
+function entryKey(msgctxt, msgid) {
+  const hash = crypto.createHash('sha1').update(`${msgctxt ?? ''}\u0004${msgid}`).digest('hex');
+  return `msg_${hash.slice(0, 12)}`;
+}
+
+function unescapeString(str) {
+  return str.replace(/\\(n|t|r|"|\\)/g, (_, c) => ({ n: '\n', t: '\t', r: '\r', '"': '"', '\\': '\\' }[c]));
+}
+
+function escapeString(str) {
+  return str
+    .replace(/\\/g, '\\\\')
+    .replace(/"/g, '\\"')
+    .replace(/\t/g, '\\t')
+    .replace(/\r/g, '\\r')
+    .replace(/\n/g, '\\n');
+}
+
+/**
+ * Parse a PO/POT file into a header and a list of entries
+ * Obsolete (#~) entries are dropped
+ */
+function parsePo(text) {
+  const entries = [];
+  let entry = null;
+  let field = null;
+
+  const newEntry = () => ({ comments: [], flags: [], msgctxt: null, msgid: null, msgidPlural: null, msgstr: [] });
+
+  const finish = () => {
+    if (entry && entry.msgid !== null) entries.push(entry);
+    entry = null;
+    field = null;
+  };
+
+  const append = (target, value) => {
+    if (target.name === 'msgstr') {
+      entry.msgstr[target.index] = (entry.msgstr[target.index] || '') + value;
+    } else {
+      entry[target.name] = (entry[target.name] || '') + value;
+    }
+  };
+
+  for (const rawLine of text.replace(/^\uFEFF/, '').split(/\r?\n/)) {
+    const line = rawLine.trim();
+
+    if (line === '') {
+      finish();
+      continue;
+    }
+    if (line.startsWith('#~')) {
+      continue;
+    }
+    if (line.startsWith('#')) {
+      // A comment after a complete entry starts the next one
+      if (entry && entry.msgstr.length > 0) finish();
+      if (!entry) entry = newEntry();
+      if (line.startsWith('#,')) {
+        entry.flags.push(...line.slice(2).split(',').map(f => f.trim()).filter(Boolean));
+      } else {
+        entry.comments.push(rawLine.trimEnd());
+      }
+      continue;
+    }
+
+    const keyword = line.match(/^(msgctxt|msgid_plural|msgid|msgstr(?:\[(\d+)\])?)\s+"(.*)"$/);
+    if (keyword) {
+      const [, name, index, value] = keyword;
+      if (name === 'msgctxt' || (name === 'msgid' && entry && entry.msgstr.length > 0)) {
+        if (entry && entry.msgid !== null) finish();
+      }
+      if (!entry) entry = newEntry();
+
+      if (name.startsWith('msgstr')) {
+        field = { name: 'msgstr', index: index === undefined ? 0 : Number(index) };
+        entry.msgstr[field.index] = '';
+      } else {
+        field = { name: name === 'msgid_plural' ? 'msgidPlural' : name };
+        entry[field.name] = '';
+      }
+      append(field, unescapeString(value));
+      continue;
+    }
+
+    const continuation = line.match(/^"(.*)"$/);
+    if (continuation && entry && field) {
+      append(field, unescapeString(continuation[1]));
+    }
+  }
+  finish();
+
+  const headerIndex = entries.findIndex(e => e.msgid === '' && e.msgctxt === null);
+  const header = headerIndex >= 0 ? entries.splice(headerIndex, 1)[0] : null;
+
+  for (const e of entries) {
+    e.key = entryKey(e.msgctxt, e.msgid);
+  }
+
+  return { header, entries };
+}
+
+/**
+ * Parse "Name: value\n" header lines into ordered pairs
+ */
+function parseHeaderFields(msgstr = '') {
+  return msgstr.split('\n').filter(Boolean).map(line => {
+    const index = line.indexOf(':');
+    return index === -1 ? [line, ''] : [line.slice(0, index), line.slice(index + 1).trim()];
+  });
+}
+
+function isTranslated(entry) {
+  return !entry.flags.includes('fuzzy') && entry.msgstr.length > 0 && entry.msgstr.every(s => s);
+}
+
+/**
+ * Content object for the source side of an entry
+ */
+function sourceValues(entry) {
+  if (entry.msgidPlural !== null) {
+    return { [`${entry.key}_one`]: entry.msgid, [`${entry.key}_other`]: entry.msgidPlural };
+  }
+  return { [entry.key]: entry.msgid };
+}
+
+/**
+ * Content object for the translated side of an entry
+ */
+function targetValues(entry, rule) {
+  if (entry.msgidPlural !== null) {
+    const values = {};
+    rule.categories.forEach((category, i) => {
+      if (entry.msgstr[i]) values[`${entry.key}_${category}`] = entry.msgstr[i];
+    });
+    return values;
+  }
+  return { [entry.key]: entry.msgstr[0] };
+}
+
+/**
+ * Fill msgstr slots for an entry from translated content
+ * Plurals need every category of the language; without one the entry stays untranslated
+ */
+function msgstrFromContent(entry, content, rule) {
+  if (entry.msgidPlural === null) {
+    return content[entry.key] === undefined ? null : [content[entry.key]];
+  }
+  const forms = rule.categories.map(category => content[`${entry.key}_${category}`]);
+  return forms.some(f => f === undefined) ? null : forms;
+}
+
+function formatString(keyword, value) {
+  if (!value.includes('\n') || value.indexOf('\n') === value.length - 1) {
+    return `${keyword} "${escapeString(value)}"`;
+  }
+  const lines = value.split(/(?<=\n)/);
+  return [`${keyword} ""`, ...lines.map(l => `"${escapeString(l)}"`)].join('\n');
+}
+
+function formatEntry(entry) {
+  const lines = [...entry.comments];
+  if (entry.flags.length > 0) {
+    lines.push(`#, ${entry.flags.join(', ')}`);
+  }
+  if (entry.msgctxt !== null) {
+    lines.push(formatString('msgctxt', entry.msgctxt));
+  }
+  lines.push(formatString('msgid', entry.msgid));
+  if (entry.msgidPlural !== null) {
+    lines.push(formatString('msgid_plural', entry.msgidPlural));
+    entry.msgstr.forEach((str, i) => lines.push(formatString(`msgstr[${i}]`, str || '')));
+  } else {
+    lines.push(formatString('msgstr', entry.msgstr[0] || ''));
+  }
+  return lines.join('\n');
+}
+
+/**
+ * Build the header for a target language, keeping fields from the existing target or template
+ */
+function buildHeader(sourceHeader, existingHeader, lang, rule) {
+  const base = existingHeader || sourceHeader;
+  const fields = new Map(parseHeaderFields(base ? base.msgstr[0] : ''));
+
+  if (lang) fields.set('Language', lang);
+  fields.set('MIME-Version', fields.get('MIME-Version') || '1.0');
+  fields.set('Content-Type', 'text/plain; charset=UTF-8');
+  fields.set('Content-Transfer-Encoding', '8bit');
+  fields.set('Plural-Forms', rule.header);
+
+  const msgstr = [...fields].map(([name, value]) => `${name}: ${value}\n`).join('');
+  return {
+    comments: base ? base.comments : [],
+    flags: (base ? base.flags : []).filter(f => f !== 'fuzzy'),
+    msgctxt: null,
+    msgid: '',
+    msgidPlural: null,
+    msgstr: [msgstr],
+  };
+}
+
+/**
+ * Gettext PO/POT files
+ * Source entries are keyed by msgctxt + msgid; plurals use i18next-style _one/_other keys
+ */
+module.exports = {
+  name: 'po',
+  extensions: ['.po', '.pot'],
+  outputExtension: '.po',
+
+  /**
+   * Plural categories of the msgstr[n] slots of a language
+   */
+  pluralCategories(lang) {
+    return getPluralRule(lang).categories;
+  },
+
+  parse(text) {
+    const { entries } = parsePo(text);
+    return Object.assign({}, ...entries.map(sourceValues));
+  },
+
+  /**
+   * Translated, non-fuzzy entries of a target .po file
+   */
+  parseTarget(text, { lang } = {}) {
+    const { header, entries } = parsePo(text);
+    const headerLang = header ? new Map(parseHeaderFields(header.msgstr[0])).get('Language') : null;
+    const rule = getPluralRule(lang || headerLang);
+    return Object.assign({}, ...entries.filter(isTranslated).map(e => targetValues(e, rule)));
+  },
+
+  /**
+   * Compare source content with a target file
+   * missing: source keys of entries that are untranslated, fuzzy or absent in the target
+   * obsolete: target keys of entries no longer in the source
+   */
+  diffTarget(content, targetText, { lang } = {}) {
+    const entries = targetText ? parsePo(targetText).entries : [];
+    const translated = new Set(entries.filter(isTranslated).map(e => e.key));
+    const baseKey = key => key.replace(/_(zero|one|two|few|many|other)$/, '');
+    const sourceBaseKeys = new Set(Object.keys(content).map(baseKey));
+    const targetContent = targetText ? this.parseTarget(targetText, { lang }) : {};
+
+    return {
+      missing: Object.keys(content).filter(key => !translated.has(baseKey(key))),
+      obsolete: Object.keys(targetContent).filter(key => !sourceBaseKeys.has(baseKey(key))),
+    };
+  },
+
+  /**
+   * Write a target .po file with the entries of the source template
+   * Entries without a new translation keep the msgstr (and fuzzy flag) of the existing target
+   */
+  serialize(content, { existing, source, lang } = {}) {
+    const rule = getPluralRule(lang);
+    const template = parsePo(source || existing || '');
+    const current = existing ? parsePo(existing) : { header: null, entries: [] };
+    const currentByKey = new Map(current.entries.map(e => [e.key, e]));
+
+    const entries = template.entries.map(sourceEntry => {
+      const existingEntry = currentByKey.get(sourceEntry.key);
+      const translated = msgstrFromContent(sourceEntry, content, rule);
+      const entry = {
+        ...sourceEntry,
+        // Translator comments belong to the target file, the rest comes from the template
+        comments: [
+          ...(existingEntry ? existingEntry.comments.filter(c => /^#\s/.test(c)) : []),
+          ...sourceEntry.comments.filter(c => !/^#\s/.test(c)),
+        ],
+        flags: sourceEntry.flags.filter(f => f !== 'fuzzy'),
+      };
+
+      if (translated) {
+        entry.msgstr = translated;
+      } else if (existingEntry) {
+        entry.msgstr = existingEntry.msgstr;
+        if (existingEntry.flags.includes('fuzzy')) entry.flags.push('fuzzy');
+      } else {
+        entry.msgstr = sourceEntry.msgidPlural !== null ? rule.categories.map(() => '') : [''];
+      }
+      return entry;
+    });
+
+    const header = buildHeader(template.header, current.header, lang, rule);
+    return [header, ...entries].map(formatEntry).join('\n\n') + '\n';
+  },
+};
+
+module.exports.getPluralRule = getPluralRule;
+module.exports.entryKey = entryKey;
@@ -0,0 +1,128 @@
+const path = require('path');
+const { bundleName } = require('./bundles');
+const { flatten } = require('./keys');
+
+// MessageFormat arguments ({0}, {1,number}) make single quotes special
+const MESSAGE_FORMAT_ARGUMENT = /\{\d/;
+
+function unescapeProperty(str) {
+  return str.replace(/\\(u[0-9a-fA-F]{4}|[\s\S])/g, (_, escape) => {
+    if (escape.length === 5) return String.fromCharCode(parseInt(escape.slice(1), 16));
+    return { t: '\t', n: '\n', r: '\r', f: '\f' }[escape] ?? escape;
+  });
+}
+
+function escapeProperty(str, { ascii }) {
+  let escaped = '';
+  for (let i = 0; i < str.length; i++) {
+    const char = str[i];
+    const code = str.charCodeAt(i);
+    if (char === '\\') escaped += '\\\\';
+    else if (char === '\n') escaped += '\\n';
+    else if (char === '\r') escaped += '\\r';
+    else if (char === '\t') escaped += '\\t';
+    else if (char === '\f') escaped += '\\f';
+    else if (ascii && (code < 0x20 || code > 0x7e)) escaped += `\\u${code.toString(16).padStart(4, '0')}`;
+    else escaped += char;
+  }
+  // Leading whitespace would be taken as part of the separator
+  return escaped.replace(/^ /, '\\ ');
+}
+
+/**
+ * MessageFormat patterns escape a single quote as ''; translators see plain quotes
+ */
+function fromMessageFormat(value) {
+  return MESSAGE_FORMAT_ARGUMENT.test(value) ? value.replace(/''/g, "'") : value;
+}
+
+function toMessageFormat(value) {
+  return MESSAGE_FORMAT_ARGUMENT.test(value) ? value.replace(/'/g, "''") : value;
+}
+
+/**
+ * Parse a .properties file into entries that remember their raw key and separator
+ * Each entry keeps the comments and blank lines before it so files can be rewritten in place
+ */
+function parseProperties(text) {
+  const eol = text.includes('\r\n') ? '\r\n' : '\n';
+  const lines = text.replace(/^\uFEFF/, '').split(/\r?\n/);
+  const entries = [];
+  let leading = [];
+
+  for (let i = 0; i < lines.length; i++) {
+    const line = lines[i];
+    if (/^\s*([#!]|$)/.test(line)) {
+      leading.push(line);
+      continue;
+    }
+
+    // Join continuation lines (an odd number of trailing backslashes)
+    let logical = line.replace(/^\s+/, '');
+    while (/(^|[^\\])(\\\\)*\\$/.test(logical) && i + 1 < lines.length) {
+      logical = logical.slice(0, -1) + lines[++i].replace(/^\s+/, '');
+    }
+
+    const match = /^((?:\\[\s\S]|[^\\\s=:])*)(\s*[=:]\s*|\s+)?([\s\S]*)$/.exec(logical);
+    entries.push({
+      key: unescapeProperty(match[1]),
+      rawKey: match[1],
+      separator: match[2] || '=',
+      value: fromMessageFormat(unescapeProperty(match[3])),
+      leading,
+    });
+    leading = [];
+  }
+
+  return { entries, trailing: leading, eol };
+}
+
+/**
+ * Java .properties resource bundles (messages.properties, messages_es.properties)
+ * Keys stay flat, so button and button.save are separate strings
+ */
+module.exports = {
+  name: 'properties',
+  extensions: ['.properties'],
+
+  parse(text) {
+    const { entries } = parseProperties(text);
+    return Object.fromEntries(entries.map(entry => [entry.key, entry.value]));
+  },
+
+  defaultOutputDir: sourceFile => path.dirname(sourceFile),
+
+  /**
+   * Bundles for other locales sit next to the source: messages_pt_BR.properties
+   */
+  localizedPath(outputDir, sourceFile, lang, sourceLanguage) {
+    return path.join(outputDir, `${bundleName(sourceFile, sourceLanguage)}_${lang.replace(/-/g, '_')}.properties`);
+  },
+
+  /**
+   * Write translated values into the layout of the source file
+   * Non-ASCII characters are written as \uXXXX unless the source file already uses raw UTF-8
+   */
+  serialize(content, { existing, source } = {}) {
+    const flat = flatten(content);
+    const template = source || existing || '';
+    const { entries, trailing, eol } = parseProperties(template);
+    const ascii = !/[^\x00-\x7f]/.test(template);
+
+    const lines = [];
+    for (const entry of entries) {
+      if (flat[entry.key] === undefined) continue;
+      lines.push(...entry.leading, `${entry.rawKey}${entry.separator}${escapeProperty(toMessageFormat(String(flat[entry.key])), { ascii })}`);
+    }
+
+    // Keys without a template entry (e.g. a template-less write) are appended
+    const known = new Set(entries.map(entry => entry.key));
+    for (const [key, value] of Object.entries(flat)) {
+      if (!known.has(key)) {
+        lines.push(`${escapeProperty(key, { ascii }).replace(/[=: ]/g, '\\$&')}=${escapeProperty(toMessageFormat(String(value)), { ascii })}`);
+      }
+    }
+
+    return [...lines, ...trailing].join(eol).replace(/^(\r?\n)+/, '') || eol;
+  },
+};
@@ -0,0 +1,101 @@
+const path = require('path');
+const { parseXml, childElements, textContent, escapeXml } = require('./xml');
+const { flatten } = require('./keys');
+
+/**
+ * String resources of a .resx file; typed entries (images, files) and designer metadata are skipped
+ */
+function readResources(text) {
+  const root = childElements(parseXml(text))[0];
+  if (!root || root.name !== 'root') {
+    throw new Error('Expected a <root> element');
+  }
+
+  return childElements(root, 'data')
+    .filter(data => (!data.attributes.type || /^System\.String\b/.test(data.attributes.type)) && !data.attributes.mimetype)
+    .filter(data => !/^(>>|\$this\.)/.test(data.attributes.name || ''))
+    .map(data => {
+      const value = childElements(data, 'value')[0];
+      const comment = childElements(data, 'comment')[0];
+      return {
+        name: data.attributes.name,
+        node: data,
+        valueNode: value,
+        value: value ? textContent(value) : '',
+        comment: comment ? textContent(comment).trim() : '',
+      };
+    });
+}
+
+/**
+ * Strip a .NET culture suffix from a resource name: Strings.en-US -> Strings
+ */
+function resourceName(sourceFile) {
+  return path.basename(sourceFile, path.extname(sourceFile)).replace(/\.[a-z]{2,3}(-[A-Za-z]{2,4})*$/, '');
+}
+
+/**
+ * .NET .resx resource files (Strings.resx, Strings.es.resx)
+ * Resource names are kept as flat keys, dots included
+ */
+module.exports = {
+  name: 'resx',
+  extensions: ['.resx'],
+
+  parse(text) {
+    return Object.fromEntries(readResources(text).map(resource => [resource.name, resource.value]));
+  },
+
+  /**
+   * <comment> of each string, sent to the API as translator context
+   */
+  context(text) {
+    return Object.fromEntries(readResources(text).filter(r => r.comment).map(r => [r.name, r.comment]));
+  },
+
+  defaultOutputDir: sourceFile => path.dirname(sourceFile),
+
+  /**
+   * Satellite resources sit next to the source: Strings.pt-BR.resx
+   */
+  localizedPath(outputDir, sourceFile, lang) {
+    return path.join(outputDir, `${resourceName(sourceFile)}.${lang}.resx`);
+  },
+
+  /**
+   * Write translated values into a copy of the source file, keeping the schema, headers and comments
+   * Untranslated and non-string entries are left out so they fall back to the neutral resources
+   */
+  serialize(content, { existing, source } = {}) {
+    const flat = flatten(content);
+    const text = source || existing;
+    const root = childElements(parseXml(text))[0];
+    const strings = new Map(readResources(text).map(resource => [resource.node.start, resource]));
+    const edits = [];
+
+    for (const data of childElements(root, 'data')) {
+      const resource = strings.get(data.start);
+      const value = resource ? flat[resource.name] : undefined;
+
+      if (value === undefined || !resource.valueNode) {
+        // Remove the entry together with the whitespace in front of it
+        const previous = root.children[root.children.indexOf(data) - 1];
+        const start = previous && previous.type === 'text' && !previous.value.trim() ? data.start - previous.value.length : data.start;
+        edits.push([start, data.end, '']);
+      } else {
+        const { valueNode } = resource;
+        if (valueNode.end === valueNode.innerStart) {
+          edits.push([valueNode.start, valueNode.end, `<value>${escapeXml(String(value))}</value>`]);
+        } else {
+          edits.push([valueNode.innerStart, valueNode.innerEnd, escapeXml(String(value))]);
+        }
+      }
+    }
+
+    let output = text;
+    for (const [start, end, replacement] of edits.sort((a, b) => b[0] - a[0])) {
+      output = output.slice(0, start) + replacement + output.slice(end);
+    }
+    return output;
+  },
+};
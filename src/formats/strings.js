@@ -0,0 +1,123 @@
+const path = require('path');
+const { flatten } = require('./keys');
+
+const SKIP = /(?:\s+|\/\*[\s\S]*?\*\/|\/\/[^\n]*)*/y;
+const QUOTED = /"((?:[^"\\]|\\[\s\S])*)"/y;
+const BARE_KEY = /[^\s=;"]+/y;
+
+function unescapeString(str) {
+  return str.replace(/\\([Uu][0-9a-fA-F]{4}|[\s\S])/g, (_, escape) => {
+    if (escape.length === 5) return String.fromCharCode(parseInt(escape.slice(1), 16));
+    return { n: '\n', t: '\t', r: '\r', 0: '\0' }[escape] ?? escape;
+  });
+}
+
+function escapeString(str) {
+  return str
+    .replace(/\\/g, '\\\\')
+    .replace(/"/g, '\\"')
+    .replace(/\n/g, '\\n')
+    .replace(/\r/g, '\\r')
+    .replace(/\t/g, '\\t');
+}
+
+/**
+ * Parse a .strings file into entries that remember where they sit in the text
+ * Each entry keeps the comments and whitespace before it so files can be rewritten in place
+ */
+function parseStrings(text) {
+  const entries = [];
+  let pos = 0;
+  let entryStart = 0;
+
+  const lineAt = (index) => text.slice(0, index).split('\n').length;
+  const read = (pattern) => {
+    pattern.lastIndex = pos;
+    const match = pattern.exec(text);
+    if (match) pos = pattern.lastIndex;
+    return match;
+  };
+  const expect = (char, what) => {
+    read(SKIP);
+    if (text[pos] !== char) throw new Error(`Expected ${what} on line ${lineAt(pos)}`);
+    pos++;
+  };
+
+  if (text.startsWith('\uFEFF')) pos = entryStart = 1;
+
+  for (;;) {
+    read(SKIP);
+    if (pos >= text.length) break;
+
+    const keyStart = pos;
+    const quotedKey = read(QUOTED);
+    const key = quotedKey ? unescapeString(quotedKey[1]) : (read(BARE_KEY) || [])[0];
+    if (key === undefined) throw new Error(`Expected a key on line ${lineAt(pos)}`);
+
+    expect('=', "'='");
+    read(SKIP);
+    const valueStart = pos;
+    const value = read(QUOTED);
+    if (!value) throw new Error(`Expected a quoted value on line ${lineAt(pos)}`);
+    const valueEnd = pos;
+    expect(';', "';'");
+
+    entries.push({
+      key,
+      value: unescapeString(value[1]),
+      leading: text.slice(entryStart, keyStart),
+      raw: text.slice(keyStart, pos),
+      valueOffset: [valueStart - keyStart, valueEnd - keyStart],
+    });
+    entryStart = pos;
+  }
+
+  return { entries, trailing: text.slice(entryStart) };
+}
+
+/**
+ * Folder of a language next to the source .lproj folder: es.lproj/Localizable.strings
+ */
+function lprojPath(outputDir, sourceFile, lang) {
+  return path.join(outputDir, `${lang}.lproj`, path.basename(sourceFile));
+}
+
+/**
+ * Apple .strings files ("key" = "value";), keyed by their literal keys
+ */
+module.exports = {
+  name: 'strings',
+  extensions: ['.strings'],
+
+  parse(text) {
+    const { entries } = parseStrings(text);
+    return Object.fromEntries(entries.map(entry => [entry.key, entry.value]));
+  },
+
+  defaultOutputDir: sourceFile => path.dirname(path.dirname(sourceFile)),
+  localizedPath: lprojPath,
+
+  /**
+   * Write translated values into the layout of the source file, keeping comments and key order
+   */
+  serialize(content, { existing, source } = {}) {
+    const flat = flatten(content);
+    const { entries, trailing } = parseStrings(source || existing || '');
+
+    let output = entries
+      .filter(entry => flat[entry.key] !== undefined)
+      .map(entry => {
+        const [start, end] = entry.valueOffset;
+        return `${entry.leading}${entry.raw.slice(0, start)}"${escapeString(flat[entry.key])}"${entry.raw.slice(end)}`;
+      })
+      .join('');
+
+    // Keys without a template entry (e.g. a template-less write) are appended
+    const known = new Set(entries.map(entry => entry.key));
+    for (const [key, value] of Object.entries(flat)) {
+      if (!known.has(key)) output += `\n"${escapeString(key)}" = "${escapeString(String(value))}";`;
+    }
+
+    return output.replace(/^\s+/, '') + (trailing.trim() ? trailing : '\n');
+  },
+};
@@ -0,0 +1,137 @@
+const { parseXml, childElements, textContent, escapeXml } = require('./xml');
+const { flatten, unflatten } = require('./keys');
+const { CATEGORY_ORDER, pluralCategories } = require('./plurals');
+const strings = require('./strings');
+
+const FORMAT_KEY = 'NSStringLocalizedFormatKey';
+const PLURAL_RULE_TYPE = 'NSStringPluralRuleType';
+
+const PLIST_HEADER = [
+  '<?xml version="1.0" encoding="UTF-8"?>',
+  '<!DOCTYPE plist PUBLIC "-//Apple//DTD PLIST 1.0//EN" "http://www.apple.com/DTDs/PropertyList-1.0.dtd">',
+  '<plist version="1.0">',
+];
+
+function readPlistValue(node) {
+  switch (node.name) {
+    case 'dict': {
+      const result = {};
+      const items = childElements(node);
+      for (let i = 0; i + 1 < items.length; i += 2) {
+        result[textContent(items[i])] = readPlistValue(items[i + 1]);
+      }
+      return result;
+    }
+    case 'array':
+      return childElements(node).map(readPlistValue);
+    case 'integer':
+    case 'real':
+      return Number(textContent(node));
+    case 'true':
+      return true;
+    case 'false':
+      return false;
+    default:
+      return textContent(node);
+  }
+}
+
+function readPlist(text) {
+  const plist = childElements(parseXml(text), 'plist')[0];
+  const dict = plist && childElements(plist)[0];
+  if (!dict || dict.name !== 'dict') {
+    throw new Error('Expected a <plist> with a top-level <dict>');
+  }
+  return readPlistValue(dict);
+}
+
+function writePlistValue(value, depth) {
+  const indent = '\t'.repeat(depth);
+  if (typeof value === 'boolean') return [`${indent}<${value}/>`];
+  if (typeof value === 'number') return [`${indent}<${Number.isInteger(value) ? 'integer' : 'real'}>${value}</${Number.isInteger(value) ? 'integer' : 'real'}>`];
+  if (Array.isArray(value)) {
+    return [`${indent}<array>`, ...value.flatMap(item => writePlistValue(item, depth + 1)), `${indent}</array>`];
+  }
+  if (value && typeof value === 'object') {
+    return [
+      `${indent}<dict>`,
+      ...Object.entries(value).flatMap(([key, item]) => [
+        `${indent}\t<key>${escapeXml(key)}</key>`,
+        ...writePlistValue(item, depth + 1),
+      ]),
+      `${indent}</dict>`,
+    ];
+  }
+  return [`${indent}<string>${escapeXml(String(value))}</string>`];
+}
+
+function isPluralRule(value) {
+  return value && typeof value === 'object' && value.NSStringFormatSpecTypeKey === PLURAL_RULE_TYPE;
+}
+
+/**
+ * Apple .stringsdict plural dictionaries
+ * Each entry becomes key.NSStringLocalizedFormatKey plus key.<variable>_<category>
+ */
+module.exports = {
+  name: 'stringsdict',
+  extensions: ['.stringsdict'],
+
+  parse(text) {
+    const flat = {};
+    for (const [key, entry] of Object.entries(readPlist(text))) {
+      if (!entry || typeof entry !== 'object') continue;
+      if (typeof entry[FORMAT_KEY] === 'string') {
+        flat[`${key}.${FORMAT_KEY}`] = entry[FORMAT_KEY];
+      }
+      for (const [variable, rule] of Object.entries(entry)) {
+        if (!isPluralRule(rule)) continue;
+        for (const category of CATEGORY_ORDER) {
+          if (typeof rule[category] === 'string') flat[`${key}.${variable}_${category}`] = rule[category];
+        }
+      }
+    }
+    return unflatten(flat);
+  },
+
+  defaultOutputDir: strings.defaultOutputDir,
+  localizedPath: strings.localizedPath,
+
+  /**
+   * Write translated entries with the plural categories of the target language
+   * Categories without a translation are left out; "zero" is kept when it was translated
+   */
+  serialize(content, { existing, source, lang } = {}) {
+    const flat = flatten(content);
+    const template = readPlist(source || existing);
+    const output = {};
+
+    for (const [key, entry] of Object.entries(template)) {
+      if (!entry || typeof entry !== 'object') continue;
+      if (!Object.keys(flat).some(flatKey => flatKey.startsWith(`${key}.`))) continue;
+
+      const result = {};
+      for (const [name, value] of Object.entries(entry)) {
+        if (name === FORMAT_KEY) {
+          result[name] = flat[`${key}.${FORMAT_KEY}`] ?? value;
+        } else if (isPluralRule(value)) {
+          const prefix = `${key}.${name}_`;
+          const categories = pluralCategories(lang);
+          if (flat[`${prefix}zero`] !== undefined && !categories.includes('zero')) categories.unshift('zero');
+
+          const rule = Object.fromEntries(Object.entries(value).filter(([field]) => !CATEGORY_ORDER.includes(field)));
+          for (const category of categories) {
+            const translated = flat[`${prefix}${category}`];
+            if (translated !== undefined) rule[category] = translated;
+          }
+          result[name] = rule;
+        } else {
+          result[name] = value;
+        }
+      }
+      output[key] = result;
+    }
+
+    return [...PLIST_HEADER, ...writePlistValue(output, 0), '</plist>', ''].join('\n');
+  },
+};
@@ -0,0 +1,63 @@
+/**
+ * Layout helpers so rewritten files keep the key order and text style of the files they mirror
+ */
+
+const DEFAULT_STYLE = { indent: null, eol: '\n', finalNewline: true, bom: false };
+
+function isPlainObject(value) {
+  return value !== null && typeof value === 'object' && !Array.isArray(value);
+}
+
+/**
+ * Indentation (null when no line is indented), line endings, trailing newline and BOM of a file
+ */
+function detectStyle(text) {
+  if (!text) return { ...DEFAULT_STYLE };
+  const indent = /^[ \t]+(?=\S)/m.exec(text);
+  return {
+    indent: indent ? indent[0] : null,
+    eol: text.includes('\r\n') ? '\r\n' : '\n',
+    finalNewline: /\n$/.test(text),
+    bom: text.startsWith('\uFEFF'),
+  };
+}
+
+/**
+ * Apply line endings, trailing newline and BOM to text written with "\n"
+ */
+function applyStyle(text, style) {
+  let output = text.replace(/\r?\n$/, '');
+  if (style.finalNewline) output += '\n';
+  if (style.eol !== '\n') output = output.replace(/\r?\n/g, style.eol);
+  return style.bom ? `\uFEFF${output}` : output;
+}
+
+/**
+ * Order keys like the template; keys it doesn't have (e.g. extra plural forms)
+ * stay right after the key they followed. With sortKeys, keys are sorted instead
+ */
+function orderKeys(keys, templateKeys = [], sortKeys = false) {
+  if (sortKeys) return [...keys].sort();
+
+  const known = new Set(templateKeys);
+  const ordered = templateKeys.filter(key => keys.includes(key));
+  keys.forEach((key, i) => {
+    if (known.has(key)) return;
+    ordered.splice(i === 0 ? 0 : ordered.indexOf(keys[i - 1]) + 1, 0, key);
+  });
+  return ordered;
+}
+
+/**
+ * Copy of content with the nested key order of template (or sorted keys)
+ */
+function orderContent(content, template, sortKeys = false) {
+  if (!isPlainObject(content)) return content;
+  const base = isPlainObject(template) ? template : {};
+  return Object.fromEntries(
+    orderKeys(Object.keys(content), Object.keys(base), sortKeys)
+      .map(key => [key, orderContent(content[key], base[key], sortKeys)])
+  );
+}
+
+module.exports = { detectStyle, applyStyle, orderKeys, orderContent };
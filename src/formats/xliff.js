@@ -0,0 +1,252 @@
+const { parseXml, childElements, escapeXml, unescapeXml, formatAttributes } = require('./xml');
+const { flatten } = require('./keys');
+
+// Inline elements (<x/>, <ph/>, <g>, <pc>) are kept as-is inside values
+const MARKUP = /(<\/?[A-Za-z][\w:.-]*(?:\s[^<>]*)?\/?>)/;
+
+// Target states that still need a translation
+const UNTRANSLATED_STATES = new Set(['new', 'needs-translation', 'needs-adaptation', 'needs-l10n', 'initial']);
+
+// States written for machine translations, so reviewers can find them in CAT tools
+const MACHINE_STATE = { '1.2': 'needs-review-translation', '2.0': 'translated' };
+
+// States that mark a target as reviewed by a human
+const REVIEWED_STATES = { '1.2': ['translated', 'signed-off', 'final'], '2.0': ['reviewed', 'final'] };
+
+function readInline(node, text) {
+  return node.children.map(child => {
+    if (child.type === 'text') return unescapeXml(child.value);
+    if (child.type === 'cdata') return child.value;
+    if (child.type === 'element') {
+      const openTag = text.slice(child.start, child.innerStart);
+      return child.end === child.innerStart ? openTag : `${openTag}${readInline(child, text)}</${child.name}>`;
+    }
+    return '';
+  }).join('');
+}
+
+function escapeInline(value) {
+  return value.split(MARKUP).map((part, i) => (i % 2 === 1 ? part : escapeXml(part))).join('');
+}
+
+/**
+ * Parse an XLIFF 1.2 or 2.0 document into its translation units
+ * Each unit keeps the nodes needed to write a target back into the text
+ */
+function readXliff(text) {
+  const root = parseXml(text);
+  const xliff = childElements(root, 'xliff')[0];
+  if (!xliff) {
+    throw new Error('Expected an <xliff> root element');
+  }
+
+  const version = String(xliff.attributes.version || '1.2').startsWith('2') ? '2.0' : '1.2';
+  const units = [];
+
+  const addUnit = (key, container, translatable, state) => {
+    const source = childElements(container, 'source')[0];
+    const target = childElements(container, 'target')[0];
+    if (!source) return;
+    units.push({
+      key,
+      container,
+      sourceNode: source,
+      targetNode: target,
+      source: readInline(source, text),
+      target: target ? readInline(target, text) : null,
+      state: state(target),
+      translatable,
+    });
+  };
+
+  const walk = (node, translatable) => {
+    for (const child of childElements(node)) {
+      const childTranslatable = child.attributes.translate ? child.attributes.translate !== 'no' : translatable;
+
+      if (version === '1.2' && child.name === 'trans-unit') {
+        addUnit(child.attributes.id, child, childTranslatable, target => (target ? target.attributes.state || null : null));
+      } else if (version === '2.0' && child.name === 'unit') {
+        const segments = childElements(child, 'segment');
+        segments.forEach((segment, index) => {
+          const key = segments.length > 1 ? `${child.attributes.id}#${index + 1}` : child.attributes.id;
+          addUnit(key, segment, childTranslatable, () => segment.attributes.state || 'initial');
+        });
+      } else {
+        walk(child, childTranslatable);
+      }
+    }
+  };
+  walk(xliff, true);
+
+  return { root, xliff, version, units };
+}
+
+function isTranslated(unit) {
+  return !!unit.target && !UNTRANSLATED_STATES.has(unit.state);
+}
+
+/**
+ * Whitespace in front of a node, used to indent inserted siblings
+ */
+function indentBefore(parent, node) {
+  const previous = parent.children[parent.children.indexOf(node) - 1];
+  return previous && previous.type === 'text' && !previous.value.trim() ? previous.value : '';
+}
+
+/**
+ * Build a source-only XLIFF document from flat source strings
+ */
+function buildXliff(flatSource, { version = '1.2', sourceLanguage = 'en', original = 'messages' } = {}) {
+  const source = (value) => `<source>${escapeInline(String(value))}</source>`;
+  const entries = Object.entries(flatSource).filter(([, value]) => typeof value === 'string');
+
+  if (version === '2.0') {
+    return [
+      '<?xml version="1.0" encoding="UTF-8"?>',
+      `<xliff xmlns="urn:oasis:names:tc:xliff:document:2.0" version="2.0"${formatAttributes({ srcLang: sourceLanguage })}>`,
+      `  <file${formatAttributes({ id: 'f1', original })}>`,
+      ...entries.flatMap(([key, value]) => [
+        `    <unit${formatAttributes({ id: key })}>`,
+        '      <segment>',
+        `        ${source(value)}`,
+        '      </segment>',
+        '    </unit>',
+      ]),
+      '  </file>',
+      '</xliff>',
+      '',
+    ].join('\n');
+  }
+
+  return [
+    '<?xml version="1.0" encoding="UTF-8"?>',
+    '<xliff version="1.2" xmlns="urn:oasis:names:tc:xliff:document:1.2">',
+    `  <file${formatAttributes({ 'source-language': sourceLanguage, datatype: 'plaintext', original })}>`,
+    '    <body>',
+    ...entries.flatMap(([key, value]) => [
+      `      <trans-unit${formatAttributes({ id: key })}>`,
+      `        ${source(value)}`,
+      '      </trans-unit>',
+    ]),
+    '    </body>',
+    '  </file>',
+    '</xliff>',
+    '',
+  ].join('\n');
+}
+
+/**
+ * Targets a reviewer has approved (1.2: translated/signed-off/final, 2.0: reviewed/final)
+ */
+function reviewedTargets(text) {
+  const { version, units } = readXliff(text);
+  const reviewed = {};
+  for (const unit of units) {
+    if (unit.translatable && unit.target && REVIEWED_STATES[version].includes(unit.state)) {
+      reviewed[unit.key] = unit.target;
+    }
+  }
+  return reviewed;
+}
+
+/**
+ * XLIFF 1.2 / 2.0 files (Angular messages.xlf, CAT tool exchange)
+ * Units are keyed by their literal id (dots included); units with translate="no" are not translated
+ */
+module.exports = {
+  name: 'xliff',
+  extensions: ['.xlf', '.xliff'],
+
+  parse(text) {
+    const { units } = readXliff(text);
+    return Object.fromEntries(units.filter(u => u.translatable).map(u => [u.key, u.source]));
+  },
+
+  /**
+   * Translated targets of a target file; new and needs-translation units are left out
+   */
+  parseTarget(text) {
+    const { units } = readXliff(text);
+    return Object.fromEntries(units.filter(u => u.translatable && isTranslated(u)).map(u => [u.key, u.target]));
+  },
+
+  /**
+   * Compare source content with a target file
+   * missing: units without a finished target, or whose source text changed since
+   * obsolete: translated units no longer in the source
+   */
+  diffTarget(content, targetText) {
+    const flat = flatten(content);
+    const units = targetText ? readXliff(targetText).units : [];
+    const translated = new Set(units.filter(u => isTranslated(u) && u.source === flat[u.key]).map(u => u.key));
+
+    return {
+      missing: Object.keys(flat).filter(key => !translated.has(key)),
+      obsolete: units.filter(u => u.translatable && isTranslated(u) && !(u.key in flat)).map(u => u.key),
+    };
+  },
+
+  /**
+   * Write targets into a copy of the source document
+   * Targets that are unchanged keep their state; new values get the machine-translation state
+   */
+  serialize(content, { existing, source, lang } = {}) {
+    const flat = flatten(content);
+    const text = source || existing;
+    const { xliff, version, units } = readXliff(text);
+    const previous = new Map(existing ? readXliff(existing).units.map(u => [u.key, u]) : []);
+    const edits = [];
+
+    const setAttributes = (node, attributes) => {
+      edits.push([node.start, node.innerStart, `<${node.name}${formatAttributes({ ...node.attributes, ...attributes })}${node.innerStart === node.end ? '/>' : '>'}`]);
+    };
+
+    if (lang && version === '2.0') {
+      setAttributes(xliff, { trgLang: lang });
+    } else if (lang) {
+      const files = [];
+      const collect = node => childElements(node).forEach(child => (child.name === 'file' ? files.push(child) : collect(child)));
+      collect(xliff);
+      files.forEach(file => setAttributes(file, { 'target-language': lang }));
+    }
+
+    for (const unit of units) {
+      if (!unit.translatable) continue;
+      const value = flat[unit.key];
+      const before = previous.get(unit.key);
+
+      let target;
+      let state;
+      if (value === undefined) {
+        if (!before || before.target === null) continue;
+        ({ target, state } = before);
+      } else if (before && before.target === value) {
+        ({ target, state } = before);
+      } else {
+        target = value;
+        state = MACHINE_STATE[version];
+      }
+
+      const targetAttributes = { ...(unit.targetNode ? unit.targetNode.attributes : {}) };
+      delete targetAttributes.state;
+      if (version === '1.2' && state) targetAttributes.state = state;
+      if (version === '2.0') setAttributes(unit.container, { state });
+
+      const markup = `<target${formatAttributes(targetAttributes)}>${escapeInline(target)}</target>`;
+      if (unit.targetNode) {
+        edits.push([unit.targetNode.start, unit.targetNode.end, markup]);
+      } else {
+        edits.push([unit.sourceNode.end, unit.sourceNode.end, `${indentBefore(unit.container, unit.sourceNode)}${markup}`]);
+      }
+    }
+
+    let output = text;
+    for (const [start, end, replacement] of edits.sort((a, b) => b[0] - a[0])) {
+      output = output.slice(0, start) + replacement + output.slice(end);
+    }
+    return output;
+  },
+};
+
+module.exports.buildXliff = buildXliff;
+module.exports.reviewedTargets = reviewedTargets;
@@ -0,0 +1,131 @@
+/**
+ * Minimal XML reader shared by the XML-based locale formats
+ * Nodes keep their source offsets so inline markup inside string values can be reproduced
+ */
+
+const ENTITIES = { amp: '&', lt: '<', gt: '>', quot: '"', apos: "'" };
+
+const TOKEN = /<!--([\s\S]*?)-->|<!\[CDATA\[([\s\S]*?)\]\]>|<\?[\s\S]*?\?>|<!DOCTYPE[^>]*>|<\/([^\s>]+)\s*>|<([^\s/>!?]+)((?:\s+[^\s=/>]+\s*=\s*(?:"[^"]*"|'[^']*'))*)\s*(\/?)>/g;
+
+function unescapeXml(text) {
+  return text.replace(/&(#x[0-9a-fA-F]+|#\d+|\w+);/g, (match, entity) => {
+    if (entity[0] === '#') {
+      const code = entity[1] === 'x' ? parseInt(entity.slice(2), 16) : parseInt(entity.slice(1), 10);
+      return String.fromCodePoint(code);
+    }
+    return ENTITIES[entity] ?? match;
+  });
+}
+
+function escapeXml(text, { quotes = false } = {}) {
+  const escaped = text.replace(/&/g, '&amp;').replace(/</g, '&lt;').replace(/>/g, '&gt;');
+  return quotes ? escaped.replace(/"/g, '&quot;') : escaped;
+}
+
+function parseAttributes(source) {
+  const attributes = {};
+  for (const [, name, double, single] of source.matchAll(/([^\s=]+)\s*=\s*(?:"([^"]*)"|'([^']*)')/g)) {
+    attributes[name] = unescapeXml(double ?? single);
+  }
+  return attributes;
+}
+
+function formatAttributes(attributes) {
+  return Object.entries(attributes)
+    .map(([name, value]) => ` ${name}="${escapeXml(String(value), { quotes: true })}"`)
+    .join('');
+}
+
+function lineAt(text, index) {
+  return text.slice(0, index).split('\n').length;
+}
+
+/**
+ * Parse XML into a tree of nodes
+ * Elements are { type: 'element', name, attributes, children, start, innerStart, innerEnd, end };
+ * text, comment and cdata nodes carry their raw value. The prolog and doctype are skipped.
+ */
+function parseXml(text) {
+  const root = { type: 'root', children: [] };
+  const stack = [root];
+  let last = 0;
+
+  const pushText = (end) => {
+    if (end <= last) return;
+    const value = text.slice(last, end);
+    if (value.includes('<')) {
+      throw new Error(`Malformed markup on line ${lineAt(text, last + value.indexOf('<'))}`);
+    }
+    stack[stack.length - 1].children.push({ type: 'text', value });
+  };
+
+  for (const match of text.matchAll(TOKEN)) {
+    const [token, comment, cdata, closeName, openName, attributes, selfClosing] = match;
+    pushText(match.index);
+    last = match.index + token.length;
+    const parent = stack[stack.length - 1];
+
+    if (comment !== undefined) {
+      parent.children.push({ type: 'comment', value: comment });
+    } else if (cdata !== undefined) {
+      parent.children.push({ type: 'cdata', value: cdata });
+    } else if (closeName !== undefined) {
+      if (parent.type !== 'element' || parent.name !== closeName) {
+        throw new Error(`Unexpected </${closeName}> on line ${lineAt(text, match.index)}`);
+      }
+      parent.innerEnd = match.index;
+      parent.end = last;
+      stack.pop();
+    } else if (openName !== undefined) {
+      const node = {
+        type: 'element',
+        name: openName,
+        attributes: parseAttributes(attributes || ''),
+        children: [],
+        start: match.index,
+        innerStart: last,
+      };
+      parent.children.push(node);
+      if (selfClosing) {
+        node.innerEnd = last;
+        node.end = last;
+      } else {
+        stack.push(node);
+      }
+    }
+  }
+  pushText(text.length);
+
+  if (stack.length > 1) {
+    throw new Error(`Unclosed <${stack[stack.length - 1].name}> element`);
+  }
+  return root;
+}
+
+/**
+ * Child elements of a node, optionally filtered by name
+ */
+function childElements(node, name) {
+  return node.children.filter(child => child.type === 'element' && (!name || child.name === name));
+}
+
+/**
+ * Decoded text of a node and its descendants
+ */
+function textContent(node) {
+  return node.children.map(child => {
+    if (child.type === 'text') return unescapeXml(child.value);
+    if (child.type === 'cdata') return child.value;
+    if (child.type === 'element') return textContent(child);
+    return '';
+  }).join('');
+}
+
+module.exports = {
+  parseXml,
+  childElements,
+  textContent,
+  escapeXml,
+  unescapeXml,
+  formatAttributes,
+};
@@ -0,0 +1,251 @@
+const YAML = require('yaml');
+const { detectStyle, applyStyle, orderKeys, orderContent } = require('./style');
+
+const PARSE_OPTIONS = { merge: true };
+const STRINGIFY_OPTIONS = { lineWidth: 0 };
+
+function isPlainObject(value) {
+  return value !== null && typeof value === 'object' && !Array.isArray(value);
+}
+
+function parseDocument(text) {
+  const doc = YAML.parseDocument(text, PARSE_OPTIONS);
+  if (doc.errors.length > 0) {
+    throw doc.errors[0];
+  }
+  return doc;
+}
+
+function parse(text) {
+  const content = parseDocument(text).toJS({ maxAliasCount: -1 });
+  return content == null ? {} : content;
+}
+
+/**
+ * Key of a Rails-style root naming the document's language (en: { greeting: ... }), if it has one
+ */
+function languageRoot(content, lang) {
+  if (!lang || !isPlainObject(content)) return null;
+  const keys = Object.keys(content);
+  const normalize = code => code.toLowerCase().replace(/_/g, '-');
+  return keys.length === 1 && isPlainObject(content[keys[0]]) && normalize(keys[0]) === normalize(lang) ? keys[0] : null;
+}
+
+/**
+ * Parse a locale file of a language, without its language root key
+ */
+function parseLocale(text, { lang } = {}) {
+  const content = parse(text);
+  const root = languageRoot(content, lang);
+  return root ? content[root] : content;
+}
+
+/**
+ * Rename the single root key of a document (en: -> es:), keeping its comments
+ */
+function renameRoot(doc, from, to) {
+  if (!YAML.isMap(doc.contents) || doc.contents.items.length !== 1) return;
+  const pair = doc.contents.items[0];
+  if (keyName(pair.key) !== from) return;
+  if (YAML.isScalar(pair.key)) {
+    pair.key.value = to;
+  } else {
+    pair.key = doc.createNode(to);
+  }
+}
+
+/**
+ * Leaf paths of a plain object as arrays of keys (arrays are treated as leaves)
+ */
+function leafPaths(obj, prefix = []) {
+  const result = [];
+  for (const [key, value] of Object.entries(obj)) {
+    const keyPath = [...prefix, key];
+    if (isPlainObject(value) && Object.keys(value).length > 0) {
+      result.push(...leafPaths(value, keyPath));
+    } else {
+      result.push([keyPath, value]);
+    }
+  }
+  return result;
+}
+
+function hasPath(obj, keyPath) {
+  let current = obj;
+  for (const key of keyPath) {
+    if (!isPlainObject(current) || !(key in current)) return false;
+    current = current[key];
+  }
+  return true;
+}
+
+function deref(doc, node) {
+  return YAML.isAlias(node) ? node.resolve(doc) : node;
+}
+
+function keyName(key) {
+  return YAML.isScalar(key) ? String(key.value) : String(key);
+}
+
+function isMergeKey(key) {
+  // With merge keys enabled the parser marks `<<` with a symbol value
+  return YAML.isScalar(key) ? key.source === '<<' || key.value === '<<' : key === '<<';
+}
+
+/**
+ * Find the node at a key path, following aliases and `<<` merge keys
+ */
+function findNode(doc, node, keyPath) {
+  let current = node;
+  for (let i = 0; i < keyPath.length; i++) {
+    current = deref(doc, current);
+    if (!YAML.isMap(current)) return undefined;
+
+    const pair = current.items.find(item => keyName(item.key) === keyPath[i]);
+    if (pair) {
+      current = pair.value;
+      continue;
+    }
+
+    // Look the rest of the path up in merged maps
+    const rest = keyPath.slice(i);
+    for (const merge of current.items.filter(item => isMergeKey(item.key))) {
+      const source = deref(doc, merge.value);
+      const sources = YAML.isSeq(source) ? source.items : [source];
+      for (const mergedMap of sources) {
+        const found = findNode(doc, mergedMap, rest);
+        if (found !== undefined) return found;
+      }
+    }
+    return undefined;
+  }
+  return deref(doc, current);
+}
+
+/**
+ * Run a document edit, replacing aliases along the path with plain copies if the edit needs to go through them
+ */
+function editThroughAliases(doc, keyPath, edit) {
+  for (let attempt = 0; attempt <= keyPath.length; attempt++) {
+    try {
+      return edit();
+    } catch (error) {
+      const index = keyPath.findIndex((_, i) => YAML.isAlias(doc.getIn(keyPath.slice(0, i + 1), true)));
+      if (index === -1) throw error;
+      const aliasPath = keyPath.slice(0, index + 1);
+      const resolved = deref(doc, doc.getIn(aliasPath, true));
+      doc.setIn(aliasPath, doc.createNode(resolved.toJSON()));
+    }
+  }
+  return edit();
+}
+
+/**
+ * Update a parsed YAML document in place so it holds exactly `content`
+ * Unchanged nodes keep their comments, quoting style and anchors
+ */
+function syncDocument(doc, content) {
+  // Remove keys that are no longer present
+  if (doc.contents) {
+    const current = doc.toJS({ maxAliasCount: -1 }) || {};
+    if (isPlainObject(current)) {
+      for (const [keyPath] of leafPaths(current)) {
+        if (hasPath(content, keyPath)) continue;
+        editThroughAliases(doc, keyPath, () => doc.deleteIn(keyPath));
+
+        // Prune parents left empty by the deletion
+        for (let i = keyPath.length - 1; i > 0; i--) {
+          const parent = doc.getIn(keyPath.slice(0, i), true);
+          if (!YAML.isMap(parent) || parent.items.length > 0) break;
+          doc.deleteIn(keyPath.slice(0, i));
+        }
+      }
+    }
+  }
+
+  // Set new and changed values
+  for (const [keyPath, value] of leafPaths(content)) {
+    const node = findNode(doc, doc.contents, keyPath);
+
+    if (YAML.isScalar(node) && !isPlainObject(value) && !Array.isArray(value)) {
+      if (node.value !== value) node.value = value;
+      continue;
+    }
+    if (YAML.isNode(node) && JSON.stringify(node.toJSON()) === JSON.stringify(value)) {
+      continue;
+    }
+
+    editThroughAliases(doc, keyPath, () => doc.setIn(keyPath, doc.createNode(value)));
+  }
+}
+
+/**
+ * Reorder the pairs of each map like the template (or sorted); merge keys stay first
+ * Aliases are not followed, so anchored maps keep their own order
+ */
+function orderDocument(node, template, sortKeys) {
+  if (!YAML.isMap(node)) return;
+  const base = isPlainObject(template) ? template : {};
+  const pairs = node.items.filter(item => !isMergeKey(item.key));
+  const order = orderKeys(pairs.map(item => keyName(item.key)), Object.keys(base), sortKeys);
+
+  pairs.sort((a, b) => order.indexOf(keyName(a.key)) - order.indexOf(keyName(b.key)));
+  node.items = [...node.items.filter(item => isMergeKey(item.key)), ...pairs];
+  for (const pair of pairs) {
+    orderDocument(pair.value, base[keyName(pair.key)], sortKeys);
+  }
+}
+
+/**
+ * YAML locale files (Rails, Symfony, i18next YAML backends)
+ */
+module.exports = {
+  name: 'yaml',
+  extensions: ['.yaml', '.yml'],
+
+  parse,
+  parseSource: parseLocale,
+  parseTarget: parseLocale,
+
+  /**
+   * Serialize content, preserving the comments and layout of the existing
+   * target file, or of the source file for new targets
+   * Keys follow the source order (or are sorted with sortKeys)
+   * When the source is rooted by its language (Rails), the target is rooted by its own
+   */
+  serialize(content, { existing, source, lang, sourceLanguage, sortKeys } = {}) {
+    const base = existing || source;
+    let doc = null;
+    let template = {};
+    try {
+      template = source ? parse(source) : {};
+    } catch {
+      template = {};
+    }
+
+    const sourceRoot = lang ? languageRoot(template, sourceLanguage) : null;
+    if (sourceRoot) {
+      content = { [lang]: content };
+      template = { [lang]: template[sourceRoot] };
+    }
+
+    if (base) {
+      try {
+        doc = parseDocument(base);
+      } catch {
+        doc = null;
+      }
+    }
+
+    if (!doc) {
+      return YAML.stringify(orderContent(content, template, sortKeys), STRINGIFY_OPTIONS);
+    }
+
+    // New targets start from the source, and older targets may still carry the source root
+    if (sourceRoot) renameRoot(doc, sourceRoot, lang);
+
+    syncDocument(doc, content);
+    orderDocument(doc.contents, template, sortKeys);
+    return applyStyle(doc.toString(STRINGIFY_OPTIONS), detectStyle(base));
+  },
+};
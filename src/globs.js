@@ -0,0 +1,113 @@
+const fs = require('fs').promises;
+const path = require('path');
+const { escapeRegExp } = require('./regexp');
+
+/**
+ * File globs use forward slashes: * and ? stay within a folder, ** spans folders and {a,b} lists alternatives.
+ * Patterns without a slash match file names at any depth (*.draft.json)
+ */
+
+// Folders never searched for locale files
+const SKIPPED_DIRS = ['node_modules'];
+
+function hasGlob(pattern) {
+  return /[*?{]/.test(pattern);
+}
+
+function toPosix(filePath) {
+  return filePath.split(path.sep).join('/');
+}
+
+/**
+ * Regular expression of a glob; separator is the character * and ? don't cross (key paths use ".")
+ */
+function globToRegExp(glob, separator = '/') {
+  const sep = escapeRegExp(separator);
+  let source = '';
+  for (let i = 0; i < glob.length; i++) {
+    const char = glob[i];
+    if (char === '*' && glob[i + 1] === '*') {
+      // "**/" also matches no folder at all
+      if (glob[i + 2] === separator) {
+        source += `(?:.*${sep})?`;
+        i += 2;
+      } else {
+        source += '.*';
+        i += 1;
+      }
+    } else if (char === '*') {
+      source += `[^${sep}]*`;
+    } else if (char === '?') {
+      source += `[^${sep}]`;
+    } else if (char === '{' && glob.indexOf('}', i) > i) {
+      const end = glob.indexOf('}', i);
+      // Alternatives are globs themselves: {en,*.en}
+      source += `(?:${glob.slice(i + 1, end).split(',').map(alternative => globToRegExp(alternative, separator).source.slice(1, -1)).join('|')})`;
+      i = end;
+    } else {
+      source += escapeRegExp(char);
+    }
+  }
+  return new RegExp(`^${source}$`);
+}
+
+/**
+ * Whether a relative path matches any of the globs
+ */
+function matchesGlob(filePath, globs) {
+  const file = toPosix(filePath).replace(/^\.\//, '');
+  return globs.some(glob => {
+    const pattern = glob.replace(/^\.\//, '');
+    return globToRegExp(pattern).test(pattern.includes('/') ? file : path.posix.basename(file));
+  });
+}
+
+/**
+ * Leading folders of a glob without wildcards: packages/{web,mobile}/en.json -> packages
+ */
+function globBase(glob) {
+  const segments = toPosix(glob).split('/');
+  const index = segments.findIndex(hasGlob);
+  const base = segments.slice(0, index === -1 ? segments.length - 1 : index).join('/');
+  return base || '.';
+}
+
+/**
+ * All files below a folder as sorted relative paths, skipping hidden folders and node_modules
+ */
+async function walkFiles(dir, prefix = '') {
+  const entries = await fs.readdir(path.join(dir, prefix), { withFileTypes: true });
+  entries.sort((a, b) => a.name.localeCompare(b.name));
+
+  const files = [];
+  for (const entry of entries) {
+    const relative = prefix ? path.join(prefix, entry.name) : entry.name;
+    if (entry.isDirectory()) {
+      if (entry.name.startsWith('.') || SKIPPED_DIRS.includes(entry.name)) continue;
+      files.push(...await walkFiles(dir, relative));
+    } else if (entry.isFile()) {
+      files.push(relative);
+    }
+  }
+  return files;
+}
+
+/**
+ * Files matching a glob, e.g. packages/{web,mobile}/locales/en.json
+ */
+async function expandGlob(glob) {
+  const base = globBase(glob);
+  let files;
+  try {
+    files = await walkFiles(base);
+  } catch {
+    return [];
+  }
+
+  const pattern = globToRegExp(toPosix(glob).replace(/^\.\//, ''));
+  return files
+    .map(file => (base === '.' ? file : path.join(base, file)))
+    .filter(file => pattern.test(toPosix(file)));
+}
+
+module.exports = { hasGlob, globToRegExp, matchesGlob, globBase, walkFiles, expandGlob };
@@ -0,0 +1,141 @@
+const fs = require('fs').promises;
+const path = require('path');
+const { escapeRegExp } = require('./regexp');
+
+/**
+ * Parse CSV text into rows of cells (quoted cells may contain commas, quotes and newlines)
+ */
+function parseCsv(text) {
+  const rows = [];
+  let row = [];
+  let cell = '';
+  let quoted = false;
+
+  for (let i = 0; i < text.length; i++) {
+    const char = text[i];
+    if (quoted) {
+      if (char === '"' && text[i + 1] === '"') {
+        cell += '"';
+        i++;
+      } else if (char === '"') {
+        quoted = false;
+      } else {
+        cell += char;
+      }
+    } else if (char === '"') {
+      quoted = true;
+    } else if (char === ',') {
+      row.push(cell);
+      cell = '';
+    } else if (char === '\n' || char === '\r') {
+      if (char === '\r' && text[i + 1] === '\n') i++;
+      row.push(cell);
+      rows.push(row);
+      row = [];
+      cell = '';
+    } else {
+      cell += char;
+    }
+  }
+  if (cell !== '' || row.length > 0) {
+    row.push(cell);
+    rows.push(row);
+  }
+
+  return rows.filter(cells => cells.some(value => value.trim() !== ''));
+}
+
+/**
+ * Load a glossary file into [{ term, translations: { lang: approvedTerm } }]
+ * CSV: header row with the source term column first and one column per language
+ * JSON: { "Workspace": { "es": "Espacio de trabajo" } }
+ */
+async function loadGlossary(filePath) {
+  const text = (await fs.readFile(filePath, 'utf8')).replace(/^\uFEFF/, '');
+
+  let entries;
+  try {
+    if (path.extname(filePath).toLowerCase() === '.csv') {
+      const [header, ...rows] = parseCsv(text);
+      if (!header || header.length < 2) {
+        throw new Error('expected a header row with the source term column and at least one language');
+      }
+      const languages = header.slice(1).map(lang => lang.trim());
+      entries = rows.map(cells => ({
+        term: cells[0].trim(),
+        translations: Object.fromEntries(languages.map((lang, i) => [lang, (cells[i + 1] || '').trim()])),
+      }));
+    } else {
+      const data = JSON.parse(text);
+      if (!data || typeof data !== 'object' || Array.isArray(data)) {
+        throw new Error('expected an object of terms');
+      }
+      entries = Object.entries(data).map(([term, translations]) => ({ term: term.trim(), translations: { ...translations } }));
+    }
+  } catch (error) {
+    throw new Error(`Failed to parse glossary ${filePath}: ${error.message}`);
+  }
+
+  // Languages without an approved term are left to the translator
+  return entries
+    .map(entry => ({
+      term: entry.term,
+      translations: Object.fromEntries(Object.entries(entry.translations).filter(([, value]) => typeof value === 'string' && value !== '')),
+    }))
+    .filter(entry => entry.term !== '');
+}
+
+/**
+ * Whether a source string uses a term as a whole word (case-insensitive)
+ */
+function containsTerm(text, term) {
+  if (typeof text !== 'string') return false;
+  return new RegExp(`(?<![\\p{L}\\p{N}_])${escapeRegExp(term)}(?![\\p{L}\\p{N}_])`, 'iu').test(text);
+}
+
+/**
+ * Approved terms for the terms that occur in the given source values: { lang: { term: approvedTerm } }
+ * Languages without matching terms are left out
+ */
+function glossaryFor(glossary, values, languages) {
+  const result = {};
+  if (!glossary) return result;
+
+  const texts = Object.values(values).filter(value => typeof value === 'string');
+  for (const entry of glossary) {
+    if (!texts.some(text => containsTerm(text, entry.term))) continue;
+    for (const lang of languages) {
+      if (!entry.translations[lang]) continue;
+      result[lang] = result[lang] || {};
+      result[lang][entry.term] = entry.translations[lang];
+    }
+  }
+  return result;
+}
+
+/**
+ * Verify a translation uses the approved term for every glossary term in its source
+ */
+function verifyGlossary(glossary, sourceValue, translatedValue, key, lang) {
+  if (!glossary || typeof translatedValue !== 'string') return null;
+
+  const missing = glossary.filter(entry =>
+    entry.translations[lang] &&
+    containsTerm(sourceValue, entry.term) &&
+    !translatedValue.toLowerCase().includes(entry.translations[lang].toLowerCase())
+  );
+
+  if (missing.length > 0) {
+    return {
+      key,
+      type: 'glossary',
+      severity: 'error',
+      message: `Glossary term(s) not used: ${missing.map(entry => `"${entry.term}" → "${entry.translations[lang]}"`).join(', ')}`,
+      source: sourceValue,
+      translated: translatedValue
+    };
+  }
+  return null;
+}
+
+module.exports = { parseCsv, loadGlossary, containsTerm, glossaryFor, verifyGlossary };
@@ -1,53 +1,38 @@
 const core = require('@actions/core');
+const log = require('./logging');
 const github = require('@actions/github');
 const exec = require('@actions/exec');
 const fs = require('fs').promises;
 const path = require('path');
-const fetch = require('node-fetch');
-
-/**
- * Flatten a nested object into dot-notation keys
- * { a: { b: 1 } } => { 'a.b': 1 }
- */
-function flattenObject(obj, prefix = '') {
-  const result = {};
-  for (const [key, value] of Object.entries(obj)) {
-    const newKey = prefix ? `${prefix}.${key}` : key;
-    if (value && typeof value === 'object' && !Array.isArray(value)) {
-      Object.assign(result, flattenObject(value, newKey));
-    } else {
-      result[newKey] = value;
-    }
-  }
-  return result;
-}
-
-/**
- * Unflatten dot-notation keys back to nested object
- * { 'a.b': 1 } => { a: { b: 1 } }
- */
-function unflattenObject(obj) {
-  const result = {};
-  for (const [key, value] of Object.entries(obj)) {
-    const keys = key.split('.');
-    let current = result;
-    for (let i = 0; i < keys.length - 1; i++) {
-      if (!current[keys[i]]) current[keys[i]] = {};
-      current = current[keys[i]];
-    }
-    current[keys[keys.length - 1]] = value;
-  }
-  return result;
-}
+const { createApiClient } = require('./api');
+const { DEFAULT_BATCH_SIZE, DEFAULT_BATCH_MAX_BYTES, translateInBatches } = require('./batching');
+const { mapWithConcurrency } = require('./pool');
+const { getFormat, parseTarget, parseSource, pluralCategoriesOf, supportedExtensions } = require('./formats');
+const { importReviewed, exportForReview } = require('./exchange');
+const { resolveBaseline, getFileAtCommit } = require('./baseline');
+const { DEFAULT_LOCKFILE, readLockfile, planFromLock, findHumanEdits, isSourceChanged, recordKeys, writeLockfile } = require('./lockfile');
+const { pluralGroups, pluralBase, expandPluralKeys, coveredSourceKeys, addPluralForms } = require('./formats/plurals');
+const { loadGlossary, glossaryFor } = require('./glossary');
+const { maskValues, unmaskValues } = require('./masking');
+const { DEFAULT_CONFIG, JOB_OPTIONS, normalizeJob, loadConfig } = require('./config');
+const { flattenObject, unflattenObject, fromFlatKey, displayKey, isSkippedPath } = require('./paths');
+const { hasGlob, matchesGlob, globBase, walkFiles, expandGlob } = require('./globs');
+const { parseThresholds, checkThresholds } = require('./thresholds');
+const { localeFor, namespaceOf, languageFileName, fileLocale, isOtherLanguageFile, expandOutputPattern } = require('./locales');
+const { readTargetValues, addMissingKeys, skippedValues } = require('./targets');
+const { runVerification } = require('./verification');
+const { checkTargetFiles, logCheckResults } = require('./check');
 
 /**
  * Deep merge two objects (source wins)
+ * Arrays are merged item by item, so a partial (sparse) array only replaces the items it has
  */
 function deepMerge(target, source) {
-  const result = { ...target };
+  const result = Array.isArray(target) ? target.slice() : { ...target };
   for (const [key, value] of Object.entries(source)) {
-    if (value && typeof value === 'object' && !Array.isArray(value)) {
-      result[key] = deepMerge(result[key] || {}, value);
+    if (value && typeof value === 'object' && !(Array.isArray(value) && value.length === 0)) {
+      const sameKind = result[key] && typeof result[key] === 'object' && Array.isArray(result[key]) === Array.isArray(value);
+      result[key] = deepMerge(sameKind ? result[key] : (Array.isArray(value) ? [] : {}), value);
     } else {
       result[key] = value;
     }
@@ -66,25 +51,6 @@ function removeKeys(target, keysToRemove) {
   return unflattenObject(flatTarget);
 }
 
-/**
- * Get the previous version of a file from git
- */
-async function getPreviousFileContent(filePath) {
-  try {
-    let output = '';
-    await exec.exec('git', ['show', `HEAD~1:${filePath}`], {
-      silent: true,
-      listeners: {
-        stdout: (data) => { output += data.toString(); }
-      },
-      ignoreReturnCode: true
-    });
-    return output || null;
-  } catch {
-    return null;
-  }
-}
-
 /**
  * Detect changed, added, and deleted keys between old and new content
  */
@@ -133,164 +99,10 @@ function extractKeys(obj, keys) {
 // VERIFICATION FUNCTIONS
 // ============================================
 
-/**
- * Extract placeholders from a string
- * Supports: {{name}}, {name}, %s, %d, %@, {0}, {1}, etc.
- */
-function extractPlaceholders(str) {
-  if (typeof str !== 'string') return [];
-
-  const patterns = [
-    /\{\{[^}]+\}\}/g,      // {{name}} - i18next/Handlebars
-    /\{[^}]+\}/g,          // {name} - ICU/general
-    /%[sd@]/g,             // %s, %d, %@ - printf style
-    /%\d+\$[sd]/g,         // %1$s - positional printf
-  ];
-
-  const placeholders = new Set();
-  for (const pattern of patterns) {
-    const matches = str.match(pattern) || [];
-    matches.forEach(m => placeholders.add(m));
-  }
-
-  return Array.from(placeholders).sort();
-}
-
-/**
- * Verify placeholders survived translation
- */
-function verifyPlaceholders(sourceValue, translatedValue, key) {
-  const sourcePlaceholders = extractPlaceholders(sourceValue);
-  const translatedPlaceholders = extractPlaceholders(translatedValue);
-
-  const missing = sourcePlaceholders.filter(p => !translatedPlaceholders.includes(p));
-  const extra = translatedPlaceholders.filter(p => !sourcePlaceholders.includes(p));
-
-  if (missing.length > 0 || extra.length > 0) {
-    return {
-      key,
-      type: 'placeholder',
-      severity: 'error',
-      message: missing.length > 0
-        ? `Missing placeholders: ${missing.join(', ')}`
-        : `Unexpected placeholders: ${extra.join(', ')}`,
-      source: sourceValue,
-      translated: translatedValue
-    };
-  }
-  return null;
-}
-
-/**
- * Verify key consistency between source and translation
- */
-function verifyKeyConsistency(sourceKeys, translatedKeys, lang) {
-  const issues = [];
-
-  const missing = sourceKeys.filter(k => !translatedKeys.includes(k));
-  const extra = translatedKeys.filter(k => !sourceKeys.includes(k));
-
-  if (missing.length > 0) {
-    issues.push({
-      type: 'missing_keys',
-      severity: 'warning',
-      message: `${missing.length} key(s) missing in ${lang}: ${missing.slice(0, 5).join(', ')}${missing.length > 5 ? '...' : ''}`,
-      keys: missing
-    });
-  }
-
-  if (extra.length > 0) {
-    issues.push({
-      type: 'extra_keys',
-      severity: 'warning',
-      message: `${extra.length} unexpected key(s) in ${lang}: ${extra.slice(0, 5).join(', ')}${extra.length > 5 ? '...' : ''}`,
-      keys: extra
-    });
-  }
-
-  return issues;
-}
-
-/**
- * Verify translation length is reasonable
- * Flag if translation is >5x or <0.2x the source length
- */
-function verifyLengthSanity(sourceValue, translatedValue, key) {
-  if (typeof sourceValue !== 'string' || typeof translatedValue !== 'string') return null;
-  if (sourceValue.length < 5) return null; // Skip very short strings
-
-  const ratio = translatedValue.length / sourceValue.length;
-
-  if (ratio > 5) {
-    return {
-      key,
-      type: 'length',
-      severity: 'warning',
-      message: `Translation is ${ratio.toFixed(1)}x longer than source`,
-      source: sourceValue,
-      translated: translatedValue
-    };
-  }
-
-  if (ratio < 0.2) {
-    return {
-      key,
-      type: 'length',
-      severity: 'warning',
-      message: `Translation is ${ratio.toFixed(1)}x shorter than source`,
-      source: sourceValue,
-      translated: translatedValue
-    };
-  }
-
-  return null;
-}
-
-/**
- * Run all verification checks on a translation
- */
-function runVerification(sourceContent, translatedContent, lang) {
-  const issues = [];
-
-  const sourceFlat = flattenObject(sourceContent);
-  const translatedFlat = flattenObject(translatedContent);
-
-  const sourceKeys = Object.keys(sourceFlat);
-  const translatedKeys = Object.keys(translatedFlat);
-
-  // Key consistency check
-  const keyIssues = verifyKeyConsistency(sourceKeys, translatedKeys, lang);
-  issues.push(...keyIssues);
-
-  // Per-key checks
-  for (const key of sourceKeys) {
-    const sourceValue = sourceFlat[key];
-    const translatedValue = translatedFlat[key];
-
-    if (translatedValue === undefined) continue;
-
-    // Placeholder check
-    const placeholderIssue = verifyPlaceholders(sourceValue, translatedValue, key);
-    if (placeholderIssue) {
-      placeholderIssue.lang = lang;
-      issues.push(placeholderIssue);
-    }
-
-    // Length sanity check
-    const lengthIssue = verifyLengthSanity(sourceValue, translatedValue, key);
-    if (lengthIssue) {
-      lengthIssue.lang = lang;
-      issues.push(lengthIssue);
-    }
-  }
-
-  return issues;
-}
-
 /**
  * Format verification results for PR description
  */
-function formatVerificationSummary(allIssues, llmCost = null, selfCorrectInfo = null) {
+function formatVerificationSummary(allIssues, llmCost = null, selfCorrectInfo = null, outdatedEdits = []) {
   let summary = '';
 
   if (allIssues.length === 0) {
@@ -304,7 +116,7 @@ function formatVerificationSummary(allIssues, llmCost = null, selfCorrectInfo =
     if (errors.length > 0) {
       summary += `**${errors.length} Error(s):**\n`;
       errors.slice(0, 10).forEach(e => {
-        summary += `- ❌ \`${e.key || e.type}\`: ${e.message}\n`;
+        summary += `- ❌ \`${e.key ? displayKey(e.key) : e.type}\`: ${e.message}\n`;
       });
       if (errors.length > 10) {
         summary += `- ... and ${errors.length - 10} more errors\n`;
@@ -315,7 +127,7 @@ function formatVerificationSummary(allIssues, llmCost = null, selfCorrectInfo =
     if (warnings.length > 0) {
       summary += `**${warnings.length} Warning(s):**\n`;
       warnings.slice(0, 5).forEach(w => {
-        summary += `- ⚠️ \`${w.key || w.type}\`: ${w.message}\n`;
+        summary += `- ⚠️ \`${w.key ? displayKey(w.key) : w.type}\`: ${w.message}\n`;
       });
       if (warnings.length > 5) {
         summary += `- ... and ${warnings.length - 5} more warnings\n`;
@@ -333,6 +145,18 @@ function formatVerificationSummary(allIssues, llmCost = null, selfCorrectInfo =
     summary += `- Cost: $${selfCorrectInfo.cost.toFixed(6)}\n`;
   }
 
+  // Human translations that were kept although their source text changed
+  if (outdatedEdits.length > 0) {
+    summary += `\n### ✋ Human Translations Kept\n`;
+    summary += `Source changed, human translation may be outdated:\n`;
+    outdatedEdits.slice(0, 20).forEach(e => {
+      summary += `- \`${displayKey(e.key)}\` (${e.lang}, \`${e.file}\`)\n`;
+    });
+    if (outdatedEdits.length > 20) {
+      summary += `- ... and ${outdatedEdits.length - 20} more\n`;
+    }
+  }
+
   // Add LLM verification cost info if available
   if (llmCost && llmCost.totalTokens > 0) {
     summary += `\n### 💰 LLM Verification Cost\n`;
@@ -344,29 +168,29 @@ function formatVerificationSummary(allIssues, llmCost = null, selfCorrectInfo =
 }
 
 /**
- * Discover all translatable files in a directory
+ * Discover all translatable files in a directory and its subfolders, optionally only those of one format
+ * include/exclude globs are matched against paths relative to the directory
  */
-async function discoverFiles(sourceDir) {
+async function discoverFiles(sourceDir, formatName = null, include = [], exclude = []) {
   const files = [];
-  const supportedExtensions = ['.json', '.yaml', '.yml'];
+  const extensions = supportedExtensions(formatName);
 
+  let entries;
   try {
-    const entries = await fs.readdir(sourceDir, { withFileTypes: true });
-
-    for (const entry of entries) {
-      if (entry.isFile()) {
-        const ext = path.extname(entry.name).toLowerCase();
-        if (supportedExtensions.includes(ext)) {
-          files.push(path.join(sourceDir, entry.name));
-        }
-      }
-    }
+    entries = await walkFiles(sourceDir);
   } catch (error) {
     throw new Error(`Failed to read source directory '${sourceDir}': ${error.message}`);
   }
 
+  for (const entry of entries) {
+    if (!extensions.includes(path.extname(entry).toLowerCase())) continue;
+    if (include.length > 0 && !matchesGlob(entry, include)) continue;
+    if (matchesGlob(entry, exclude)) continue;
+    files.push(path.join(sourceDir, entry));
+  }
+
   if (files.length === 0) {
-    throw new Error(`No translatable files found in '${sourceDir}'. Supported formats: ${supportedExtensions.join(', ')}`);
+    throw new Error(`No translatable files found in '${sourceDir}'. Supported formats: ${extensions.join(', ')}`);
   }
 
   return files;
@@ -376,7 +200,7 @@ async function discoverFiles(sourceDir) {
  * Call LLM-based verification API
  * Uses Claude Haiku 4.5 for semantic verification
  */
-async function callLLMVerification(apiKey, sourceContent, translations, sourceLang, targetLang, mode = 'quick') {
+async function callLLMVerification(client, sourceContent, translations, sourceLang, targetLang, mode = 'quick') {
   try {
     const sourceFlat = flattenObject(sourceContent);
     const translatedFlat = flattenObject(translations);
@@ -397,39 +221,30 @@ async function callLLMVerification(apiKey, sourceContent, translations, sourceLa
       return { pass: true, issues: [], message: 'No translations to verify' };
     }
 
-    core.info(`🔬 Running LLM verification (${mode} mode) on ${pairs.length} translation(s) for ${targetLang}...`);
+    log.info(`🔬 Running LLM verification (${mode} mode) on ${pairs.length} translation(s) for ${targetLang}...`);
 
-    const response = await fetch('https://ydjkwckq3f.execute-api.us-east-1.amazonaws.com/api/verify/batch', {
-      method: 'POST',
-      headers: {
-        'Content-Type': 'application/json',
-        'x-api-key': apiKey,
-      },
-      body: JSON.stringify({
+    let result;
+    try {
+      result = await client.post('verify/batch', {
         translations: pairs,
         sourceLang,
         targetLang,
         options: { mode }
-      }),
-    });
-
-    if (!response.ok) {
-      const error = await response.json().catch(() => ({ error: response.statusText }));
-      core.warning(`LLM verification API error: ${error.error || error.message || response.statusText}`);
-      return { pass: true, issues: [], error: error.error || response.statusText };
+      });
+    } catch (error) {
+      log.warning(`LLM verification API error: ${error.message}`);
+      return { pass: true, issues: [], error: error.message };
     }
 
-    const result = await response.json();
-
     if (result.pass) {
-      core.info(`✅ LLM verification passed for ${targetLang} (${result.passCount}/${result.totalVerified} checked)`);
+      log.info(`✅ LLM verification passed for ${targetLang} (${result.passCount}/${result.totalVerified} checked)`);
     } else {
-      core.warning(`⚠️ LLM verification found ${result.failCount} issue(s) in ${targetLang}`);
+      log.warning(`⚠️ LLM verification found ${result.failCount} issue(s) in ${targetLang}`);
     }
 
     return result;
   } catch (error) {
-    core.warning(`LLM verification failed: ${error.message}`);
+    log.warning(`LLM verification failed: ${error.message}`);
     return { pass: true, issues: [], error: error.message };
   }
 }
@@ -437,26 +252,13 @@ async function callLLMVerification(apiKey, sourceContent, translations, sourceLa
 /**
  * Report sync status to Shipi18n API (for dashboard)
  */
-async function reportSyncStatus(apiKey, data) {
+async function reportSyncStatus(client, data) {
   try {
-    const response = await fetch('https://ydjkwckq3f.execute-api.us-east-1.amazonaws.com/api/sync/status', {
-      method: 'POST',
-      headers: {
-        'Content-Type': 'application/json',
-        'x-api-key': apiKey,
-      },
-      body: JSON.stringify(data),
-    });
-
-    if (!response.ok) {
-      core.warning(`Failed to report sync status: ${response.statusText}`);
-      return false;
-    }
-
-    core.info(`📊 Sync status reported to dashboard`);
+    await client.post('sync/status', data);
+    log.info(`📊 Sync status reported to dashboard`);
     return true;
   } catch (error) {
-    core.warning(`Failed to report sync status: ${error.message}`);
+    log.warning(`Failed to report sync status: ${error.message}`);
     return false;
   }
 }
@@ -464,26 +266,13 @@ async function reportSyncStatus(apiKey, data) {
 /**
  * Report sync history to Shipi18n API (for dashboard)
  */
-async function reportSyncHistory(apiKey, data) {
+async function reportSyncHistory(client, data) {
   try {
-    const response = await fetch('https://ydjkwckq3f.execute-api.us-east-1.amazonaws.com/api/sync/history', {
-      method: 'POST',
-      headers: {
-        'Content-Type': 'application/json',
-        'x-api-key': apiKey,
-      },
-      body: JSON.stringify(data),
-    });
-
-    if (!response.ok) {
-      core.warning(`Failed to report sync history: ${response.statusText}`);
-      return false;
-    }
-
-    core.info(`📜 Sync history recorded`);
+    await client.post('sync/history', data);
+    log.info(`📜 Sync history recorded`);
     return true;
   } catch (error) {
-    core.warning(`Failed to report sync history: ${error.message}`);
+    log.warning(`Failed to report sync history: ${error.message}`);
     return false;
   }
 }
@@ -491,32 +280,35 @@ async function reportSyncHistory(apiKey, data) {
 /**
  * Call Shipi18n API to translate content
  */
-async function callTranslateAPI(apiKey, content, targetLanguages, sourceLanguage, outputFormat, skipKeys = [], skipPaths = []) {
-  const response = await fetch('https://ydjkwckq3f.execute-api.us-east-1.amazonaws.com/api/translate', {
-    method: 'POST',
-    headers: {
-      'Content-Type': 'application/json',
-      'x-api-key': apiKey,
-    },
-    body: JSON.stringify({
-      inputMethod: 'text',
-      text: outputFormat === 'json' ? JSON.stringify(content) : content,
-      sourceLanguage,
-      targetLanguages: JSON.stringify(targetLanguages),
-      outputFormat,
-      preservePlaceholders: true,
-      saveKeys: true,  // Store keys in translation memory (counts toward user's key limit)
-      skipKeys,
-      skipPaths,
-    }),
-  });
+async function callTranslateAPI(client, content, targetLanguages, sourceLanguage, outputFormat, skipKeys = [], skipPaths = [], context = {}, glossary = {}) {
+  const body = {
+    inputMethod: 'text',
+    text: outputFormat === 'json' ? JSON.stringify(content) : content,
+    sourceLanguage,
+    targetLanguages: JSON.stringify(targetLanguages),
+    outputFormat,
+    preservePlaceholders: true,
+    saveKeys: true,  // Store keys in translation memory (counts toward user's key limit)
+    skipKeys,
+    skipPaths,
+  };
 
-  if (!response.ok) {
-    const error = await response.json();
-    throw new Error(`Translation API error: ${error.error || response.statusText}`);
+  // Translator notes per key (e.g. .resx <comment>)
+  if (Object.keys(context).length > 0) {
+    body.context = context;
   }
 
-  const result = await response.json();
+  // Approved terms per language for the glossary terms in this content
+  if (Object.keys(glossary).length > 0) {
+    body.glossary = glossary;
+  }
+
+  let result;
+  try {
+    result = await client.post('translate', body);
+  } catch (error) {
+    throw new Error(`Translation API error: ${error.message}`);
+  }
 
   // Extract skipped info if present
   const skippedInfo = result.skipped || { count: 0, keys: [] };
@@ -532,113 +324,297 @@ async function callTranslateAPI(apiKey, content, targetLanguages, sourceLanguage
   return { translations, skippedInfo };
 }
 
+/**
+ * Translate JSON content in key batches so large files stay under API limits
+ * Results from each batch are reassembled into one nested object per language
+ */
+async function translateJsonInBatches(client, content, targetLanguages, sourceLanguage, skipKeys = [], skipPaths = [], batchOptions = {}, context = {}, glossary = null) {
+  const result = await translateInBatches(flattenObject(content), async (batch) => {
+    const batchContext = Object.fromEntries(Object.keys(batch).filter(key => context[key]).map(key => [key, context[key]]));
+    const batchGlossary = glossaryFor(glossary, batch, targetLanguages);
+    const { translations, skippedInfo } = await callTranslateAPI(client, unflattenObject(batch), targetLanguages, sourceLanguage, 'json', skipKeys, skipPaths, batchContext, batchGlossary);
+
+    const flatTranslations = {};
+    for (const [lang, value] of Object.entries(translations)) {
+      let parsed = value;
+      if (typeof value === 'string') {
+        try {
+          parsed = JSON.parse(value);
+        } catch (e) {
+          throw new Error(`Invalid ${lang} translation returned by API: ${e.message}`);
+        }
+      }
+      flatTranslations[lang] = flattenObject(parsed);
+    }
+
+    return { translations: flatTranslations, skippedInfo };
+  }, batchOptions);
+
+  const translations = {};
+  for (const [lang, flat] of Object.entries(result.translations)) {
+    translations[lang] = unflattenObject(flat);
+  }
+
+  return { translations, skippedInfo: result.skippedInfo };
+}
+
 /**
  * Call Shipi18n Self-Correcting API to translate content with automatic retry
  * Uses LLM to fix translation issues and retry up to maxRetries times
  */
-async function callSelfCorrectingAPI(apiKey, content, targetLanguage, sourceLanguage, maxRetries = 2) {
-  const response = await fetch('https://ydjkwckq3f.execute-api.us-east-1.amazonaws.com/api/self-correct/json', {
-    method: 'POST',
-    headers: {
-      'Content-Type': 'application/json',
-      'x-api-key': apiKey,
-    },
-    body: JSON.stringify({
-      content,
-      sourceLang: sourceLanguage,
-      targetLang: targetLanguage,
-      options: { maxRetries }
-    }),
-  });
+async function callSelfCorrectingAPI(client, content, targetLanguage, sourceLanguage, maxRetries = 2, glossary = {}) {
+  const body = {
+    content,
+    sourceLang: sourceLanguage,
+    targetLang: targetLanguage,
+    options: { maxRetries }
+  };
 
-  if (!response.ok) {
-    const error = await response.json().catch(() => ({ error: response.statusText }));
-    throw new Error(`Self-correcting API error: ${error.error || error.message || response.statusText}`);
+  // Approved terms for the glossary terms in this content
+  if (Object.keys(glossary).length > 0) {
+    body.glossary = glossary;
   }
 
-  const result = await response.json();
-  return result;
+  try {
+    return await client.post('self-correct/json', body);
+  } catch (error) {
+    throw new Error(`Self-correcting API error: ${error.message}`);
+  }
 }
 
 /**
- * Translate a JSON file (with optional incremental mode)
+ * Group languages that need the same source keys so they share translation requests
+ * Languages with different plural categories share a group: it asks for the plural forms of all of
+ * them, and each language keeps its own forms of the result
  */
-async function translateFile(apiKey, sourceFile, targetLanguages, sourceLanguage, incremental = false, selfCorrect = false, maxRetries = 2, skipKeys = [], skipPaths = []) {
-  core.info(`📖 Reading source file: ${sourceFile}`);
+function groupLanguagesByKeys(languages, keysByLang, plurals = new Map()) {
+  const groups = new Map();
+  for (const lang of languages) {
+    const keys = keysByLang[lang] || [];
+    const id = JSON.stringify([...new Set(keys.map(key => {
+      const base = pluralBase(key, plurals);
+      return base === null ? key : `${base}_*`;
+    }))].sort());
+    if (!groups.has(id)) groups.set(id, { languages: [], keys: new Set() });
+    groups.get(id).languages.push(lang);
+    keys.forEach(key => groups.get(id).keys.add(key));
+  }
+  return [...groups.values()].map(group => ({ languages: group.languages, keys: [...group.keys] }));
+}
+
+/**
+ * Translate a locale file (with optional incremental mode)
+ * targetFiles maps each language to its target file, read in the locale of the language (locales, e.g. { zh: 'zh-Hans' })
+ * Incremental runs diff against lockEntries (the file's lockfile entries) when given, otherwise against the baseline commit
+ */
+async function translateFile(client, sourceFile, {
+  targetLanguages,
+  sourceLanguage,
+  targetFiles = {},
+  locales = {},
+  incremental = false,
+  baseline = null,
+  lockEntries = null,
+  protectEdits = false,
+  selfCorrect = false,
+  maxRetries = 2,
+  skipKeys = [],
+  skipPaths = [],
+  glossary = null,
+  protectedTerms = [],
+  batchOptions = {},
+  concurrency = 1
+} = {}) {
+  log.info(`📖 Reading source file: ${sourceFile}`);
 
   const sourceContent = await fs.readFile(sourceFile, 'utf8');
 
   // Determine format based on extension
-  const ext = path.extname(sourceFile).toLowerCase();
-  let outputFormat = 'json';
-  if (ext === '.yaml' || ext === '.yml') {
-    outputFormat = 'yaml';
-  }
+  const format = getFormat(sourceFile);
 
   // Parse content to validate it
   let parsedContent;
   try {
-    if (outputFormat === 'json') {
-      parsedContent = JSON.parse(sourceContent);
-    } else {
-      // For YAML, incremental mode not supported yet
-      parsedContent = sourceContent;
-      incremental = false;
-    }
+    parsedContent = parseSource(format, sourceContent, sourceLanguage);
   } catch (error) {
     throw new Error(`Failed to parse ${sourceFile}: ${error.message}`);
   }
 
+  // Resource files without strings (e.g. Android colors.xml) have nothing to translate
+  if (Object.keys(flattenObject(parsedContent)).length === 0) {
+    log.info(`⏭️ No translatable strings found, skipping`);
+    return { translations: {}, deletedKeys: [], isIncremental: true, changedKeyCount: 0, skippedInfo: { count: 0, keys: [] } };
+  }
+
   let contentToTranslate = parsedContent;
   let deletedKeys = [];
   let changedKeyCount = 0;
   let skippedInfo = { count: 0, keys: [] };
+  let missingByLang = null;
+
+  // Formats that track translation state in the target files (gettext) translate
+  // exactly the entries each target is missing, independent of git history
+  if (format.diffTarget) {
+    const missing = new Set();
+    const obsolete = new Set();
+    missingByLang = {};
+    for (const [lang, targetFile] of Object.entries(targetFiles)) {
+      let targetText = null;
+      try {
+        targetText = await fs.readFile(targetFile, 'utf8');
+      } catch {
+        targetText = null;
+      }
+      const diff = format.diffTarget(parsedContent, targetText, { lang });
+      missingByLang[lang] = diff.missing.map(fromFlatKey);
+      missingByLang[lang].forEach(key => missing.add(key));
+      diff.obsolete.forEach(key => obsolete.add(fromFlatKey(key)));
+    }
 
-  // Incremental mode: only translate changed keys
-  if (incremental && outputFormat === 'json') {
-    const previousContent = await getPreviousFileContent(sourceFile);
+    deletedKeys = [...obsolete];
+    if (missing.size === 0) {
+      log.info(`⏭️ All entries are translated${deletedKeys.length > 0 ? `, removing ${deletedKeys.length} obsolete entr(ies)` : ''}`);
+      return { translations: {}, deletedKeys, isIncremental: true, changedKeyCount: 0, skippedInfo: { count: 0, keys: [] } };
+    }
+
+    log.info(`📊 ${missing.size} untranslated or fuzzy key(s), ${deletedKeys.length} obsolete`);
+    contentToTranslate = extractKeys(parsedContent, [...missing]);
+    changedKeyCount = missing.size;
+    incremental = true;
+  } else if (incremental && lockEntries) {
+    // The lockfile records which source text each language was translated from,
+    // so stale and missing keys are found whatever commit triggered the run
+    const plan = planFromLock(lockEntries, flattenObject(parsedContent), targetLanguages);
+    missingByLang = plan.missingByLang;
+    deletedKeys = plan.deleted;
+    log.info(`🔒 ${new Set(Object.values(missingByLang).flat()).size} stale or missing key(s), ${deletedKeys.length} deleted (from the lockfile)`);
+  } else if (incremental) {
+    // Incremental mode: only translate changed keys
+    const previousContent = await getFileAtCommit(baseline, sourceFile);
 
     if (previousContent) {
       try {
-        const previousParsed = JSON.parse(previousContent);
+        const previousParsed = parseSource(format, previousContent, sourceLanguage);
         const changes = detectChangedKeys(previousParsed, parsedContent);
 
-        const keysToTranslate = [...changes.added, ...changes.modified];
+        const changedKeys = [...changes.added, ...changes.modified];
+        missingByLang = Object.fromEntries(targetLanguages.map(lang => [lang, changedKeys]));
         deletedKeys = changes.deleted;
-        changedKeyCount = keysToTranslate.length;
-
-        if (keysToTranslate.length === 0 && deletedKeys.length === 0) {
-          core.info(`⏭️ No changes detected, skipping translation`);
-          return { translations: {}, deletedKeys: [], isIncremental: true, changedKeyCount: 0, skippedInfo: { count: 0, keys: [] } };
-        }
-
-        if (keysToTranslate.length > 0) {
-          core.info(`📊 Incremental mode: ${changes.added.length} added, ${changes.modified.length} modified, ${changes.deleted.length} deleted`);
-          contentToTranslate = extractKeys(parsedContent, keysToTranslate);
-        } else {
-          // Only deletions, no translations needed
-          core.info(`📊 Incremental mode: ${changes.deleted.length} key(s) deleted, no translations needed`);
-          return { translations: {}, deletedKeys, isIncremental: true, changedKeyCount: 0, skippedInfo: { count: 0, keys: [] } };
-        }
+        log.info(`📊 Incremental mode: ${changes.added.length} added, ${changes.modified.length} modified, ${changes.deleted.length} deleted`);
       } catch (e) {
-        core.warning(`Could not parse previous version, falling back to full translation: ${e.message}`);
+        log.warning(`Could not parse previous version, falling back to full translation: ${e.message}`);
         incremental = false;
       }
     } else {
-      core.info(`📊 No previous version found, performing full translation`);
+      log.info(baseline ? `📊 No previous version found, performing full translation` : `📊 No incremental baseline, performing full translation`);
       incremental = false;
     }
   }
 
-  const keyCount = Object.keys(flattenObject(contentToTranslate)).length;
-  core.info(`🌍 Translating ${keyCount} key(s) to: ${targetLanguages.join(', ')}`);
+  const flatSource = flattenObject(parsedContent);
+
+  // Keys a target file doesn't have are translated as well, completing new and partial languages
+  if (incremental && !format.diffTarget && missingByLang) {
+    const completed = await addMissingKeys(missingByLang, format, flatSource, targetFiles, locales);
+    missingByLang = completed.missingByLang;
+    const gaps = Object.entries(completed.gaps).map(([lang, count]) => `${lang}: ${count}`);
+    if (gaps.length > 0) {
+      log.info(`🧩 Keys missing in target files (${gaps.join(', ')})`);
+    }
+  }
+
+  // Translations edited by hand since the action wrote them are kept instead of retranslated
+  const humanEdits = {};
+  const keptValues = {};
+  if (protectEdits && lockEntries && !format.diffTarget) {
+    for (const lang of targetLanguages) {
+      let target;
+      try {
+        target = await readTargetValues(format, targetFiles[lang], locales[lang] || lang);
+      } catch {
+        target = null;
+      }
+      const keys = missingByLang ? missingByLang[lang] : Object.keys(flatSource);
+      const edited = target ? findHumanEdits(lockEntries[lang], target, keys) : [];
+      if (edited.length === 0) continue;
+
+      humanEdits[lang] = edited;
+      keptValues[lang] = Object.fromEntries(edited.map(key => [key, target[key]]));
+      missingByLang = missingByLang || Object.fromEntries(targetLanguages.map(l => [l, Object.keys(flatSource)]));
+      missingByLang[lang] = missingByLang[lang].filter(key => !edited.includes(key));
+    }
+    const kept = Object.entries(humanEdits).map(([lang, keys]) => `${lang}: ${keys.length}`);
+    if (kept.length > 0) {
+      log.info(`✋ Keeping translations edited by hand (${kept.join(', ')})`);
+    }
+  }
+
+  if (missingByLang && !format.diffTarget) {
+    const missing = new Set(Object.values(missingByLang).flat());
+    if (missing.size === 0 && deletedKeys.length === 0) {
+      log.info(`⏭️ No changes detected, skipping translation`);
+      return { translations: {}, deletedKeys: [], isIncremental: true, changedKeyCount: 0, skippedInfo: { count: 0, keys: [] }, humanEdits };
+    }
+    if (missing.size === 0) {
+      // Only deletions, no translations needed
+      log.info(`📊 Incremental mode: ${deletedKeys.length} key(s) deleted, no translations needed`);
+      return { translations: {}, deletedKeys, isIncremental: true, changedKeyCount: 0, skippedInfo: { count: 0, keys: [] }, humanEdits };
+    }
+
+    contentToTranslate = extractKeys(parsedContent, [...missing]);
+    changedKeyCount = missing.size;
+  }
+
+  // skip-keys/skip-paths are matched here so they also address flat keys with dots and array items
+  const requestedKeys = Object.keys(flattenObject(contentToTranslate));
+  const skippedKeys = requestedKeys.filter(key => isSkippedPath(key, skipKeys, skipPaths));
+  if (skippedKeys.length > 0) {
+    contentToTranslate = extractKeys(contentToTranslate, requestedKeys.filter(key => !skippedKeys.includes(key)));
+    skippedInfo = { count: skippedKeys.length, keys: skippedKeys };
+  }
+
+  // Languages that are missing nothing are not sent to the API
+  if (missingByLang) {
+    targetLanguages = targetLanguages.filter(lang => (missingByLang[lang] || []).length > 0);
+  }
+
+  // Plural groups (count_one, count_other) are requested in the plural categories of each language
+  const plurals = pluralGroups(Object.keys(flatSource));
+  const keysByLang = Object.fromEntries(targetLanguages.map(lang => [
+    lang,
+    expandPluralKeys(missingByLang ? missingByLang[lang] || [] : requestedKeys, pluralCategoriesOf(format, locales[lang] || lang), plurals),
+  ]));
+  // Skipped keys keep their source values in the targets
+  const skipped = skippedValues(flatSource, skippedKeys, keysByLang, plurals);
+
+  const keyCount = requestedKeys.length - skippedKeys.length;
+  if (keyCount === 0) {
+    log.info(`⏭️ All ${skippedKeys.length} key(s) to translate are skipped`);
+    const translations = Object.fromEntries(Object.entries(skipped)
+      .filter(([, values]) => Object.keys(values).length > 0)
+      .map(([lang, values]) => [lang, unflattenObject(values)]));
+    return { translations, deletedKeys, isIncremental: incremental, changedKeyCount: 0, skippedInfo, humanEdits };
+  }
+  log.info(`🌍 Translating ${keyCount} key(s) to: ${targetLanguages.join(', ')}`);
+
+  if (plurals.size > 0) {
+    contentToTranslate = unflattenObject(addPluralForms(flattenObject(contentToTranslate), Object.values(keysByLang).flat(), plurals));
+  }
+
+  // Protected terms are sent as tokens so they are neither translated nor transliterated
+  const masked = maskValues(flattenObject(contentToTranslate), protectedTerms);
+  const maskedKeys = Object.keys(masked.terms);
+  if (maskedKeys.length > 0) {
+    contentToTranslate = unflattenObject(masked.values);
+    log.info(`🛡️ Protected terms masked in ${maskedKeys.length} key(s)`);
+  }
 
   let translations;
   let selfCorrectResults = null;
 
-  if (selfCorrect && outputFormat === 'json') {
+  if (selfCorrect) {
     // Self-correcting mode: translate each language with automatic retry
-    core.info(`🔄 Self-correcting mode enabled (max ${maxRetries} retries)`);
+    log.info(`🔄 Self-correcting mode enabled (max ${maxRetries} retries)`);
     translations = {};
     selfCorrectResults = {
       corrected: 0,
@@ -646,9 +622,25 @@ async function translateFile(apiKey, sourceFile, targetLanguages, sourceLanguage
       totalCost: 0
     };
 
-    for (const targetLang of targetLanguages) {
-      core.info(`🤖 Self-correcting translation to ${targetLang}...`);
-      const result = await callSelfCorrectingAPI(apiKey, contentToTranslate, targetLang, sourceLanguage, maxRetries);
+    // Languages run in parallel; results are collected in targetLanguages order
+    const languageResults = await mapWithConcurrency(targetLanguages, concurrency, async (targetLang) => {
+      log.info(`🤖 Self-correcting translation to ${targetLang}...`);
+      const content = extractKeys(contentToTranslate, keysByLang[targetLang]);
+      const terms = glossaryFor(glossary, flattenObject(content), [targetLang])[targetLang] || {};
+      const result = await callSelfCorrectingAPI(client, content, targetLang, sourceLanguage, maxRetries, terms);
+
+      if (result.summary?.corrected > 0) {
+        log.info(`  ✨ ${result.summary.corrected} translation(s) auto-corrected for ${targetLang}`);
+      }
+      if (result.summary?.needsReview > 0) {
+        log.warning(`  ⚠️ ${result.summary.needsReview} translation(s) need review for ${targetLang}`);
+      }
+
+      return result;
+    });
+
+    targetLanguages.forEach((targetLang, index) => {
+      const result = languageResults[index];
 
       translations[targetLang] = result.content;
 
@@ -665,22 +657,39 @@ async function translateFile(apiKey, sourceFile, targetLanguages, sourceLanguage
       if (result.cost) {
         selfCorrectResults.totalCost += result.cost.totalCost || 0;
       }
-
-      if (result.summary?.corrected > 0) {
-        core.info(`  ✨ ${result.summary.corrected} translation(s) auto-corrected for ${targetLang}`);
-      }
-      if (result.summary?.needsReview > 0) {
-        core.warning(`  ⚠️ ${result.summary.needsReview} translation(s) need review for ${targetLang}`);
-      }
-    }
+    });
 
     selfCorrectResults.totalCost = Number(selfCorrectResults.totalCost.toFixed(6));
-    core.info(`💰 Self-correction cost: $${selfCorrectResults.totalCost}`);
+    log.info(`💰 Self-correction cost: $${selfCorrectResults.totalCost}`);
   } else {
-    // Standard translation
-    const result = await callTranslateAPI(apiKey, contentToTranslate, targetLanguages, sourceLanguage, outputFormat, skipKeys, skipPaths);
-    translations = result.translations;
-    skippedInfo = result.skippedInfo;
+    // Standard translation (parsed content is sent as JSON, split into batches for large files)
+    const context = format.context
+      ? Object.fromEntries(Object.entries(format.context(sourceContent)).map(([key, note]) => [fromFlatKey(key), note]))
+      : {};
+    translations = {};
+    for (const group of groupLanguagesByKeys(targetLanguages, keysByLang, plurals)) {
+      const content = extractKeys(contentToTranslate, group.keys);
+      const result = await translateJsonInBatches(client, content, group.languages, sourceLanguage, skipKeys, skipPaths, batchOptions, context, glossary);
+      Object.assign(translations, result.translations);
+      skippedInfo = {
+        count: skippedInfo.count + result.skippedInfo.count,
+        keys: [...skippedInfo.keys, ...result.skippedInfo.keys],
+      };
+    }
+  }
+
+  // Keep only the requested paths: items missing from partial arrays come back as null.
+  // Each diffTarget target only takes the entries it was missing; the others are already translated there
+  for (const [lang, content] of Object.entries(translations)) {
+    const restored = maskedKeys.length > 0 ? unflattenObject(unmaskValues(flattenObject(content), masked.terms)) : content;
+    translations[lang] = deepMerge(extractKeys(restored, keysByLang[lang] || []), unflattenObject(skipped[lang] || {}));
+  }
+
+  // Full translations replace the target files, so kept edits are written back
+  if (!incremental) {
+    for (const [lang, values] of Object.entries(keptValues)) {
+      translations[lang] = deepMerge(translations[lang] || {}, unflattenObject(values));
+    }
   }
 
   return {
@@ -689,43 +698,68 @@ async function translateFile(apiKey, sourceFile, targetLanguages, sourceLanguage
     isIncremental: incremental,
     changedKeyCount: incremental ? changedKeyCount : keyCount,
     selfCorrectResults,
-    skippedInfo
+    skippedInfo,
+    humanEdits
   };
 }
 
 /**
- * Write translated files to disk
- * For single file: outputs to {outputDir}/{lang}.json
- * For multi-file (source-dir): outputs to {outputDir}/{lang}/{filename}.json
+ * Get the output path of a translated file
+ * For single file: {outputDir}/{lang}{ext}
+ * For multi-file (source-dir): {outputDir}/{lang}/{relativeDir}/{filename}
+ * Formats with a separate target extension (e.g. .pot -> .po) use it for the output
+ * Platform formats use their own folder layout (values-{lang}/, {lang}.lproj/)
+ * relativeDir is the folder of a nested source below its source directory
+ */
+function getOutputFile(outputDir, sourceFile, lang, useLanguageFolders = false, relativeDir = '', sourceLanguage = 'en') {
+  const format = getFormat(sourceFile);
+  if (format.localizedPath) {
+    return format.localizedPath(path.join(outputDir, relativeDir), sourceFile, lang, sourceLanguage);
+  }
+
+  const ext = format.outputExtension || path.extname(sourceFile);
+  const filename = path.basename(sourceFile, path.extname(sourceFile)) + ext;
+
+  return useLanguageFolders
+    ? path.join(outputDir, lang, relativeDir, filename)
+    : path.join(outputDir, relativeDir, `${lang}${ext}`);
+}
+
+/**
+ * Write translated files to disk, to the target file of each language (see getOutputFile)
  * In incremental mode: merges with existing files and removes deleted keys
+ * locales maps a language to the code written into its file (@@locale, Language header)
+ * Returns a record per written file: { file, sourceFile, lang, locale, keys } with the keys translated into it
  */
-async function writeTranslatedFiles(translations, outputDir, sourceFile, useLanguageFolders = false, deletedKeys = [], isIncremental = false) {
-  const filesChanged = [];
-  const filename = path.basename(sourceFile);
-  const ext = path.extname(sourceFile);
+async function writeTranslatedFiles(translations, targetFiles, sourceFile, deletedKeys = [], isIncremental = false, sortKeys = false, locales = {}, sourceLanguage = 'en') {
+  const written = [];
+  const format = getFormat(sourceFile);
 
-  core.info(`📝 Writing translated files to: ${outputDir}`);
+  // New target files are laid out like the source (keeps YAML comments and anchors)
+  const sourceText = await fs.readFile(sourceFile, 'utf8');
 
-  for (const [lang, newContent] of Object.entries(translations)) {
-    let outputFile;
+  log.info(`📝 Writing ${Object.keys(translations).length} translated file(s)`);
 
-    if (useLanguageFolders) {
-      // Multi-file mode: {outputDir}/{lang}/{filename}
-      const langDir = path.join(outputDir, lang);
-      await fs.mkdir(langDir, { recursive: true });
-      outputFile = path.join(langDir, filename);
-    } else {
-      // Single file mode: {outputDir}/{lang}.json
-      outputFile = path.join(outputDir, `${lang}${ext}`);
-    }
+  for (const [lang, newContent] of Object.entries(translations)) {
+    const outputFile = targetFiles[lang];
+    const locale = locales[lang] || lang;
+    await fs.mkdir(path.dirname(outputFile), { recursive: true });
 
     let finalContent = newContent;
+    let existingContent = null;
+    try {
+      existingContent = await fs.readFile(outputFile, 'utf8');
+    } catch {
+      existingContent = null;
+    }
 
     // In incremental mode, merge with existing file
-    if (isIncremental && typeof newContent === 'object') {
+    if (isIncremental) {
       try {
-        const existingContent = await fs.readFile(outputFile, 'utf8');
-        const existingParsed = JSON.parse(existingContent);
+        if (existingContent === null) {
+          throw new Error('not found');
+        }
+        const existingParsed = parseTarget(format, existingContent, locale);
 
         // Merge new translations into existing
         finalContent = deepMerge(existingParsed, newContent);
@@ -735,81 +769,115 @@ async function writeTranslatedFiles(translations, outputDir, sourceFile, useLang
           finalContent = removeKeys(finalContent, deletedKeys);
         }
 
-        core.info(`🔄 Merged: ${outputFile}`);
+        log.info(`🔄 Merged: ${outputFile}`);
       } catch (e) {
-        // File doesn't exist or isn't valid JSON, use new content as-is
-        core.info(`✨ New file: ${outputFile}`);
+        // File doesn't exist or can't be parsed, use new content as-is
+        existingContent = null;
+        log.info(`✨ New file: ${outputFile}`);
       }
     }
 
-    // Format content based on type
-    let outputContent;
-    if (typeof finalContent === 'string') {
-      // YAML content
-      outputContent = finalContent;
-    } else {
-      // JSON content
-      outputContent = JSON.stringify(finalContent, null, 2) + '\n';
-    }
+    const outputContent = format.serialize(finalContent, { existing: existingContent, source: sourceText, lang: locale, sourceLanguage, sortKeys });
 
     await fs.writeFile(outputFile, outputContent, 'utf8');
-    filesChanged.push(outputFile);
-    core.info(`✅ Saved: ${outputFile}`);
+    written.push({ file: outputFile, sourceFile, lang, locale, keys: Object.keys(flattenObject(newContent)) });
+    log.info(`✅ Saved: ${outputFile}`);
   }
 
-  return filesChanged;
+  return written;
 }
 
 /**
  * Remove deleted keys from existing translation files
  * Used when source keys are deleted but no new translations are needed
+ * Returns records like writeTranslatedFiles, without keys
  */
-async function removeDeletedKeysFromFiles(outputDir, sourceFile, targetLanguages, deletedKeys, useLanguageFolders) {
-  const filesChanged = [];
-  const filename = path.basename(sourceFile);
-  const ext = path.extname(sourceFile);
-
-  core.info(`🗑️ Removing ${deletedKeys.length} deleted key(s) from ${targetLanguages.length} language file(s)`);
-
-  for (const lang of targetLanguages) {
-    let outputFile;
+async function removeDeletedKeysFromFiles(targetFiles, sourceFile, deletedKeys, sortKeys = false, locales = {}, sourceLanguage = 'en') {
+  const written = [];
+  const format = getFormat(sourceFile);
+  const sourceText = await fs.readFile(sourceFile, 'utf8');
 
-    if (useLanguageFolders) {
-      outputFile = path.join(outputDir, lang, filename);
-    } else {
-      outputFile = path.join(outputDir, `${lang}${ext}`);
-    }
+  log.info(`🗑️ Removing ${deletedKeys.length} deleted key(s) from ${Object.keys(targetFiles).length} language file(s)`);
 
+  for (const [lang, outputFile] of Object.entries(targetFiles)) {
+    const locale = locales[lang] || lang;
     try {
       const existingContent = await fs.readFile(outputFile, 'utf8');
-      const existingParsed = JSON.parse(existingContent);
+      const existingParsed = parseTarget(format, existingContent, locale);
 
       // Remove deleted keys
       const updatedContent = removeKeys(existingParsed, deletedKeys);
 
       // Write updated content
-      await fs.writeFile(outputFile, JSON.stringify(updatedContent, null, 2) + '\n', 'utf8');
-      filesChanged.push(outputFile);
-      core.info(`🗑️ Updated: ${outputFile}`);
+      await fs.writeFile(outputFile, format.serialize(updatedContent, { existing: existingContent, source: sourceText, lang: locale, sourceLanguage, sortKeys }), 'utf8');
+      written.push({ file: outputFile, sourceFile, lang, locale, keys: [] });
+      log.info(`🗑️ Updated: ${outputFile}`);
     } catch (e) {
       // File doesn't exist, skip
-      core.info(`⏭️ Skipping ${outputFile} (not found)`);
+      log.info(`⏭️ Skipping ${outputFile} (not found)`);
     }
   }
 
-  return filesChanged;
+  return written;
+}
+
+/**
+ * Run the rule-based checks on written translations (records of writeTranslatedFiles), each file
+ * against its own source file and language; issues are reported under the locale of the file
+ */
+async function verifyRecords(records, sourceContents, sourcePlaceholders = {}, glossary = null, protectedTerms = []) {
+  const issues = [];
+
+  for (const { file, sourceFile, lang, locale } of records) {
+    if (!sourceContents[sourceFile]) continue;
+    try {
+      const format = getFormat(sourceFile);
+      const translated = parseTarget(format, await fs.readFile(file, 'utf8'), locale);
+      const fileIssues = runVerification(sourceContents[sourceFile], translated, lang, sourcePlaceholders[sourceFile], glossary, protectedTerms, pluralCategoriesOf(format, locale));
+      issues.push(...fileIssues.map(issue => ({ ...issue, lang: locale, file })));
+    } catch (e) {
+      log.warning(`Could not verify ${file}: ${e.message}`);
+    }
+  }
+
+  return issues;
+}
+
+/**
+ * Written files grouped by their locale, for the PR description (files without one under "other")
+ */
+function filesByLocale(records) {
+  const groups = {};
+  for (const record of records) {
+    const locale = record.locale || 'other';
+    if (!groups[locale]) groups[locale] = [];
+    groups[locale].push(record.file);
+  }
+  return groups;
+}
+
+/**
+ * The files-written output: the source, language and number of keys of each written file
+ */
+function filesWrittenOutput(records) {
+  return records.map(record => ({
+    file: record.file,
+    source: record.sourceFile,
+    language: record.locale,
+    keys: record.keys.length
+  }));
 }
 
 /**
  * Commit and push changes
  */
 async function commitChanges(filesChanged, commitMessage) {
-  core.info('🔧 Configuring git');
+  log.info('🔧 Configuring git');
 
   await exec.exec('git', ['config', 'user.name', 'Shipi18n Bot']);
   await exec.exec('git', ['config', 'user.email', 'bot@shipi18n.com']);
 
-  core.info('📦 Adding translated files');
+  log.info('📦 Adding translated files');
   await exec.exec('git', ['add', ...filesChanged]);
 
   // Check if there are changes to commit
@@ -823,28 +891,31 @@ async function commitChanges(filesChanged, commitMessage) {
   }
 
   if (exitCode === 0) {
-    core.info('✅ No changes to commit');
+    log.info('✅ No changes to commit');
     return false;
   }
 
-  core.info(`💾 Committing: ${commitMessage}`);
+  log.info(`💾 Committing: ${commitMessage}`);
   await exec.exec('git', ['commit', '-m', commitMessage]);
 
-  core.info('🚀 Pushing changes');
+  log.info('🚀 Pushing changes');
   await exec.exec('git', ['push']);
 
   return true;
 }
 
 /**
- * Create a pull request
+ * Create a pull request for the written files (records of writeTranslatedFiles)
+ * With failures (verification thresholds not met) the PR is opened as a draft that lists them
  */
-async function createPullRequest(filesChanged, branchName, commitMessage, token, sourceFiles, verificationSummary = '') {
+async function createPullRequest(records, branchName, commitMessage, token, sourceFiles, verificationSummary = '', failures = []) {
+  const filesChanged = records.map(record => record.file);
+
   // Add timestamp to branch name to avoid conflicts
   const timestamp = Date.now();
   const uniqueBranchName = `${branchName}-${timestamp}`;
 
-  core.info(`🌿 Creating branch: ${uniqueBranchName}`);
+  log.info(`🌿 Creating branch: ${uniqueBranchName}`);
 
   // Create and checkout new branch
   await exec.exec('git', ['checkout', '-b', uniqueBranchName]);
@@ -864,33 +935,28 @@ async function createPullRequest(filesChanged, branchName, commitMessage, token,
   const octokit = github.getOctokit(token);
   const { context } = github;
 
-  core.info('📬 Creating pull request');
+  log.info('📬 Creating pull request');
 
   // Group files by language for cleaner PR description
-  const filesByLang = {};
-  for (const file of filesChanged) {
-    const parts = file.split(path.sep);
-    // Try to extract language from path
-    const langMatch = parts.find(p => /^[a-z]{2}(-[A-Z]{2})?$/.test(p));
-    const lang = langMatch || 'other';
-    if (!filesByLang[lang]) filesByLang[lang] = [];
-    filesByLang[lang].push(file);
-  }
-
-  const filesSection = Object.entries(filesByLang)
+  const filesSection = Object.entries(filesByLocale(records))
     .map(([lang, files]) => `**${lang}:**\n${files.map(f => `- \`${f}\``).join('\n')}`)
     .join('\n\n');
 
+  const failuresSection = failures.length > 0
+    ? `\n### 🚧 Draft: verification thresholds not met\n${failures.map(reason => `- ${reason}`).join('\n')}\n\nFix the issues listed under the verification results before marking this PR ready for review.\n`
+    : '';
+
   const pr = await octokit.rest.pulls.create({
     owner: context.repo.owner,
     repo: context.repo.repo,
     title: '🌍 Update translations',
     head: uniqueBranchName,
     base: context.ref.replace('refs/heads/', ''),
+    draft: failures.length > 0,
     body: `## 🤖 Auto-generated translations
 
 This PR was automatically created by [Shipi18n GitHub Action](https://github.com/Shipi18n/shipi18n-github-action).
-
+${failuresSection}
 ### 📄 Source files translated
 ${sourceFiles.map(f => `- \`${f}\``).join('\n')}
 
@@ -905,7 +971,7 @@ ${verificationSummary}
 `,
   });
 
-  core.info(`✅ Pull request created: ${pr.data.html_url}`);
+  log.info(`✅ ${failures.length > 0 ? 'Draft pull request' : 'Pull request'} created: ${pr.data.html_url}`);
   return pr.data.number;
 }
 
@@ -915,235 +981,437 @@ ${verificationSummary}
 async function run() {
   try {
     // Get inputs
-    const apiKey = core.getInput('api-key', { required: true });
-    const sourceFile = core.getInput('source-file');
-    const sourceDir = core.getInput('source-dir');
-    const targetLanguagesStr = core.getInput('target-languages', { required: true });
-    const outputDir = core.getInput('output-dir');
-    const sourceLanguage = core.getInput('source-language') || 'en';
+    const mode = core.getInput('mode') || 'translate';
+    if (!['translate', 'check'].includes(mode)) {
+      throw new Error(`Unknown mode "${mode}", expected translate or check`);
+    }
+    const checkOnly = mode === 'check'; // Only report the state of the target files
+    const apiKey = core.getInput('api-key', { required: !checkOnly });
+    const apiUrl = core.getInput('api-url');
+    const maxApiRetries = Math.max(parseInt(core.getInput('max-api-retries') || '3', 10) || 0, 0);
+    const requestTimeout = Math.max(parseInt(core.getInput('request-timeout')) || 120, 1);
+    const configInput = core.getInput('config');
     const createPR = core.getInput('create-pr') === 'true';
-    const incremental = core.getInput('incremental') !== 'false'; // Default true
     const commitMessage = core.getInput('commit-message') || 'chore: update translations [skip ci]';
     const branchName = core.getInput('branch-name') || 'shipi18n-translations';
-    const enableLLMVerification = core.getInput('verify') === 'true';
-    const verifyMode = core.getInput('verify-mode') || 'quick';
-    const enableSelfCorrect = core.getInput('self-correct') === 'true';
-    const maxRetries = Math.min(parseInt(core.getInput('max-retries')) || 2, 5);
-    const skipKeysInput = core.getInput('skip-keys') || '';
-    const skipPathsInput = core.getInput('skip-paths') || '';
-
-    // Parse skip options
-    const skipKeys = skipKeysInput ? skipKeysInput.split(',').map(k => k.trim()).filter(Boolean) : [];
-    const skipPaths = skipPathsInput ? skipPathsInput.split(',').map(p => p.trim()).filter(Boolean) : [];
-
-    // Validate inputs
-    if (!sourceFile && !sourceDir) {
-      throw new Error('Either source-file or source-dir must be specified');
-    }
-    if (sourceFile && sourceDir) {
-      throw new Error('Specify either source-file or source-dir, not both');
-    }
-
-    // Parse target languages
-    const targetLanguages = targetLanguagesStr.split(',').map(lang => lang.trim());
-
-    core.info('🚀 Shipi18n Translation Action');
-
-    // Determine files to translate
-    let sourceFiles = [];
-    let useLanguageFolders = false;
+    const concurrency = Math.max(parseInt(core.getInput('concurrency')) || 1, 1);
+    const baseRef = core.getInput('base-ref');
+    const lockfileInput = core.getInput('lockfile') || DEFAULT_LOCKFILE;
+    const lockfilePath = lockfileInput === 'false' ? null : lockfileInput;
+    const protectEdits = core.getInput('human-edits') !== 'overwrite'; // Default keep
+    const batchOptions = {
+      maxKeys: Math.max(parseInt(core.getInput('batch-size')) || DEFAULT_BATCH_SIZE, 1),
+      maxBytes: Math.max(parseInt(core.getInput('batch-max-bytes')) || DEFAULT_BATCH_MAX_BYTES, 1024),
+      concurrency: Math.max(parseInt(core.getInput('batch-concurrency')) || 1, 1)
+    };
+    const thresholds = parseThresholds(
+      Object.fromEntries(['fail-on', 'max-errors', 'max-warnings', 'require-llm-pass', 'on-failure'].map(name => [name, core.getInput(name)])),
+      checkOnly ? 'error' : 'none'
+    );
 
-    if (sourceDir) {
-      // Multi-file mode
-      core.info(`📁 Source directory: ${sourceDir}`);
-      sourceFiles = await discoverFiles(sourceDir);
-      useLanguageFolders = true;
-      core.info(`📄 Found ${sourceFiles.length} file(s): ${sourceFiles.map(f => path.basename(f)).join(', ')}`);
+    log.info('🚀 Shipi18n Translation Action');
+
+    // Translation jobs come from the config file when there is one, otherwise from the inputs
+    const configPath = configInput || DEFAULT_CONFIG;
+    const config = await loadConfig(configPath, Boolean(configInput));
+    let jobs;
+    if (config) {
+      jobs = config.jobs;
+      log.info(`🗂️ Config: ${configPath} (${jobs.length} job(s))`);
+      if (core.getInput('source-file') || core.getInput('source-dir')) {
+        log.warning(`source-file and source-dir inputs are ignored, jobs are defined in ${configPath}`);
+      }
     } else {
-      // Single file mode
-      sourceFiles = [sourceFile];
-      core.info(`📄 Source file: ${sourceFile}`);
+      jobs = [normalizeJob(Object.fromEntries(JOB_OPTIONS.map(name => [name, core.getInput(name)])), 'inputs')];
     }
 
-    core.info(`🌍 Target languages: ${targetLanguages.join(', ')}`);
-    if (incremental) {
-      core.info(`⚡ Incremental mode: enabled`);
+    let client = null;
+    if (checkOnly) {
+      log.info('🔎 Check mode: verifying existing translations, nothing is translated or committed');
+    } else {
+      client = createApiClient({
+        apiKey,
+        baseUrl: apiUrl,
+        maxRetries: maxApiRetries,
+        timeout: requestTimeout * 1000
+      });
+      log.info(`🔗 API endpoint: ${client.apiUrl} (timeout ${requestTimeout}s, up to ${maxApiRetries} retries)`);
     }
-    if (enableSelfCorrect) {
-      core.info(`🔄 Self-correcting mode: enabled (max ${maxRetries} retries)`);
+
+    // The baseline commit is shared by all incremental jobs, and only resolved once a file
+    // needs it: formats with their own translation state and files in the lockfile don't
+    let baseline = null;
+    const getBaseline = () => {
+      baseline = baseline || resolveBaseline(baseRef);
+      return baseline;
+    };
+    if (!checkOnly && jobs.some(job => job.incremental)) {
+      log.info(`⚡ Incremental mode: enabled`);
     }
-    if (skipKeys.length > 0 || skipPaths.length > 0) {
-      core.info(`⏭️ Skip keys: ${skipKeys.length > 0 ? skipKeys.join(', ') : 'none'}`);
-      core.info(`⏭️ Skip paths: ${skipPaths.length > 0 ? skipPaths.join(', ') : 'none'}`);
+    if (concurrency > 1) {
+      log.info(`🧵 Concurrency: ${concurrency} file(s) and language(s) at a time`);
     }
 
+    const lock = lockfilePath && !checkOnly ? await readLockfile(lockfilePath) : null;
+
     // Translate all files
-    const allFilesChanged = [];
+    const allRecords = []; // { file, sourceFile, lang, locale, keys } per written file
+    const allSourceFiles = [];
+    const allLanguages = new Set();
+    const syncedFiles = []; // { file, targetLanguages } for dashboard reporting
     let totalKeysTranslated = 0;
     let totalKeysDeleted = 0;
     let totalSkippedKeys = 0;
     const allVerificationIssues = [];
     const sourceContents = {}; // Store source content for verification
+    const sourcePlaceholders = {}; // Declared placeholders per source file (ARB)
 
     // Self-correction aggregate stats
     let totalSelfCorrectCorrected = 0;
     let totalSelfCorrectCost = 0;
     const allNeedsReview = [];
+    const allOutdatedEdits = []; // Kept human translations whose source text changed
+
+    // LLM verification aggregate results
+    const enableLLMVerification = jobs.some(job => job.verify);
+    const enableSelfCorrect = jobs.some(job => job.selfCorrect);
+    const llmIssues = [];
+    let llmVerified = false;
+    let llmAllPassed = true;
+    let llmErrored = false; // A verification request failed, so the results are incomplete
+    let totalVerificationCost = 0;
+    let totalVerificationTokens = 0;
+
+    for (const job of jobs) {
+      const {
+        sourceFile, sourceDir, outputDir, outputPattern, languageMap, sourceLanguage, targetLanguages, incremental,
+        skipKeys, skipPaths, verifyMode, maxRetries, xliffDir, xliffVersion, sortKeys, protectedTerms
+      } = job;
+      const enableJobVerification = job.verify;
+      const enableJobSelfCorrect = job.selfCorrect;
+      if (jobs.length > 1) {
+        log.info(`\n📦 Job: ${job.name}`);
+      }
 
-    for (const file of sourceFiles) {
-      core.info(`\n${'─'.repeat(50)}`);
-      core.info(`📄 Processing: ${path.basename(file)}`);
+      // Determine files to translate
+      let sourceFiles = [];
+      let useLanguageFolders = false;
 
-      // Read and store source content for verification
-      const sourceContent = await fs.readFile(file, 'utf8');
-      const ext = path.extname(file).toLowerCase();
-      if (ext === '.json') {
-        try {
-          sourceContents[file] = JSON.parse(sourceContent);
-        } catch (e) {
-          core.warning(`Could not parse source file for verification: ${file}`);
+      // Folder that nested source files are relative to (source-dir, or the fixed part of a source-file glob)
+      const baseDir = sourceDir || (hasGlob(sourceFile) ? globBase(sourceFile) : path.dirname(sourceFile));
+
+      // Output directory of a source file; formats that keep languages side by side
+      // (res/values-es/, messages_es.properties) pick their own default
+      const getEffectiveOutputDir = (file) => {
+        const format = getFormat(file);
+        if (outputDir) return outputDir;
+        if (format.defaultOutputDir) return format.defaultOutputDir(file);
+        return sourceDir ? path.dirname(sourceDir) : path.dirname(file);
+      };
+      // Nested sources keep their folders below the output directory, unless written next to the source
+      const getRelativeDir = (file) => {
+        const nestsOutput = outputDir || (sourceDir && !getFormat(file).defaultOutputDir);
+        return nestsOutput ? path.relative(baseDir, path.dirname(file)) : '';
+      };
+      // Languages keep their API code; paths and files use the mapped locale (zh -> zh-Hans)
+      const locales = Object.fromEntries(targetLanguages.map(lang => [lang, localeFor(languageMap, lang)]));
+      const getTargetFiles = (file) => Object.fromEntries(targetLanguages.map(lang => {
+        // Rails names YAML files after their language and keeps them side by side (devise.en.yml -> devise.es.yml)
+        const railsName = !outputPattern && getFormat(file).name === 'yaml' && languageFileName(file, sourceLanguage, locales[lang]);
+        if (railsName) {
+          return [lang, path.join(outputDir ? path.join(outputDir, getRelativeDir(file)) : path.dirname(file), railsName)];
+        }
+        if (!outputPattern) {
+          return [lang, getOutputFile(getEffectiveOutputDir(file), file, locales[lang], useLanguageFolders, getRelativeDir(file), sourceLanguage)];
+        }
+        const tokens = {
+          lang,
+          locale: locales[lang],
+          namespace: namespaceOf(file, sourceLanguage),
+          dir: getRelativeDir(file),
+          ext: getFormat(file).outputExtension || path.extname(file),
+        };
+        return [lang, path.join(getEffectiveOutputDir(file), expandOutputPattern(outputPattern, tokens))];
+      }));
+
+      if (sourceDir || hasGlob(sourceFile)) {
+        if (sourceDir) {
+          // Multi-file mode
+          log.info(`📁 Source directory: ${sourceDir}`);
+          useLanguageFolders = true;
+          sourceFiles = await discoverFiles(sourceDir, job.format, job.include, job.exclude);
+        } else {
+          log.info(`📁 Source files: ${sourceFile}`);
+          const extensions = supportedExtensions(job.format);
+          sourceFiles = (await expandGlob(sourceFile)).filter(file =>
+            extensions.includes(path.extname(file).toLowerCase()) && !matchesGlob(path.relative(baseDir, file), job.exclude)
+          );
+          if (sourceFiles.length === 0) {
+            throw new Error(`No files match source-file '${sourceFile}'`);
+          }
         }
-      }
 
-      // Translate the file
-      const result = await translateFile(apiKey, file, targetLanguages, sourceLanguage, incremental, enableSelfCorrect, maxRetries, skipKeys, skipPaths);
+        // Translations written next to their source (messages_es.properties) are not sources themselves
+        const translatedFiles = new Set(sourceFiles.flatMap(file => Object.values(getTargetFiles(file))));
+        sourceFiles = sourceFiles.filter(file => !translatedFiles.has(file));
 
-      // Track skipped keys
-      if (result.skippedInfo && result.skippedInfo.count > 0) {
-        totalSkippedKeys += result.skippedInfo.count;
-        core.info(`⏭️ Skipped ${result.skippedInfo.count} key(s) from translation`);
-      }
+        // When sources are named after their language (devise.en.yml, messages_en.properties), files named
+        // after other languages hold translations, also those of languages not translated in this run
+        if (sourceFiles.some(file => fileLocale(file) && !isOtherLanguageFile(file, sourceLanguage))) {
+          sourceFiles = sourceFiles.filter(file => !isOtherLanguageFile(file, sourceLanguage));
+        }
 
-      // Skip if no changes
-      if (result.isIncremental && result.changedKeyCount === 0 && result.deletedKeys.length === 0) {
-        continue;
+        // Of the files of one bundle (messages.properties, messages_de.properties) only the
+        // source-language file, or else the one without a locale suffix, is translated
+        const bundles = new Map();
+        for (const file of sourceFiles) {
+          const format = getFormat(file);
+          const bundle = format.localizedPath ? format.localizedPath(format.defaultOutputDir(file), file, '*', sourceLanguage) : file;
+          const current = bundles.get(bundle);
+          const isSourceLanguageFile = format.localizedPath && format.localizedPath(path.dirname(file), file, sourceLanguage, sourceLanguage) === file;
+          if (!current || isSourceLanguageFile || (!current.isSourceLanguageFile && file.length < current.file.length)) {
+            bundles.set(bundle, { file, isSourceLanguageFile });
+          }
+        }
+        sourceFiles = sourceFiles.filter(file => [...bundles.values()].some(bundle => bundle.file === file));
+        log.info(`📄 Found ${sourceFiles.length} file(s): ${sourceFiles.map(f => path.relative(baseDir, f)).join(', ')}`);
+      } else {
+        // Single file mode
+        sourceFiles = [sourceFile];
+        log.info(`📄 Source file: ${sourceFile}`);
       }
 
-      totalKeysTranslated += result.changedKeyCount;
-      totalKeysDeleted += result.deletedKeys.length;
+      log.info(`🌍 Target languages: ${targetLanguages.join(', ')}`);
+      if (!incremental && jobs.some(other => other.incremental)) {
+        log.info(`⚡ Incremental mode: disabled for this job`);
+      }
+      if (enableJobSelfCorrect) {
+        log.info(`🔄 Self-correcting mode: enabled (max ${maxRetries} retries)`);
+      }
+      if (xliffDir) {
+        log.info(`📑 XLIFF ${xliffVersion} review files: ${xliffDir}`);
+      }
+      const glossary = job.glossary ? await loadGlossary(job.glossary) : null;
+      if (glossary) {
+        log.info(`📘 Glossary: ${glossary.length} term(s) from ${job.glossary}`);
+      }
+      if (protectedTerms.length > 0) {
+        log.info(`🛡️ Protected terms: ${protectedTerms.length}`);
+      }
+      if (skipKeys.length > 0 || skipPaths.length > 0) {
+        log.info(`⏭️ Skip keys: ${skipKeys.length > 0 ? skipKeys.join(', ') : 'none'}`);
+        log.info(`⏭️ Skip paths: ${skipPaths.length > 0 ? skipPaths.join(', ') : 'none'}`);
+      }
 
-      // Track self-correction stats
-      if (result.selfCorrectResults) {
-        totalSelfCorrectCorrected += result.selfCorrectResults.corrected || 0;
-        totalSelfCorrectCost += result.selfCorrectResults.totalCost || 0;
-        if (result.selfCorrectResults.needsReview && result.selfCorrectResults.needsReview.length > 0) {
-          allNeedsReview.push({
-            file: path.basename(file),
-            items: result.selfCorrectResults.needsReview
-          });
+      if (checkOnly) {
+        for (const file of sourceFiles) {
+          const issues = await checkTargetFiles(file, getTargetFiles(file), sourceLanguage, locales, skipKeys, skipPaths, glossary, protectedTerms);
+          const errors = issues.filter(issue => issue.severity === 'error').length;
+          log.info(`${errors > 0 ? '❌' : '✅'} ${file}: ${errors} problem(s), ${issues.length - errors} warning(s)`);
+          allVerificationIssues.push(...issues);
         }
+        allSourceFiles.push(...sourceFiles);
+        targetLanguages.forEach(lang => allLanguages.add(locales[lang]));
+        continue;
       }
 
-      // Determine output directory
-      const effectiveOutputDir = outputDir || (sourceDir ? path.dirname(sourceDir) : path.dirname(file));
-
-      // Write translated files (with merge for incremental mode)
-      if (Object.keys(result.translations).length > 0) {
-        const filesChanged = await writeTranslatedFiles(
-          result.translations,
-          effectiveOutputDir,
-          file,
-          useLanguageFolders,
-          result.deletedKeys,
-          result.isIncremental
-        );
-        allFilesChanged.push(...filesChanged);
-      } else if (result.deletedKeys.length > 0) {
-        // Only deletions, no new translations
-        const filesChanged = await removeDeletedKeysFromFiles(
-          effectiveOutputDir,
-          file,
+      // Translate and write a single source file; runs inside the file pool
+      const processSourceFile = async (file) => {
+        // Read and store source content for verification
+        const format = getFormat(file);
+        const sourceContent = await fs.readFile(file, 'utf8');
+        try {
+          sourceContents[file] = parseSource(format, sourceContent, sourceLanguage);
+          if (format.placeholders) sourcePlaceholders[file] = format.placeholders(sourceContent);
+        } catch (e) {
+          log.warning(`Could not parse source file for verification: ${file}`);
+        }
+
+        // Determine the target file of each language
+        const targetFiles = getTargetFiles(file);
+
+        // XLIFF review files only apply to formats without their own translation state (not PO/XLIFF)
+        const useReviewFiles = xliffDir && !format.diffTarget && sourceContents[file];
+        const flatSource = sourceContents[file] ? flattenObject(sourceContents[file]) : {};
+        // Review files of nested sources keep their folder below source-dir
+        const reviewDir = path.relative(baseDir, path.dirname(file));
+        const reviewed = useReviewFiles ? await importReviewed(xliffDir, file, format, flatSource, targetFiles, locales, reviewDir) : {};
+
+        // Translate the file
+        // Files already in the lockfile are diffed against it; others fall back to the git baseline
+        const lockKey = file.split(path.sep).join('/');
+        const useLock = lock && !format.diffTarget && sourceContents[file];
+        const lockEntries = useLock ? lock.files[lockKey] : null;
+        const useBaseline = incremental && !format.diffTarget && !lockEntries;
+        const result = await translateFile(client, file, {
           targetLanguages,
-          result.deletedKeys,
-          useLanguageFolders
-        );
-        allFilesChanged.push(...filesChanged);
-      }
-    }
+          sourceLanguage,
+          targetFiles,
+          locales,
+          incremental,
+          baseline: useBaseline ? await getBaseline() : null,
+          lockEntries,
+          protectEdits,
+          selfCorrect: enableJobSelfCorrect,
+          maxRetries,
+          skipKeys,
+          skipPaths,
+          glossary,
+          protectedTerms,
+          batchOptions,
+          concurrency
+        });
 
-    core.info(`\n${'─'.repeat(50)}`);
-    if (incremental) {
-      core.info(`⚡ Incremental summary: ${totalKeysTranslated} key(s) translated, ${totalKeysDeleted} key(s) deleted`);
-    }
-    core.info(`✅ Processed ${sourceFiles.length} file(s) to ${targetLanguages.length} language(s)`);
-    core.info(`📝 Total files created/updated: ${allFilesChanged.length}`);
+        if (result.skippedInfo && result.skippedInfo.count > 0) {
+          log.info(`⏭️ Skipped ${result.skippedInfo.count} key(s) from translation`);
+        }
 
-    // Run verification on translated files
-    if (allFilesChanged.length > 0) {
-      core.info(`\n🔍 Running verification checks...`);
+        // Reviewed translations win over machine translations
+        for (const [lang, values] of Object.entries(reviewed)) {
+          result.translations[lang] = deepMerge(result.translations[lang] || {}, unflattenObject(values));
+        }
 
-      for (const translatedFile of allFilesChanged) {
-        try {
-          // Read translated file
-          const translatedContent = await fs.readFile(translatedFile, 'utf8');
-          const ext = path.extname(translatedFile).toLowerCase();
-
-          if (ext === '.json') {
-            const translatedParsed = JSON.parse(translatedContent);
-
-            // Find corresponding source file
-            const filename = path.basename(translatedFile);
-            const sourceFile = Object.keys(sourceContents).find(f => path.basename(f) === filename);
-
-            if (sourceFile && sourceContents[sourceFile]) {
-              // Extract language from path (e.g., locales/es/common.json -> es)
-              const pathParts = translatedFile.split(path.sep);
-              const langMatch = pathParts.find(p => /^[a-z]{2}(-[A-Z]{2})?$/.test(p));
-              const lang = langMatch || 'unknown';
-
-              // Run verification
-              const issues = runVerification(sourceContents[sourceFile], translatedParsed, lang);
-              allVerificationIssues.push(...issues);
+        // Write translated files (with merge for incremental mode), unless nothing changed
+        let records = [];
+        const hasChanges = !(result.isIncremental && result.changedKeyCount === 0 && result.deletedKeys.length === 0)
+          || Object.keys(reviewed).length > 0;
+        if (hasChanges && Object.keys(result.translations).length > 0) {
+          records = await writeTranslatedFiles(
+            result.translations,
+            targetFiles,
+            file,
+            result.deletedKeys,
+            result.isIncremental,
+            sortKeys,
+            locales,
+            sourceLanguage
+          );
+        } else if (hasChanges && result.deletedKeys.length > 0) {
+          // Only deletions, no new translations
+          records = await removeDeletedKeysFromFiles(
+            targetFiles,
+            file,
+            result.deletedKeys,
+            sortKeys,
+            locales,
+            sourceLanguage
+          );
+        }
+
+        if (useReviewFiles) {
+          records.push(...await exportForReview(xliffDir, file, format, flatSource, targetFiles, { version: xliffVersion, sourceLanguage, locales, relativeDir: reviewDir }));
+        }
+
+        // Record the source text each language now holds translations of, and the values written
+        const humanEdits = result.humanEdits || {};
+        const outdatedEdits = [];
+        if (useLock) {
+          for (const lang of targetLanguages) {
+            let target = {};
+            try {
+              target = await readTargetValues(format, targetFiles[lang], locales[lang]) || {};
+            } catch {
+              // Unreadable target, recorded without values
+            }
+
+            let keys = Object.keys(flattenObject(result.translations[lang] || {}));
+            if (!lockEntries?.[lang]) {
+              // Not tracked yet: keys already in the target file are taken as up to date
+              keys = keys.concat(Object.keys(target));
             }
+
+            const kept = humanEdits[lang] || [];
+            kept.filter(key => isSourceChanged(lockEntries?.[lang], flatSource, key))
+              .forEach(key => outdatedEdits.push({ file: targetFiles[lang], lang: locales[lang], key }));
+            // Languages with other plural categories than the source are recorded by the source keys they cover
+            const covered = coveredSourceKeys(Object.keys(flatSource), keys, pluralCategoriesOf(format, locales[lang]), pluralGroups(Object.keys(flatSource)));
+            recordKeys(lock, lockKey, lang, flatSource, covered, target, kept);
           }
-        } catch (e) {
-          core.warning(`Could not verify ${translatedFile}: ${e.message}`);
         }
-      }
 
-      // Log verification results
-      const errors = allVerificationIssues.filter(i => i.severity === 'error');
-      const warnings = allVerificationIssues.filter(i => i.severity === 'warning');
+        return { result, records, outdatedEdits };
+      };
 
-      if (allVerificationIssues.length === 0) {
-        core.info(`✅ All verification checks passed`);
-      } else {
-        core.info(`⚠️ Verification found ${errors.length} error(s) and ${warnings.length} warning(s)`);
-        errors.slice(0, 5).forEach(e => core.warning(`${e.key || e.type}: ${e.message}`));
-      }
-    }
+      // Parallel files buffer their logs so each file's group is printed in one piece
+      const fileResults = await mapWithConcurrency(sourceFiles, concurrency, (file) =>
+        log.group(`📄 ${file}`, () => processSourceFile(file), { buffered: concurrency > 1 })
+      );
+
+      // Aggregate in source file order so outputs are deterministic
+      const jobRecords = [];
+      sourceFiles.forEach((file, index) => {
+        const { result, records, outdatedEdits } = fileResults[index];
+        allOutdatedEdits.push(...outdatedEdits);
+        syncedFiles.push({ file, targetLanguages });
+
+        // Track skipped keys
+        if (result.skippedInfo && result.skippedInfo.count > 0) {
+          totalSkippedKeys += result.skippedInfo.count;
+        }
 
-    // LLM-based verification (optional)
-    let llmVerificationResults = { pass: 'skipped', issues: [], cost: { totalCost: 0, totalTokens: 0 } };
-    if (enableLLMVerification && allFilesChanged.length > 0) {
-      core.info(`\n🤖 Running LLM-based verification (Claude Haiku 4.5)...`);
+        jobRecords.push(...records);
 
-      const llmIssues = [];
-      let allPassed = true;
-      let totalVerificationCost = 0;
-      let totalVerificationTokens = 0;
+        if (result.isIncremental && result.changedKeyCount === 0 && result.deletedKeys.length === 0) {
+          return;
+        }
 
-      for (const translatedFile of allFilesChanged) {
-        try {
-          const translatedContent = await fs.readFile(translatedFile, 'utf8');
-          const ext = path.extname(translatedFile).toLowerCase();
+        totalKeysTranslated += result.changedKeyCount;
+        totalKeysDeleted += result.deletedKeys.length;
+
+        // Track self-correction stats
+        if (result.selfCorrectResults) {
+          totalSelfCorrectCorrected += result.selfCorrectResults.corrected || 0;
+          totalSelfCorrectCost += result.selfCorrectResults.totalCost || 0;
+          if (result.selfCorrectResults.needsReview && result.selfCorrectResults.needsReview.length > 0) {
+            allNeedsReview.push({
+              file: path.basename(file),
+              items: result.selfCorrectResults.needsReview
+            });
+          }
+        }
+      });
+
+      allRecords.push(...jobRecords);
+      allSourceFiles.push(...sourceFiles);
+      targetLanguages.forEach(lang => allLanguages.add(locales[lang]));
 
-          if (ext === '.json') {
-            const translatedParsed = JSON.parse(translatedContent);
+      // Each written translation is verified against its own source file and language
+      const translationRecords = jobRecords.filter(record => !record.review);
 
-            // Find corresponding source file
-            const filename = path.basename(translatedFile);
-            const srcFile = Object.keys(sourceContents).find(f => path.basename(f) === filename);
+      // Run verification on translated files
+      if (translationRecords.length > 0) {
+        log.info(`\n🔍 Running verification checks...`);
+        const jobIssues = await verifyRecords(translationRecords, sourceContents, sourcePlaceholders, glossary, protectedTerms);
 
-            if (srcFile && sourceContents[srcFile]) {
-              // Extract language from path
-              const pathParts = translatedFile.split(path.sep);
-              const langMatch = pathParts.find(p => /^[a-z]{2}(-[A-Z]{2})?$/.test(p));
-              const lang = langMatch || 'unknown';
+        // Log verification results
+        const errors = jobIssues.filter(i => i.severity === 'error');
+        const warnings = jobIssues.filter(i => i.severity === 'warning');
+
+        if (jobIssues.length === 0) {
+          log.info(`✅ All verification checks passed`);
+        } else {
+          log.info(`⚠️ Verification found ${errors.length} error(s) and ${warnings.length} warning(s)`);
+          errors.slice(0, 5).forEach(e => log.warning(`${e.key ? displayKey(e.key) : e.type}: ${e.message}`));
+        }
+        allVerificationIssues.push(...jobIssues);
+      }
+
+      // LLM-based verification (optional)
+      if (enableJobVerification && translationRecords.length > 0) {
+        log.info(`\n🤖 Running LLM-based verification (Claude Haiku 4.5)...`);
+        llmVerified = true;
+
+        const jobLlmIssues = [];
+        for (const { file: translatedFile, sourceFile: srcFile, lang, locale } of translationRecords) {
+          try {
+            const translatedContent = await fs.readFile(translatedFile, 'utf8');
+
+            if (sourceContents[srcFile]) {
+              const translatedParsed = parseTarget(getFormat(srcFile), translatedContent, locale);
 
               // Call LLM verification
               const result = await callLLMVerification(
-                apiKey,
+                client,
                 sourceContents[srcFile],
                 translatedParsed,
                 sourceLanguage,
@@ -1157,52 +1425,96 @@ async function run() {
                 totalVerificationTokens += result.cost.totalTokens || 0;
               }
 
-              if (!result.pass && !result.error) {
-                allPassed = false;
-                llmIssues.push({
-                  language: lang,
+              if (result.error) {
+                llmErrored = true;
+              } else if (!result.pass) {
+                jobLlmIssues.push({
+                  language: locale,
                   file: translatedFile,
                   issues: result.issues
                 });
               }
             }
+          } catch (e) {
+            log.warning(`Could not run LLM verification on ${translatedFile}: ${e.message}`);
+            llmErrored = true;
           }
-        } catch (e) {
-          core.warning(`Could not run LLM verification on ${translatedFile}: ${e.message}`);
         }
+
+        if (jobLlmIssues.length === 0) {
+          log.info(`✅ LLM verification passed for all languages`);
+        } else {
+          llmAllPassed = false;
+          llmIssues.push(...jobLlmIssues);
+          log.warning(`⚠️ LLM verification found issues in ${jobLlmIssues.length} file(s)`);
+          // Add LLM issues to all verification issues for the summary
+          for (const langIssue of jobLlmIssues) {
+            for (const issue of langIssue.issues) {
+              allVerificationIssues.push({
+                type: 'llm_verification',
+                severity: 'warning',
+                lang: langIssue.language,
+                key: issue.key,
+                message: issue.issues?.map(i => i.detail).join(', ') || 'LLM verification failed'
+              });
+            }
+          }
+        }
+      }
+    }
+
+    if (checkOnly) {
+      const errors = allVerificationIssues.filter(i => i.severity === 'error').length;
+      log.info(`\n${'─'.repeat(50)}`);
+      log.info(`🔎 Checked ${allSourceFiles.length} file(s) in ${allLanguages.size} language(s)`);
+      logCheckResults(allVerificationIssues);
+
+      // LLM verification doesn't run in check mode, so require-llm-pass doesn't apply
+      const failures = checkThresholds(allVerificationIssues, null, thresholds);
+      core.setOutput('languages', [...allLanguages].join(','));
+      core.setOutput('verification-errors', errors);
+      core.setOutput('verification-warnings', allVerificationIssues.length - errors);
+      core.setOutput('verification-failed', String(failures.length > 0));
+      if (failures.length > 0) {
+        core.setFailed(`❌ Translation check failed: ${failures.join('; ')}`);
+      } else {
+        log.info('✅ All translations are complete');
+      }
+      return;
+    }
+
+    if (lock && await writeLockfile(lockfilePath, lock)) {
+      allRecords.push({ file: lockfilePath, sourceFile: null, lang: null, locale: null, keys: [] });
+    }
+    const allFilesChanged = allRecords.map(record => record.file);
+
+    log.info(`\n${'─'.repeat(50)}`);
+    if (jobs.some(job => job.incremental)) {
+      log.info(`⚡ Incremental summary: ${totalKeysTranslated} key(s) translated, ${totalKeysDeleted} key(s) deleted`);
+    }
+    log.info(`✅ Processed ${allSourceFiles.length} file(s) to ${allLanguages.size} language(s)`);
+    if (allOutdatedEdits.length > 0) {
+      log.warning(`✋ Kept ${allOutdatedEdits.length} human translation(s) whose source changed; they may be outdated:`);
+      allOutdatedEdits.slice(0, 5).forEach(e => log.warning(`  - [${e.lang}] ${displayKey(e.key)} (${e.file})`));
+      if (allOutdatedEdits.length > 5) {
+        log.warning(`  ... and ${allOutdatedEdits.length - 5} more`);
       }
+    }
+    log.info(`📝 Total files created/updated: ${allFilesChanged.length}`);
 
+    let llmVerificationResults = { pass: 'skipped', issues: [], cost: { totalCost: 0, totalTokens: 0 } };
+    if (llmVerified) {
       llmVerificationResults = {
-        pass: allPassed,
+        pass: (llmAllPassed && llmErrored) ? 'error' : llmAllPassed,
         issues: llmIssues,
         cost: {
           totalCost: Number(totalVerificationCost.toFixed(6)),
           totalTokens: totalVerificationTokens
         }
       };
-
-      // Log cost summary
-      core.info(`💰 LLM verification cost: $${totalVerificationCost.toFixed(6)} (${totalVerificationTokens} tokens)`);
-
-      if (allPassed) {
-        core.info(`✅ LLM verification passed for all languages`);
-      } else {
-        core.warning(`⚠️ LLM verification found issues in ${llmIssues.length} file(s)`);
-        // Add LLM issues to all verification issues for the summary
-        for (const langIssue of llmIssues) {
-          for (const issue of langIssue.issues) {
-            allVerificationIssues.push({
-              type: 'llm_verification',
-              severity: 'warning',
-              lang: langIssue.language,
-              key: issue.key,
-              message: issue.issues?.map(i => i.detail).join(', ') || 'LLM verification failed'
-            });
-          }
-        }
-      }
+      log.info(`💰 LLM verification cost: $${totalVerificationCost.toFixed(6)} (${totalVerificationTokens} tokens)`);
     } else if (!enableLLMVerification) {
-      core.info(`ℹ️ LLM verification disabled (set verify: true to enable)`);
+      log.info(`ℹ️ LLM verification disabled (set verify: true to enable)`);
     }
 
     // Generate verification summary for PR (include LLM cost and self-correction info)
@@ -1214,13 +1526,15 @@ async function run() {
         corrected: totalSelfCorrectCorrected,
         needsReview: allNeedsReview.length,
         cost: totalSelfCorrectCost
-      } : null
+      } : null,
+      allOutdatedEdits
     );
 
     // Set outputs
     core.setOutput('files-changed', allFilesChanged.length);
     core.setOutput('files-list', JSON.stringify(allFilesChanged));
-    core.setOutput('languages', targetLanguages.join(','));
+    core.setOutput('files-written', JSON.stringify(filesWrittenOutput(allRecords)));
+    core.setOutput('languages', [...allLanguages].join(','));
     core.setOutput('verification-errors', allVerificationIssues.filter(i => i.severity === 'error').length);
     core.setOutput('verification-warnings', allVerificationIssues.filter(i => i.severity === 'warning').length);
     core.setOutput('llm-verification-pass', llmVerificationResults.pass);
@@ -1233,25 +1547,31 @@ async function run() {
     core.setOutput('self-correct-needs-review', allNeedsReview.length.toString());
     core.setOutput('self-correct-cost', totalSelfCorrectCost.toFixed(6));
     core.setOutput('skipped-keys-count', totalSkippedKeys.toString());
+    core.setOutput('api-retries', client.stats.retries.toString());
+    core.setOutput('outdated-human-edits', allOutdatedEdits.length.toString());
+
+    if (client.stats.retries > 0) {
+      log.info(`🔁 API requests retried ${client.stats.retries} time(s)`);
+    }
 
     // Log self-correction summary
     if (enableSelfCorrect) {
-      core.info(`\n🔄 Self-correction summary:`);
-      core.info(`  ✨ Translations auto-corrected: ${totalSelfCorrectCorrected}`);
-      core.info(`  ⚠️ Translations needing review: ${allNeedsReview.length}`);
-      core.info(`  💰 Total cost: $${totalSelfCorrectCost.toFixed(6)}`);
+      log.info(`\n🔄 Self-correction summary:`);
+      log.info(`  ✨ Translations auto-corrected: ${totalSelfCorrectCorrected}`);
+      log.info(`  ⚠️ Translations needing review: ${allNeedsReview.length}`);
+      log.info(`  💰 Total cost: $${totalSelfCorrectCost.toFixed(6)}`);
 
       if (allNeedsReview.length > 0) {
-        core.warning(`\n⚠️ The following translations need human review:`);
+        log.warning(`\n⚠️ The following translations need human review:`);
         for (const fileReview of allNeedsReview) {
-          core.warning(`  ${fileReview.file}:`);
+          log.warning(`  ${fileReview.file}:`);
           for (const langReview of fileReview.items) {
             if (langReview.items) {
               for (const item of langReview.items.slice(0, 3)) {
-                core.warning(`    - [${langReview.language}] ${item.key}: ${item.issues?.[0]?.detail || 'needs review'}`);
+                log.warning(`    - [${langReview.language}] ${item.key}: ${item.issues?.[0]?.detail || 'needs review'}`);
               }
               if (langReview.items.length > 3) {
-                core.warning(`    ... and ${langReview.items.length - 3} more`);
+                log.warning(`    ... and ${langReview.items.length - 3} more`);
               }
             }
           }
@@ -1259,6 +1579,17 @@ async function run() {
       }
     }
 
+    // Verification results over the thresholds fail the run, block the commit, or open the PR as a draft
+    const failures = checkThresholds(allVerificationIssues, llmVerificationResults.pass, thresholds);
+    core.setOutput('verification-failed', String(failures.length > 0));
+    const draft = failures.length > 0 && thresholds.onFailure === 'draft' && createPR;
+    if (failures.length > 0) {
+      log.warning(`🚫 Verification thresholds not met: ${failures.join('; ')}`);
+      if (thresholds.onFailure === 'draft' && !createPR) {
+        log.warning('on-failure: draft needs create-pr, failing the run instead');
+      }
+    }
+
     // Get GitHub context for sync reporting
     const { context } = github;
     const repoUrl = `https://github.com/${context.repo.owner}/${context.repo.repo}`;
@@ -1268,7 +1599,7 @@ async function run() {
     const startTime = Date.now();
 
     // Report sync status for each source file
-    for (const file of sourceFiles) {
+    for (const { file, targetLanguages } of syncedFiles) {
       const sourceContent = sourceContents[file];
       const totalKeys = sourceContent ? Object.keys(flattenObject(sourceContent)).length : 0;
 
@@ -1283,31 +1614,31 @@ async function run() {
       }
 
       // Report sync status
-      await reportSyncStatus(apiKey, {
+      await reportSyncStatus(client, {
         repoUrl,
         sourceFile: file,
         targetLanguages,
         totalKeys,
         languages,
-        status: allVerificationIssues.filter(i => i.severity === 'error').length > 0 ? 'error' : 'synced',
+        status: failures.length > 0 || allVerificationIssues.some(i => i.severity === 'error') ? 'error' : 'synced',
         lastError: null
       });
     }
 
     // Report sync history (run details)
-    await reportSyncHistory(apiKey, {
+    await reportSyncHistory(client, {
       repoUrl,
-      sourceFile: sourceFiles.join(', '),
+      sourceFile: allSourceFiles.join(', '),
       runId,
       keysTranslated: totalKeysTranslated,
       keysDeleted: totalKeysDeleted,
       filesUpdated: allFilesChanged.length,
       duration: Date.now() - startTime,
-      status: allVerificationIssues.filter(i => i.severity === 'error').length > 0 ? 'partial' : 'success',
+      status: failures.length > 0 ? 'failed' : (allVerificationIssues.some(i => i.severity === 'error') ? 'partial' : 'success'),
       verificationIssues: allVerificationIssues.slice(0, 10).map(i => ({
         type: i.type,
         severity: i.severity,
-        key: i.key,
+        key: i.key && displayKey(i.key),
         message: i.message
       })),
       llmVerification: enableLLMVerification ? {
@@ -1321,27 +1652,49 @@ async function run() {
     });
 
     // Commit or create PR
-    if (allFilesChanged.length > 0) {
+    if (failures.length > 0 && !draft) {
+      log.info(`⛔ Not committing ${allFilesChanged.length} file(s)`);
+    } else if (allFilesChanged.length > 0) {
       if (createPR) {
         const token = core.getInput('github-token') || process.env.GITHUB_TOKEN;
         if (!token) {
           throw new Error('github-token is required when create-pr is true');
         }
-        await createPullRequest(allFilesChanged, branchName, commitMessage, token, sourceFiles, verificationSummary);
+        await createPullRequest(allRecords, branchName, commitMessage, token, allSourceFiles, verificationSummary, draft ? failures : []);
       } else {
         const committed = await commitChanges(allFilesChanged, commitMessage);
         if (!committed) {
-          core.info('ℹ️ No changes were made to translations');
+          log.info('ℹ️ No changes were made to translations');
         }
       }
     } else {
-      core.info('ℹ️ No files were translated');
+      log.info('ℹ️ No files were translated');
     }
 
-    core.info('✅ Translation complete!');
+    if (failures.length > 0 && !draft) {
+      if (thresholds.onFailure === 'block') {
+        log.info('⛔ Commit blocked by on-failure: block, translated files are left in the workspace');
+        return;
+      }
+      core.setFailed(`❌ Verification failed: ${failures.join('; ')}`);
+      return;
+    }
+    log.info('✅ Translation complete!');
   } catch (error) {
     core.setFailed(`❌ Action failed: ${error.message}`);
   }
 }
 
-run();
+if (require.main === module) {
+  run();
+}
+
+module.exports = {
+  groupLanguagesByKeys,
+  translateFile,
+  getOutputFile,
+  writeTranslatedFiles,
+  verifyRecords,
+  filesByLocale,
+  filesWrittenOutput
+};
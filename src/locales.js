@@ -0,0 +1,129 @@
+const path = require('path');
+
+/**
+ * Language codes used in file names and files can differ from the codes sent to the API:
+ * a language map (zh=zh-Hans,pt=pt_BR) names each target language's locale
+ */
+
+const PATTERN_TOKENS = ['lang', 'locale', 'namespace', 'dir', 'ext'];
+
+/**
+ * Parse a language map from "code=locale" pairs (comma- or line-separated) or an object
+ */
+function parseLanguageMap(value) {
+  if (value && typeof value === 'object') {
+    return Object.fromEntries(Object.entries(value).map(([code, locale]) => [code.trim(), String(locale).trim()]));
+  }
+
+  const map = {};
+  for (const entry of String(value || '').split(/[,\n]/).map(item => item.trim()).filter(Boolean)) {
+    const match = entry.match(/^([^=\s]+)\s*=\s*(\S+)$/);
+    if (!match) {
+      throw new Error(`Invalid language-map entry "${entry}", expected code=locale (e.g. zh=zh-Hans)`);
+    }
+    map[match[1]] = match[2];
+  }
+  return map;
+}
+
+/**
+ * Locale of a target language, the language code itself unless mapped
+ */
+function localeFor(languageMap, lang) {
+  return (languageMap && languageMap[lang]) || lang;
+}
+
+/**
+ * Check that an output pattern only uses known tokens and names a file per language
+ */
+function validateOutputPattern(pattern) {
+  for (const [, token] of pattern.matchAll(/\{([^}]*)\}/g)) {
+    if (!PATTERN_TOKENS.includes(token)) {
+      throw new Error(`Unknown output-pattern token {${token}}, expected one of ${PATTERN_TOKENS.map(name => `{${name}}`).join(', ')}`);
+    }
+  }
+  if (!/\{(lang|locale)\}/.test(pattern)) {
+    throw new Error('output-pattern must contain {lang} or {locale}');
+  }
+}
+
+/**
+ * Name of a source file without its extension and source-language suffix:
+ * devise.en.yml -> devise, messages_en.json and messages.json -> messages
+ */
+function namespaceOf(sourceFile, sourceLanguage) {
+  const name = path.basename(sourceFile, path.extname(sourceFile));
+  const suffix = new RegExp(`[._-]${sourceLanguage.replace(/[.*+?^${}()|[\]\\]/g, '\\$&')}$`, 'i');
+  return name.replace(suffix, '') || name;
+}
+
+/**
+ * Name of the target file of a file named after its language (Rails): devise.en.yml -> devise.es.yml, en.yml -> es.yml
+ * Returns null for other names
+ */
+function languageFileName(sourceFile, sourceLanguage, locale) {
+  const ext = path.extname(sourceFile);
+  const name = path.basename(sourceFile, ext);
+  if (name === sourceLanguage) return `${locale}${ext}`;
+  if (name.endsWith(`.${sourceLanguage}`)) return `${name.slice(0, -sourceLanguage.length)}${locale}${ext}`;
+  return null;
+}
+
+const languageNames = new Intl.DisplayNames(['en'], { type: 'language', fallback: 'none' });
+const SUBTAG = /^([A-Za-z]{2}|[A-Z][a-z]{3}|\d{3})$/;
+
+/**
+ * Whether a code is a known language or locale (es, pt_BR, zh-Hant), not a word like "msg" or "app"
+ */
+function isLocaleCode(code) {
+  const [language, ...subtags] = code.split(/[-_]/);
+  if (!/^[a-z]{2,3}$/.test(language) || !subtags.every(subtag => SUBTAG.test(subtag))) return false;
+  try {
+    return languageNames.of(language) !== undefined;
+  } catch {
+    return false;
+  }
+}
+
+/**
+ * Locale a file is named after, or null: es.yml and devise.es.yml -> es,
+ * messages_pt_BR.properties -> pt_BR, Strings.de-DE.resx -> de-DE; error_msg.properties -> null
+ */
+function fileLocale(file) {
+  const parts = path.basename(file, path.extname(file)).split(/[._]/);
+  for (let start = 0; start < parts.length; start++) {
+    const code = parts.slice(start).join('_');
+    if (parts.length - start <= 3 && isLocaleCode(code)) return code;
+  }
+  return null;
+}
+
+/**
+ * Whether a file is named after a language other than the source language (devise.es.yml for en),
+ * so it holds translations and is not a source
+ */
+function isOtherLanguageFile(file, sourceLanguage) {
+  const locale = fileLocale(file);
+  return locale !== null && locale.split(/[-_]/)[0] !== sourceLanguage.split(/[-_]/)[0];
+}
+
+/**
+ * Fill in an output pattern, e.g. {locale}/{dir}/{namespace}{ext} -> es_ES/admin/users.json
+ * {dir} of a file at the top of the output directory is "."
+ */
+function expandOutputPattern(pattern, tokens) {
+  return path.normalize(pattern.replace(/\{(\w+)\}/g, (_, token) => tokens[token] || (token === 'dir' ? '.' : '')));
+}
+
+module.exports = {
+  PATTERN_TOKENS,
+  parseLanguageMap,
+  localeFor,
+  validateOutputPattern,
+  namespaceOf,
+  languageFileName,
+  isLocaleCode,
+  fileLocale,
+  isOtherLanguageFile,
+  expandOutputPattern,
+};
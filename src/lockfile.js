@@ -0,0 +1,141 @@
+const crypto = require('crypto');
+const fs = require('fs').promises;
+const log = require('./logging');
+const { orderContent } = require('./formats/style');
+
+const DEFAULT_LOCKFILE = '.shipi18n.lock';
+const LOCK_VERSION = 1;
+
+/**
+ * Short hash of a source value; a key is stale once its source no longer hashes to the recorded value
+ */
+function hashSource(value) {
+  return crypto.createHash('sha1').update(JSON.stringify(value)).digest('hex').slice(0, 12);
+}
+
+/**
+ * Entries are "sourceHash:targetHash"; the target hash is the value the action wrote,
+ * so a translation edited by hand since no longer matches it
+ */
+function makeEntry(sourceHash, targetHash) {
+  return targetHash ? `${sourceHash}:${targetHash}` : sourceHash;
+}
+
+function sourceHashOf(entry) {
+  return entry ? entry.split(':')[0] : null;
+}
+
+function targetHashOf(entry) {
+  return entry ? entry.split(':')[1] || null : null;
+}
+
+function emptyLock() {
+  return { version: LOCK_VERSION, files: {} };
+}
+
+/**
+ * Read the lockfile; a missing or unreadable lockfile starts empty
+ * Layout: { version, files: { sourceFile: { lang: { keyPath: "sourceHash:targetHash" } } } }
+ */
+async function readLockfile(lockPath) {
+  let text;
+  try {
+    text = await fs.readFile(lockPath, 'utf8');
+  } catch {
+    return emptyLock();
+  }
+
+  try {
+    const lock = JSON.parse(text);
+    if (lock.version !== LOCK_VERSION || !lock.files || typeof lock.files !== 'object') {
+      throw new Error(`unsupported lockfile version ${lock.version}`);
+    }
+    return lock;
+  } catch (error) {
+    log.warning(`Ignoring ${lockPath}: ${error.message}`);
+    return emptyLock();
+  }
+}
+
+/**
+ * Keys each language has to translate: never translated there, or translated from a different source text.
+ * Languages without entries get every key; deleted keys are recorded keys the source no longer has
+ */
+function planFromLock(fileEntries, flatSource, languages) {
+  const missingByLang = {};
+  const deleted = new Set();
+
+  for (const lang of languages) {
+    const entries = fileEntries[lang] || {};
+    missingByLang[lang] = Object.keys(flatSource).filter(key => sourceHashOf(entries[key]) !== hashSource(flatSource[key]));
+    Object.keys(entries).filter(key => !(key in flatSource)).forEach(key => deleted.add(key));
+  }
+
+  return { missingByLang, deleted: [...deleted] };
+}
+
+/**
+ * Keys whose target value differs from the one the action wrote, i.e. edited by a translator.
+ * Keys without a recorded target value or with an empty one are not edits
+ */
+function findHumanEdits(entries, flatTarget, keys) {
+  return keys.filter(key => {
+    const written = targetHashOf(entries?.[key]);
+    const value = flatTarget[key];
+    return Boolean(written) && value !== undefined && value !== null && value !== '' && hashSource(value) !== written;
+  });
+}
+
+/**
+ * Whether a key's recorded source text differs from the current one
+ */
+function isSourceChanged(entries, flatSource, key) {
+  return sourceHashOf(entries?.[key]) !== hashSource(flatSource[key]);
+}
+
+/**
+ * Record that keys of a language are translated from the current source text, with the values
+ * written to the target (flatTarget). Kept keys (human edits) take the current source text
+ * but keep the recorded target value, so they still count as edited.
+ * Entries of keys the source no longer has are dropped
+ */
+function recordKeys(lock, sourceFile, lang, flatSource, keys, flatTarget = {}, keptKeys = []) {
+  const fileEntries = lock.files[sourceFile] || (lock.files[sourceFile] = {});
+  const entries = fileEntries[lang] || {};
+  const recorded = new Set(keys);
+  const kept = new Set(keptKeys);
+
+  const updated = {};
+  for (const key of Object.keys(flatSource)) {
+    if (kept.has(key)) {
+      updated[key] = makeEntry(hashSource(flatSource[key]), targetHashOf(entries[key]));
+    } else if (recorded.has(key)) {
+      const value = flatTarget[key];
+      updated[key] = makeEntry(hashSource(flatSource[key]), value !== undefined && value !== null ? hashSource(value) : null);
+    } else if (key in entries) {
+      updated[key] = entries[key];
+    }
+  }
+  fileEntries[lang] = updated;
+}
+
+/**
+ * Write the lockfile with sorted keys; returns whether its content changed
+ */
+async function writeLockfile(lockPath, lock) {
+  const output = JSON.stringify(orderContent(lock, null, true), null, 2) + '\n';
+
+  let current = null;
+  try {
+    current = await fs.readFile(lockPath, 'utf8');
+  } catch {
+    current = null;
+  }
+  if (current === output) return false;
+
+  await fs.writeFile(lockPath, output, 'utf8');
+  log.info(`🔒 Updated ${lockPath}`);
+  return true;
+}
+
+module.exports = { DEFAULT_LOCKFILE, hashSource, readLockfile, planFromLock, findHumanEdits, isSourceChanged, recordKeys, writeLockfile };
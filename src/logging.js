@@ -0,0 +1,42 @@
+const core = require('@actions/core');
+const { AsyncLocalStorage } = require('async_hooks');
+
+// Holds the log buffer of the group the current async task belongs to
+const groupBuffer = new AsyncLocalStorage();
+
+function write(level, message) {
+  const buffer = groupBuffer.getStore();
+  if (buffer) {
+    buffer.push([level, message]);
+  } else {
+    core[level](message);
+  }
+}
+
+const info = (message) => write('info', message);
+const warning = (message) => write('warning', message);
+const debug = (message) => write('debug', message);
+
+/**
+ * Run fn inside a collapsible log group
+ * When buffered, output is held until fn settles and then flushed as one group,
+ * so groups running in parallel don't interleave their lines
+ */
+async function group(title, fn, { buffered = false } = {}) {
+  if (!buffered) {
+    return core.group(title, fn);
+  }
+
+  const buffer = [];
+  try {
+    return await groupBuffer.run(buffer, fn);
+  } finally {
+    core.startGroup(title);
+    for (const [level, message] of buffer) {
+      core[level](message);
+    }
+    core.endGroup();
+  }
+}
+
+module.exports = { info, warning, debug, group };
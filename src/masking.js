@@ -0,0 +1,118 @@
+/**
+ * Protected terms (brand and product names) are replaced with placeholder tokens before
+ * strings are sent for translation, and put back in the translations afterwards
+ */
+
+const { escapeRegExp } = require('./regexp');
+
+const TOKEN_PATTERN = /\{\{PROTECTED_(\d+)\}\}/g;
+
+/**
+ * Parse the protected-terms input: one term per line, or comma-separated on a single line.
+ * Terms written as /pattern/flags are regular expressions, other terms match as whole words
+ */
+function parseProtectedTerms(input) {
+  if (!input) return [];
+
+  const items = input.includes('\n') ? input.split('\n') : input.split(',');
+  return items.map(item => item.trim()).filter(Boolean).map(item => {
+    const regex = item.match(/^\/(.+)\/([a-z]*)$/);
+    if (!regex) {
+      return new RegExp(`(?<![\\p{L}\\p{N}_])${escapeRegExp(item)}(?![\\p{L}\\p{N}_])`, 'gu');
+    }
+    try {
+      return new RegExp(regex[1], regex[2].includes('g') ? regex[2] : `${regex[2]}g`);
+    } catch (error) {
+      throw new Error(`Invalid protected term ${item}: ${error.message}`);
+    }
+  });
+}
+
+/**
+ * Protected terms in a string, without overlaps: earlier matches win, then longer ones
+ */
+function findProtectedTerms(text, patterns) {
+  if (typeof text !== 'string') return [];
+
+  const matches = [];
+  for (const pattern of patterns) {
+    for (const match of text.matchAll(pattern)) {
+      if (match[0] !== '') matches.push({ index: match.index, text: match[0] });
+    }
+  }
+  matches.sort((a, b) => a.index - b.index || b.text.length - a.text.length);
+
+  const result = [];
+  let end = 0;
+  for (const match of matches) {
+    if (match.index < end) continue;
+    result.push(match);
+    end = match.index + match.text.length;
+  }
+  return result;
+}
+
+/**
+ * Replace protected terms in flat values with tokens; returns the masked values
+ * and the terms of each key in token order
+ */
+function maskValues(values, patterns) {
+  const masked = {};
+  const terms = {};
+
+  for (const [key, value] of Object.entries(values)) {
+    const found = findProtectedTerms(value, patterns);
+    if (found.length === 0) {
+      masked[key] = value;
+      continue;
+    }
+
+    let text = '';
+    let last = 0;
+    found.forEach((match, i) => {
+      text += value.slice(last, match.index) + `{{PROTECTED_${i}}}`;
+      last = match.index + match.text.length;
+    });
+    masked[key] = text + value.slice(last);
+    terms[key] = found.map(match => match.text);
+  }
+
+  return { values: masked, terms };
+}
+
+/**
+ * Put the protected terms back into translated flat values
+ */
+function unmaskValues(values, terms) {
+  const result = {};
+  for (const [key, value] of Object.entries(values)) {
+    result[key] = terms[key] && typeof value === 'string'
+      ? value.replace(TOKEN_PATTERN, (token, i) => terms[key][i] ?? token)
+      : value;
+  }
+  return result;
+}
+
+/**
+ * Verify a translation kept every protected term of its source
+ */
+function verifyProtectedTerms(patterns, sourceValue, translatedValue, key) {
+  if (!patterns || patterns.length === 0 || typeof translatedValue !== 'string') return null;
+
+  const missing = [...new Set(findProtectedTerms(sourceValue, patterns).map(match => match.text))]
+    .filter(term => !translatedValue.includes(term));
+
+  if (missing.length > 0) {
+    return {
+      key,
+      type: 'protected_term',
+      severity: 'error',
+      message: `Protected term(s) missing: ${missing.map(term => `"${term}"`).join(', ')}`,
+      source: sourceValue,
+      translated: translatedValue
+    };
+  }
+  return null;
+}
+
+module.exports = { parseProtectedTerms, findProtectedTerms, maskValues, unmaskValues, verifyProtectedTerms };
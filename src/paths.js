@@ -0,0 +1,133 @@
+/**
+ * Key paths of nested locale content
+ *
+ * Object keys are joined with "." and array items are written as [index]: items[0].label
+ * Dots, brackets and backslashes inside keys are escaped, so flat-style keys round-trip:
+ * { "home.title": "Hi" } => path home\.title => { "home.title": "Hi" }
+ */
+
+const { globToRegExp } = require('./globs');
+
+function escapeKey(key) {
+  return String(key).replace(/[\\.[\]]/g, '\\$&');
+}
+
+/**
+ * Append an object key (string) or array index (number) to a path
+ */
+function joinPath(prefix, segment) {
+  if (typeof segment === 'number') return `${prefix}[${segment}]`;
+  return prefix ? `${prefix}.${escapeKey(segment)}` : escapeKey(segment);
+}
+
+/**
+ * Split a path into object keys (strings) and array indices (numbers)
+ */
+function splitPath(keyPath) {
+  const segments = [];
+  let current = '';
+  let inKey = true;
+
+  for (let i = 0; i < keyPath.length; i++) {
+    const char = keyPath[i];
+    const index = char === '[' ? /^\[(\d+)\]/.exec(keyPath.slice(i)) : null;
+
+    if (char === '\\' && i + 1 < keyPath.length) {
+      current += keyPath[++i];
+      inKey = true;
+    } else if (char === '.') {
+      if (inKey) segments.push(current);
+      current = '';
+      inKey = true;
+    } else if (index) {
+      if (inKey) segments.push(current);
+      segments.push(Number(index[1]));
+      current = '';
+      inKey = false;
+      i += index[0].length - 1;
+    } else {
+      current += char;
+      inKey = true;
+    }
+  }
+
+  if (inKey) segments.push(current);
+  return segments;
+}
+
+/**
+ * Path of a top-level key of flat handler content (properties, resx, strings, xliff, gettext):
+ * keys are kept literal, so home.title => home\.title
+ */
+function fromFlatKey(key) {
+  return joinPath('', key);
+}
+
+/**
+ * Flatten nested content into paths; arrays are flattened item by item
+ * { a: { 'b.c': 1 }, list: ['x'] } => paths a.b\.c and list[0]
+ */
+function flattenObject(obj, prefix = '') {
+  const result = {};
+  const entries = Array.isArray(obj)
+    ? Object.keys(obj).map(index => [Number(index), obj[index]])
+    : Object.entries(obj);
+
+  for (const [key, value] of entries) {
+    const keyPath = joinPath(prefix, key);
+    const isContainer = value && typeof value === 'object' && !(Array.isArray(value) && value.length === 0);
+    if (isContainer) {
+      Object.assign(result, flattenObject(value, keyPath));
+    } else {
+      result[keyPath] = value;
+    }
+  }
+  return result;
+}
+
+/**
+ * Rebuild nested content from paths; [index] segments create arrays
+ * Arrays built from a subset of their items are sparse
+ */
+function unflattenObject(flat) {
+  const result = {};
+  for (const [keyPath, value] of Object.entries(flat)) {
+    const segments = splitPath(keyPath);
+    let current = result;
+    for (let i = 0; i < segments.length - 1; i++) {
+      const next = typeof segments[i + 1] === 'number' ? [] : {};
+      if (!current[segments[i]] || typeof current[segments[i]] !== 'object') current[segments[i]] = next;
+      current = current[segments[i]];
+    }
+    current[segments[segments.length - 1]] = value;
+  }
+  return result;
+}
+
+/**
+ * Key as messages and review files show it: escapes removed, so home\.title => home.title
+ */
+function displayKey(keyPath) {
+  return keyPath.replace(/\\(.)/g, '$1');
+}
+
+/**
+ * Path as users write it in skip-keys: plain dots, array indices as segments (items.0.label)
+ */
+function displayPath(keyPath) {
+  return splitPath(keyPath).join('.');
+}
+
+/**
+ * Whether a path is excluded by skip-keys (exact paths) or skip-paths (* and ** wildcards)
+ * Patterns match both nested keys and flat keys with literal dots; [n] and .n address array items
+ */
+function isSkippedPath(keyPath, skipKeys = [], skipPaths = []) {
+  const plain = displayPath(keyPath);
+  const normalize = pattern => pattern.replace(/\[(\d+|\*)\]/g, '.$1');
+
+  if (skipKeys.some(key => key === keyPath || normalize(key) === plain)) return true;
+  return skipPaths.some(pattern => globToRegExp(normalize(pattern), '.').test(plain));
+}
+
+module.exports = { joinPath, splitPath, fromFlatKey, flattenObject, unflattenObject, displayKey, isSkippedPath };
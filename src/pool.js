@@ -0,0 +1,28 @@
+/**
+ * Run an async worker over items with at most `limit` in flight
+ * Results are returned in input order regardless of completion order.
+ * After the first failure no new items are started and the error is rethrown.
+ */
+async function mapWithConcurrency(items, limit, worker) {
+  const results = new Array(items.length);
+  const size = Math.max(1, Math.min(limit || 1, items.length));
+  let next = 0;
+  let failed = false;
+
+  async function runNext() {
+    while (next < items.length && !failed) {
+      const index = next++;
+      try {
+        results[index] = await worker(items[index], index);
+      } catch (error) {
+        failed = true;
+        throw error;
+      }
+    }
+  }
+
+  await Promise.all(Array.from({ length: size }, runNext));
+  return results;
+}
+
+module.exports = { mapWithConcurrency };
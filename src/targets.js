@@ -0,0 +1,86 @@
+const fs = require('fs').promises;
+const log = require('./logging');
+const { parseTarget, pluralCategoriesOf } = require('./formats');
+const { flattenObject } = require('./paths');
+const { pluralGroups, expandPluralKeys, pluralSourceKey } = require('./formats/plurals');
+
+/**
+ * Flattened values of a target file, or null when it doesn't exist (throws when it can't be parsed)
+ */
+async function readTargetValues(format, targetFile, lang) {
+  let targetText;
+  try {
+    targetText = await fs.readFile(targetFile, 'utf8');
+  } catch {
+    return null;
+  }
+  return flattenObject(parseTarget(format, targetText, lang));
+}
+
+/**
+ * Source keys that flattened target values don't have, or have left empty while the source is not
+ * A plural form is missing when the target lacks any of the plural categories of its language
+ */
+function missingKeys(flatSource, target, categories = ['one', 'other']) {
+  const plurals = pluralGroups(Object.keys(flatSource));
+  return Object.keys(flatSource).filter(key =>
+    expandPluralKeys([key], categories, plurals).some(targetKey =>
+      target[targetKey] === undefined || ((target[targetKey] === '' || target[targetKey] === null) && flatSource[key] !== '')
+    )
+  );
+}
+
+/**
+ * Source keys a target file doesn't have yet, or has left empty (all of them when the file doesn't exist)
+ */
+async function findMissingKeys(format, flatSource, targetFile, lang) {
+  if (!targetFile) return [];
+
+  try {
+    const target = await readTargetValues(format, targetFile, lang);
+    return target ? missingKeys(flatSource, target, pluralCategoriesOf(format, lang)) : Object.keys(flatSource);
+  } catch (error) {
+    log.warning(`Could not parse ${targetFile}, translating all keys: ${error.message}`);
+    return Object.keys(flatSource);
+  }
+}
+
+/**
+ * Add the keys each target file is missing to the keys planned for its language,
+ * so new and partially translated languages are completed by incremental runs
+ * Returns { missingByLang, gaps } with the number of keys added per language
+ */
+async function addMissingKeys(missingByLang, format, flatSource, targetFiles, locales = {}) {
+  const completed = {};
+  const gaps = {};
+
+  for (const [lang, planned] of Object.entries(missingByLang)) {
+    const absent = (await findMissingKeys(format, flatSource, targetFiles[lang], locales[lang] || lang))
+      .filter(key => !planned.includes(key));
+    completed[lang] = [...planned, ...absent];
+    if (absent.length > 0) gaps[lang] = absent.length;
+  }
+
+  return { missingByLang: completed, gaps };
+}
+
+/**
+ * Source values of the skipped keys each language needs (lang -> flat values), so keys matched by
+ * skip-keys and skip-paths are kept untranslated in the targets instead of being left out
+ */
+function skippedValues(flatSource, skippedKeys, keysByLang, plurals = new Map()) {
+  const skipped = new Set(skippedKeys);
+  const result = {};
+
+  for (const [lang, keys] of Object.entries(keysByLang)) {
+    result[lang] = {};
+    for (const key of keys) {
+      const sourceKey = pluralSourceKey(key, plurals);
+      if (skipped.has(sourceKey)) result[lang][key] = flatSource[sourceKey];
+    }
+  }
+
+  return result;
+}
+
+module.exports = { readTargetValues, missingKeys, findMissingKeys, addMissingKeys, skippedValues };
@@ -0,0 +1,74 @@
+/**
+ * Thresholds that decide whether verification results fail a run
+ */
+
+const FAIL_ON = ['none', 'error', 'warning'];
+const ON_FAILURE = ['fail', 'block', 'draft'];
+const LLM_NOT_PASSED = {
+  false: 'did not pass',
+  error: 'could not check every file',
+  skipped: 'did not run',
+};
+
+function parseLimit(name, value) {
+  if (value === undefined || value === null || String(value).trim() === '') return null;
+  const limit = Number(value);
+  if (!Number.isInteger(limit) || limit < 0) {
+    throw new Error(`${name} must be a whole number of 0 or more, got "${value}"`);
+  }
+  return limit;
+}
+
+function parseChoice(name, value, choices, fallback) {
+  const choice = String(value || '').trim() || fallback;
+  if (!choices.includes(choice)) {
+    throw new Error(`${name} must be one of ${choices.join(', ')}, got "${choice}"`);
+  }
+  return choice;
+}
+
+/**
+ * Thresholds from the fail-on, max-errors, max-warnings, require-llm-pass and on-failure inputs
+ * defaultFailOn applies when fail-on is not set (check mode fails on errors)
+ */
+function parseThresholds(inputs = {}, defaultFailOn = 'none') {
+  return {
+    failOn: parseChoice('fail-on', inputs['fail-on'], FAIL_ON, defaultFailOn),
+    maxErrors: parseLimit('max-errors', inputs['max-errors']),
+    maxWarnings: parseLimit('max-warnings', inputs['max-warnings']),
+    requireLlmPass: inputs['require-llm-pass'] === true || inputs['require-llm-pass'] === 'true',
+    onFailure: parseChoice('on-failure', inputs['on-failure'], ON_FAILURE, 'fail'),
+  };
+}
+
+/**
+ * Reasons the verification results break the thresholds, empty when they pass
+ * Issues are rule-based and LLM results alike; llmPass is true, false, 'error' (a request failed),
+ * 'skipped', or null where LLM verification doesn't apply (check mode).
+ * require-llm-pass only accepts true
+ */
+function checkThresholds(issues, llmPass, thresholds) {
+  const errors = issues.filter(issue => issue.severity === 'error').length;
+  const warnings = issues.filter(issue => issue.severity === 'warning').length;
+  const reasons = [];
+
+  if (thresholds.failOn === 'error' && errors > 0) {
+    reasons.push(`${errors} verification error(s) (fail-on: error)`);
+  }
+  if (thresholds.failOn === 'warning' && errors + warnings > 0) {
+    reasons.push(`${errors} verification error(s) and ${warnings} warning(s) (fail-on: warning)`);
+  }
+  if (thresholds.maxErrors !== null && errors > thresholds.maxErrors) {
+    reasons.push(`${errors} verification error(s), more than max-errors ${thresholds.maxErrors}`);
+  }
+  if (thresholds.maxWarnings !== null && warnings > thresholds.maxWarnings) {
+    reasons.push(`${warnings} verification warning(s), more than max-warnings ${thresholds.maxWarnings}`);
+  }
+  if (thresholds.requireLlmPass && llmPass !== true && llmPass !== null) {
+    reasons.push(`LLM verification ${LLM_NOT_PASSED[llmPass] || 'did not pass'} (require-llm-pass)`);
+  }
+
+  return reasons;
+}
+
+module.exports = { FAIL_ON, ON_FAILURE, parseThresholds, checkThresholds };
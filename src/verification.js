@@ -0,0 +1,239 @@
+const { messageArguments } = require('./formats/icu');
+const { pluralCategories, pluralGroups, expandPluralKeys, pluralSourceKey } = require('./formats/plurals');
+const { verifyGlossary } = require('./glossary');
+const { findProtectedTerms, verifyProtectedTerms } = require('./masking');
+const { flattenObject, displayKey } = require('./paths');
+
+/**
+ * Extract placeholders from a string
+ * Supports: {{name}}, {name}, %s, %d, %@, %1$s, %#@count@, {0}, {1}, %(name)s, etc.
+ */
+function extractPlaceholders(str) {
+  if (typeof str !== 'string') return [];
+
+  const patterns = [
+    /\{\{[^}]+\}\}/g,      // {{name}} - i18next/Handlebars
+    /\{[^}]+\}/g,          // {name} - ICU/general
+    /%[sd@]/g,             // %s, %d, %@ - printf style
+    /%l{1,2}[du]/g,        // %ld, %lld - Apple printf
+    /%\d+\$[sd@]/g,        // %1$s, %1$@ - positional printf
+    /%#@[^@\s]+@/g,        // %#@count@ - stringsdict variable
+    /<(?:x|ph)\b[^>]*\/>/g, // <x id="INTERPOLATION"/> - XLIFF inline placeholder
+    /%\([^)]+\)[sdifr]/g,  // %(name)s - Python named (gettext)
+  ];
+
+  const placeholders = new Set();
+  for (const pattern of patterns) {
+    const matches = str.match(pattern) || [];
+    matches.forEach(m => placeholders.add(m));
+  }
+
+  return Array.from(placeholders).sort();
+}
+
+/**
+ * Verify placeholders survived translation
+ */
+function verifyPlaceholders(sourceValue, translatedValue, key) {
+  const sourcePlaceholders = extractPlaceholders(sourceValue);
+  const translatedPlaceholders = extractPlaceholders(translatedValue);
+
+  const missing = sourcePlaceholders.filter(p => !translatedPlaceholders.includes(p));
+  const extra = translatedPlaceholders.filter(p => !sourcePlaceholders.includes(p));
+
+  if (missing.length > 0 || extra.length > 0) {
+    return {
+      key,
+      type: 'placeholder',
+      severity: 'error',
+      message: missing.length > 0
+        ? `Missing placeholders: ${missing.join(', ')}`
+        : `Unexpected placeholders: ${extra.join(', ')}`,
+      source: sourceValue,
+      translated: translatedValue
+    };
+  }
+  return null;
+}
+
+/**
+ * Verify a translated ICU message uses exactly the placeholders declared for its key
+ */
+function verifyDeclaredPlaceholders(declared, sourceValue, translatedValue, key) {
+  const used = messageArguments(translatedValue);
+
+  const missing = declared.filter(p => !used.includes(p));
+  const extra = used.filter(p => !declared.includes(p));
+
+  if (missing.length > 0 || extra.length > 0) {
+    return {
+      key,
+      type: 'placeholder',
+      severity: 'error',
+      message: missing.length > 0
+        ? `Missing placeholders: ${missing.map(p => `{${p}}`).join(', ')}`
+        : `Undeclared placeholders: ${extra.map(p => `{${p}}`).join(', ')}`,
+      source: sourceValue,
+      translated: translatedValue
+    };
+  }
+  return null;
+}
+
+/**
+ * Verify key consistency between source and translation
+ * Plural groups are compared in the plural categories of the language (see formats/plurals.js)
+ */
+function verifyKeyConsistency(sourceKeys, translatedKeys, lang, categories = pluralCategories(lang)) {
+  const issues = [];
+
+  const expected = expandPluralKeys(sourceKeys, categories, pluralGroups(sourceKeys));
+  const missing = expected.filter(k => !translatedKeys.includes(k));
+  const extra = translatedKeys.filter(k => !expected.includes(k) && !sourceKeys.includes(k));
+
+  if (missing.length > 0) {
+    issues.push({
+      type: 'missing_keys',
+      severity: 'warning',
+      message: `${missing.length} key(s) missing in ${lang}: ${missing.slice(0, 5).map(displayKey).join(', ')}${missing.length > 5 ? '...' : ''}`,
+      keys: missing
+    });
+  }
+
+  if (extra.length > 0) {
+    issues.push({
+      type: 'extra_keys',
+      severity: 'warning',
+      message: `${extra.length} unexpected key(s) in ${lang}: ${extra.slice(0, 5).map(displayKey).join(', ')}${extra.length > 5 ? '...' : ''}`,
+      keys: extra
+    });
+  }
+
+  return issues;
+}
+
+/**
+ * Flag a value left in the source language: identical to the source and more than placeholders and protected terms
+ * A warning, as short words ("OK", "Email", "PDF") are often the same in both languages
+ */
+function verifyTranslated(sourceValue, translatedValue, key, protectedTerms = []) {
+  if (typeof sourceValue !== 'string' || sourceValue !== translatedValue) return null;
+
+  let text = sourceValue;
+  for (const placeholder of extractPlaceholders(text)) text = text.split(placeholder).join(' ');
+  for (const { text: term } of findProtectedTerms(text, protectedTerms)) text = text.split(term).join(' ');
+  if (!/\p{L}/u.test(text)) return null;
+
+  return {
+    key,
+    type: 'untranslated',
+    severity: 'warning',
+    message: 'Value is the same as the source',
+    source: sourceValue,
+    translated: translatedValue
+  };
+}
+
+/**
+ * Verify translation length is reasonable
+ * Flag if translation is >5x or <0.2x the source length
+ */
+function verifyLengthSanity(sourceValue, translatedValue, key) {
+  if (typeof sourceValue !== 'string' || typeof translatedValue !== 'string') return null;
+  if (sourceValue.length < 5) return null; // Skip very short strings
+
+  const ratio = translatedValue.length / sourceValue.length;
+
+  if (ratio > 5) {
+    return {
+      key,
+      type: 'length',
+      severity: 'warning',
+      message: `Translation is ${ratio.toFixed(1)}x longer than source`,
+      source: sourceValue,
+      translated: translatedValue
+    };
+  }
+
+  if (ratio < 0.2) {
+    return {
+      key,
+      type: 'length',
+      severity: 'warning',
+      message: `Translation is ${ratio.toFixed(1)}x shorter than source`,
+      source: sourceValue,
+      translated: translatedValue
+    };
+  }
+
+  return null;
+}
+
+/**
+ * Run all verification checks on a translation
+ * declaredPlaceholders (key -> placeholder names) replaces the pattern-based check for formats that declare them
+ */
+function runVerification(sourceContent, translatedContent, lang, declaredPlaceholders = null, glossary = null, protectedTerms = null, categories = pluralCategories(lang)) {
+  const issues = [];
+
+  const sourceFlat = flattenObject(sourceContent);
+  const translatedFlat = flattenObject(translatedContent);
+
+  const sourceKeys = Object.keys(sourceFlat);
+  const translatedKeys = Object.keys(translatedFlat);
+
+  // Key consistency check
+  const keyIssues = verifyKeyConsistency(sourceKeys, translatedKeys, lang, categories);
+  issues.push(...keyIssues);
+
+  // Per-key checks; plural forms the source doesn't have are checked against its "other" form
+  const plurals = pluralGroups(sourceKeys);
+  for (const key of expandPluralKeys(sourceKeys, categories, plurals)) {
+    const sourceValue = sourceFlat[pluralSourceKey(key, plurals)];
+    const translatedValue = translatedFlat[key];
+
+    if (translatedValue === undefined) continue;
+
+    // Placeholder check
+    const placeholderIssue = declaredPlaceholders && declaredPlaceholders[key]
+      ? verifyDeclaredPlaceholders(declaredPlaceholders[key], sourceValue, translatedValue, key)
+      : verifyPlaceholders(sourceValue, translatedValue, key);
+    if (placeholderIssue) {
+      placeholderIssue.lang = lang;
+      issues.push(placeholderIssue);
+    }
+
+    // Length sanity check
+    const lengthIssue = verifyLengthSanity(sourceValue, translatedValue, key);
+    if (lengthIssue) {
+      lengthIssue.lang = lang;
+      issues.push(lengthIssue);
+    }
+
+    // Approved terminology check
+    const glossaryIssue = verifyGlossary(glossary, sourceValue, translatedValue, key, lang);
+    if (glossaryIssue) {
+      glossaryIssue.lang = lang;
+      issues.push(glossaryIssue);
+    }
+
+    // Brand and product names must be kept verbatim
+    const protectedIssue = verifyProtectedTerms(protectedTerms, sourceValue, translatedValue, key);
+    if (protectedIssue) {
+      protectedIssue.lang = lang;
+      issues.push(protectedIssue);
+    }
+  }
+
+  return issues;
+}
+
+module.exports = {
+  extractPlaceholders,
+  verifyPlaceholders,
+  verifyDeclaredPlaceholders,
+  verifyKeyConsistency,
+  verifyTranslated,
+  verifyLengthSanity,
+  runVerification,
+};